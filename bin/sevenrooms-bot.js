@@ -0,0 +1,2 @@
+#!/usr/bin/env node
+require('../src/cli').main(process.argv.slice(2));
@@ -1,408 +1,253 @@
-const { chromium } = require('playwright');
-const fetch = require('node-fetch');
-const fs = require('fs');
-const path = require('path');
-
-// Configuration from environment variables
-const BOOKING_URL = process.env.BOOKING_URL;
-const PARTY_SIZE = process.env.PARTY_SIZE;
-const DATE = process.env.DATE;
-const WINDOW_START = process.env.WINDOW_START; // Format: HH:MM
-const WINDOW_END = process.env.WINDOW_END; // Format: HH:MM
-const PUSHOVER_USER_KEY = process.env.PUSHOVER_USER_KEY;
-const PUSHOVER_APP_TOKEN = process.env.PUSHOVER_APP_TOKEN;
-
-const STATE_FILE = path.join(__dirname, 'state.json');
-
-// Validate required environment variables
-const requiredVars = {
-  BOOKING_URL,
-  PARTY_SIZE,
-  DATE,
-  WINDOW_START,
-  WINDOW_END,
-  PUSHOVER_USER_KEY,
-  PUSHOVER_APP_TOKEN
-};
+const { findWatchlistFile, parseWatchlist, loadWatchlist, watchFromEnv, expandTargets } = require('./src/watchlist');
+const { expandDates, describeDates, parseOtherDates, todayIn } = require('./src/dates');
+const { monthOf, parseCalendarMonth, monthFromDayLabels, navigateToMonth } = require('./src/calendar');
+const { venueSlugFromUrl, parseAvailabilityResponse, fetchAvailability } = require('./src/api');
+const { createSlot, slotKey, tableKey, mergeSlots, describeSlot, describeSlotSource } = require('./src/slot');
+const { slotsInWindows, describeWindow } = require('./src/window');
+const { describePartySizes } = require('./src/party');
+const { hasTimesForDate, noAvailabilityInText, checkNoAvailability, extractTargetSlots } = require('./src/extract');
+const { SELECTORS_VERSION, adapterFor, venueSelectors, fillSelectors, anyOf, visibleSelector } = require('./src/venues');
+const { WidgetError, widgetErrorOf, diagnosticsDirFromEnv, saveDiagnostics } = require('./src/diagnostics');
+const { artifactsFromEnv, startArtifactRun, artifactContextOptions, tracePath, markAmbiguous, captureStep, shouldKeepArtifacts, finishArtifactRun } = require('./src/artifacts');
+const { retryPolicyFromEnv, withRetry } = require('./src/retry');
+const { daemonOptionsFromEnv } = require('./src/daemon');
+const { ConfigError, formatProblem, validateSettings, validateWatches } = require('./src/config');
+const { loadNotifierConfigs, validateNotifierConfigs, createNotifiers, buildSlotNotification, buildBookingNotification, buildBrokenNotification, buildTestNotification, sendToAll } = require('./src/notifiers');
+const { bookingOptions, validateBookingOptions, bookSlot } = require('./src/booking');
+const { historyFileFromEnv, createHistoryStore, historyRecord, readHistory } = require('./src/history');
+const { chatConfigsFromEnv, validateChatConfigs } = require('./src/chat');
+const { subscriberConfigs, validateSubscribers, createSubscribers, subscribersOf } = require('./src/subscribers');
+const { recordingFromEnv, validateRecording, openRecording, contextOptions, prepareContext, saveSnapshot } = require('./src/recording');
+const { getNamespace, recordCheck, lastNotifiedAt, shouldNotify, notifiedAtOtherSize, markNotified, prunePastDates, createStateBackend, createStateStore } = require('./src/state');
+const { logger } = require('./src/logger');
 
-const missingVars = Object.entries(requiredVars)
-  .filter(([key, value]) => !value)
-  .map(([key]) => key);
+// configure() returns a checker: one watcher's settings and what its checks
+// share, passed to every function here that needs them, so several watchers
+// can run side by side in one process:
+//   env, checkMode, retryPolicy, renotifyCooldownMs, minConfidence, daemonOptions,
+//   watches, notifiers, subscribers, stateStore, history, recording,
+//   diagnosticsDir, artifacts, dryRun - as configured
+//   snoozedUntil    - no notifications before this Date (see snoozeNotifications), or null
+//   bookingRequests - bookings asked for with requestBooking(), by watch id and
+//                     slot key: the function that settles each request with its result
+//   artifactRun     - debug artifacts of the run in progress, set by checkAvailability()
 
-if (missingVars.length > 0) {
-  console.error('❌ Missing required environment variables:');
-  missingVars.forEach(v => console.error(`   - ${v}`));
-  process.exit(1);
-}
+// Validate settings from `env` (see src/config.js) and set up a checker with
+// its watches, notifiers, state and history.
+// A watch-list file (WATCHLIST_FILE, or watchlist.json / watchlist.yml in the repo
+// root) replaces the single-watch BOOKING_URL / DATE / PARTY_SIZE / WINDOW_* variables;
+// pass watchlistFile: null to use those variables even when a file exists, or
+// `watchlist` ({ watches, notifiers } as in the file) to pass the entries in.
+// Throws ConfigError listing every problem found. With dryRun nothing is
+// sent, booked or saved.
+// RECORD_DIR / REPLAY_DIR record the browser's view of the run, or replay one
+// offline (see src/recording.js); a replay is always a dry run.
+function configure(env, { baseDir = __dirname, watchlist: given = null, watchlistFile = given ? null : findWatchlistFile(baseDir, env.WATCHLIST_FILE), dryRun = false } = {}) {
+  const checker = { env, snoozedUntil: null, bookingRequests: new Map(), artifactRun: null };
+  const fromEnv = !given && !watchlistFile;
+  const recording = recordingFromEnv(env, baseDir);
+  checker.dryRun = dryRun || Boolean(recording && recording.mode === 'replay');
 
-console.log('✅ Configuration loaded');
-console.log(`   Booking URL: ${BOOKING_URL}`);
-console.log(`   Party Size: ${PARTY_SIZE}`);
-console.log(`   Date: ${DATE}`);
-console.log(`   Time Window: ${WINDOW_START} - ${WINDOW_END}`);
+  // Check every setting and watch before anything runs, and report all problems at once
+  const problems = validateSettings(env);
+  problems.push(...validateRecording(env, recording));
+  problems.push(...validateChatConfigs(chatConfigsFromEnv(env)));
 
-// Load state file
-function loadState() {
+  let notifierConfigs;
+  let subscribers;
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const content = fs.readFileSync(STATE_FILE, 'utf8');
-      return JSON.parse(content);
-    }
+    const watchlist = given ? parseWatchlist(given) : watchlistFile ? loadWatchlist(watchlistFile) : { watches: [watchFromEnv(env)], notifiers: [], subscribers: [] };
+    checker.watches = watchlist.watches;
+    notifierConfigs = loadNotifierConfigs(env, watchlist.notifiers);
+    subscribers = subscriberConfigs(env, watchlist.subscribers);
   } catch (error) {
-    console.warn('⚠️  Could not load state file, starting fresh');
+    throw new ConfigError('Configuration problems', [
+      { key: 'WATCHLIST_FILE', message: `Could not load watch list ${watchlistFile}: ${error.message}`, fix: 'fix the file or point --config / WATCHLIST_FILE at another one' }
+    ]);
   }
-  return { notifiedTimes: [] };
-}
 
-// Save state file
-function saveState(state) {
-  try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-  } catch (error) {
-    console.error('❌ Failed to save state:', error.message);
+  if (checker.watches.length === 0) {
+    problems.push({ key: 'watches', message: `${given ? 'The watch list' : `Watch list ${watchlistFile}`} has no entries`, fix: 'add at least one watch (see watchlist.example.yml)' });
+  }
+
+  const watchResults = validateWatches(checker.watches, { fromEnv });
+  problems.push(...watchResults.problems);
+  problems.push(...validateNotifierConfigs(notifierConfigs));
+  problems.push(...validateSubscribers(subscribers, checker.watches));
+  checker.watches.forEach(watch => {
+    validateBookingOptions(bookingOptions(watch, env))
+      .forEach(problem => problems.push({ ...problem, message: `[${watch.id}] ${problem.message}` }));
+  });
+
+  if ((env.STATE_BACKEND || '').toLowerCase() === 'gist') {
+    for (const key of ['STATE_GIST_ID', 'GITHUB_TOKEN']) {
+      if (!env[key]) problems.push({ key, message: 'STATE_BACKEND=gist needs it', fix: `set ${key}` });
+    }
+  }
+
+  // Dedup and slot history, kept by STATE_BACKEND (json file, sqlite or a gist).
+  // The legacy flat notifiedTimes list belongs to the env-configured "default" watch.
+  if (problems.length === 0) {
+    try {
+      checker.stateStore = createStateStore(createStateBackend(env, baseDir), {
+        legacyWatchId: fromEnv ? 'default' : null,
+        legacyPartySize: env.PARTY_SIZE
+      });
+    } catch (error) {
+      problems.push({ key: 'STATE_BACKEND', message: error.message, fix: 'use the default json backend or install what it needs' });
+    }
   }
+
+  if (problems.length > 0) {
+    throw new ConfigError('Configuration problems', problems);
+  }
+  watchResults.warnings.forEach(warning => logger.warn(`⚠️  ${formatProblem(warning)}`));
+
+  // How to check availability: "api" (SevenRooms availability endpoint only),
+  // "browser" (click through the widget with Playwright) or "auto" (API first,
+  // falling back to the browser when the venue is unknown or the API fails)
+  checker.checkMode = (env.CHECK_MODE || 'auto').toLowerCase();
+
+  // Max attempts and backoff for each stage of a check (see src/retry.js)
+  checker.retryPolicy = retryPolicyFromEnv(env);
+
+  // A slot that disappeared and came back is notified again once this long has
+  // passed since its last notification
+  checker.renotifyCooldownMs = parseFloat(env.STATE_RENOTIFY_COOLDOWN_MINUTES || '60') * 60000;
+  checker.minConfidence = parseFloat(env.EXTRACTION_MIN_CONFIDENCE || '0.5');
+
+  // Where a broken widget's screenshot and DOM dump are saved
+  checker.diagnosticsDir = diagnosticsDirFromEnv(env, baseDir);
+
+  // When to keep a run's trace, screenshots, HAR and widget HTML (see src/artifacts.js)
+  checker.artifacts = artifactsFromEnv(env, baseDir);
+
+  checker.daemonOptions = daemonOptionsFromEnv(env);
+  checker.notifiers = createNotifiers(notifierConfigs);
+  checker.subscribers = createSubscribers(subscribers);
+
+  // Every trusted check result, for the report command
+  checker.history = createHistoryStore(historyFileFromEnv(env, baseDir));
+
+  checker.recording = recording && openRecording(recording);
+
+  logger.log('✅ Configuration loaded');
+  logger.log(`   Check mode: ${checker.checkMode}`);
+  logger.log(`   Notifiers: ${checker.notifiers.map(notifier => notifier.name).join(', ')}${checker.dryRun ? ' (dry run - nothing is sent)' : ''}`);
+  checker.subscribers.forEach(subscriber => {
+    logger.log(`   Subscriber ${subscriber.id}: ${subscriber.notifiers.map(notifier => notifier.name).join(', ')} for ${subscriber.watches.join(', ')}`);
+  });
+  logger.log(`   State: ${checker.stateStore.backend.name}`);
+  logger.log(`   History: ${checker.history.file || 'off'}`);
+  logger.log(`   Debug artifacts: ${checker.artifacts ? `${checker.artifacts.mode === 'always' ? 'every run' : 'failed or ambiguous runs'} (${checker.artifacts.dir})` : 'off'}`);
+  if (checker.recording) {
+    logger.log(checker.recording.mode === 'record'
+      ? `   Recording to: ${checker.recording.dir}`
+      : `   Replaying: ${checker.recording.dir} (recorded ${checker.recording.manifest.recordedAt})`);
+  }
+  if (watchlistFile) {
+    logger.log(`   Watch list: ${watchlistFile}`);
+  }
+  checker.watches.forEach(watch => {
+    logger.log(`   [${watch.id}] Booking URL: ${watch.url}${watch.paused ? ' (paused)' : ''}`);
+    logger.log(`   [${watch.id}] Party Size: ${describePartySizes(watch.partySizes, watch.preferredPartySize)}`);
+    logger.log(`   [${watch.id}] Date: ${describeDates(watch)}`);
+    logger.log(`   [${watch.id}] Time Window: ${watch.windows.map(describeWindow).join(', ')}`);
+    const booking = bookingOptions(watch, env);
+    if (booking.enabled) {
+      logger.log(`   [${watch.id}] Auto-book: stop at ${booking.stopAt}${booking.dryRun ? ' (dry run)' : ''}`);
+    }
+  });
+
+  return checker;
 }
 
-// Convert time string (HH:MM) to minutes since midnight for comparison
-function timeToMinutes(timeStr) {
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  return hours * 60 + minutes;
+// The first slot in window worth auto-booking, or null. Each slot is tried
+// once (a dry run doesn't count once dry-run mode is switched off), and
+// nothing more is booked for a watch after a confirmed booking.
+function slotToAutoBook(namespace, slotsInWindow, options) {
+  const bookings = namespace.bookings;
+  if (Object.values(bookings).some(booking => booking.status === 'confirmed')) return null;
+  return slotsInWindow.find(slot => {
+    const previous = bookings[slotKey(slot)];
+    return !previous || (previous.status === 'dry-run' && !options.dryRun);
+  }) || null;
 }
 
-// Check if a time falls within the window
-function isTimeInWindow(timeStr, windowStart, windowEnd) {
-  const timeMinutes = timeToMinutes(timeStr);
-  const startMinutes = timeToMinutes(windowStart);
-  const endMinutes = timeToMinutes(windowEnd);
-  return timeMinutes >= startMinutes && timeMinutes <= endMinutes;
+// Remember an auto-book attempt
+function recordBooking(namespace, slot, result) {
+  namespace.bookings[slotKey(slot)] = { ...result, at: new Date().toISOString() };
 }
 
-// Format time to HH:MM
-function formatTime(timeStr) {
-  // Handle various time formats that SevenRooms might return
-  // Examples: "19:30", "7:30 PM", "19:30:00", etc.
-  const timeMatch = timeStr.match(/(\d{1,2}):(\d{2})/);
-  if (!timeMatch) return null;
-  
-  let hours = parseInt(timeMatch[1], 10);
-  const minutes = parseInt(timeMatch[2], 10);
-  
-  // Handle PM times (if present)
-  if (timeStr.toUpperCase().includes('PM') && hours < 12) {
-    hours += 12;
-  }
-  if (timeStr.toUpperCase().includes('AM') && hours === 12) {
-    hours = 0;
-  }
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+// Key of a booking request
+function bookingRequestKey(watchId, slot) {
+  return `${watchId}_${slotKey(slot)}`;
 }
 
-// Send Pushover notification
-async function sendNotification(time) {
-  const message = `🍽️ Table available at ${time} on ${DATE} for ${PARTY_SIZE} people.`;
-  
-  try {
-    const response = await fetch('https://api.pushover.net/1/messages.json', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        token: PUSHOVER_APP_TOKEN,
-        user: PUSHOVER_USER_KEY,
-        message: message,
-        title: 'SevenRooms Table Available',
-        priority: 1,
-      }),
-    });
+// What to book for a watch: a slot in window asked for with requestBooking()
+// (even with auto-book off, and whether tried before or not), otherwise with
+// auto-book on the first slot worth auto-booking. { slot, options }, or null.
+function slotToBook(checker, namespace, watch, slotsInWindow) {
+  const options = bookingOptions(watch, checker.env);
+  const requested = slotsInWindow.find(slot => checker.bookingRequests.has(bookingRequestKey(watch.id, slot)));
+  if (requested) return { slot: requested, options: { ...options, enabled: true } };
 
-    const data = await response.json();
-    
-    if (data.status === 1) {
-      console.log(`✅ Notification sent for ${time}`);
-      return true;
-    } else {
-      console.error(`❌ Pushover error: ${data.errors?.join(', ') || 'Unknown error'}`);
-      return false;
-    }
-  } catch (error) {
-    console.error(`❌ Failed to send notification: ${error.message}`);
-    return false;
-  }
+  const slot = options.enabled && slotToAutoBook(namespace, slotsInWindow, options);
+  return slot ? { slot, options } : null;
 }
 
-// Select date in the booking widget
-async function selectDate(page, targetDate) {
-  try {
-    // Parse the target date (format: YYYY-MM-DD)
-    const [year, month, day] = targetDate.split('-').map(Number);
-    const targetDateObj = new Date(year, month - 1, day);
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const monthName = monthNames[month - 1];
-    
-    // Wait a bit for the widget to fully load
-    await page.waitForTimeout(1000);
-    
-    // Try various date picker selectors - clickable date fields
-    const dateFieldSelectors = [
-      'input[type="date"]',
-      'input[placeholder*="date" i]',
-      'input[name*="date" i]',
-      '[data-testid*="date"]',
-      '[class*="date"]',
-      '[class*="Date"]',
-      'button[aria-label*="date" i]',
-      'div[role="button"][aria-label*="date" i]',
-      '[id*="date"]',
-      'input[readonly]', // SevenRooms often uses readonly inputs
-      'div:has-text("Date")',
-      'label:has-text("Date")'
-    ];
-    
-    let dateSelected = false;
-    
-    // First, try to find and click the date field to open calendar
-    for (const selector of dateFieldSelectors) {
-      try {
-        const dateField = await page.locator(selector).first();
-        if (await dateField.isVisible({ timeout: 2000 })) {
-          console.log(`   Found date field with selector: ${selector}`);
-          
-          const tagName = await dateField.evaluate(el => el.tagName.toLowerCase());
-          
-          // If it's an input, try to fill it directly first
-          if (tagName === 'input') {
-            try {
-              await dateField.fill(targetDate);
-              await dateField.press('Enter');
-              await page.waitForTimeout(1000);
-              dateSelected = true;
-              console.log(`✅ Set date input to ${targetDate}`);
-              break;
-            } catch (error) {
-              // If that fails, try clicking to open calendar
-              console.log(`   Input fill failed, trying to click to open calendar...`);
-            }
-          }
-          
-          // Click to open calendar
-          await dateField.click();
-          await page.waitForTimeout(1500); // Wait for calendar to open
-          console.log(`   Clicked date field, calendar should be open`);
-          break;
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-    
-    // If direct input didn't work, try clicking on calendar dates
-    if (!dateSelected) {
-      console.log('   Trying calendar date selection...');
-      
-      // First, check current month/year displayed and navigate if needed
-      const pageText = await page.textContent('body');
-      console.log(`   Current calendar context: ${pageText.substring(0, 200)}...`);
-      
-      // Try to navigate to the correct month/year first
-      const currentMonth = new Date().getMonth() + 1;
-      const currentYear = new Date().getFullYear();
-      const monthsDiff = (year - currentYear) * 12 + (month - currentMonth);
-      
-      if (monthsDiff !== 0) {
-        console.log(`   Need to navigate ${monthsDiff > 0 ? 'forward' : 'back'} ${Math.abs(monthsDiff)} month(s)`);
-        
-        const navSelectors = [
-          'button[aria-label*="next" i]',
-          'button[aria-label*="Next" i]',
-          'button[aria-label*="forward" i]',
-          'button[aria-label*=">" i]',
-          '[class*="next"]',
-          '[class*="Next"]',
-          'button:has-text(">")',
-          'button:has-text("›")',
-          'button:has-text("→")'
-        ];
-        
-        const prevSelectors = [
-          'button[aria-label*="previous" i]',
-          'button[aria-label*="Previous" i]',
-          'button[aria-label*="back" i]',
-          'button[aria-label*="<" i]',
-          '[class*="prev"]',
-          '[class*="Prev"]',
-          'button:has-text("<")',
-          'button:has-text("‹")',
-          'button:has-text("←")'
-        ];
-        
-        const navButtons = monthsDiff > 0 ? navSelectors : prevSelectors;
-        
-        for (const navSelector of navButtons) {
-          try {
-            const navButton = await page.locator(navSelector).first();
-            if (await navButton.isVisible({ timeout: 2000 })) {
-              const clicks = Math.abs(monthsDiff);
-              for (let i = 0; i < clicks; i++) {
-                await navButton.click();
-                await page.waitForTimeout(800); // Wait for calendar to update
-              }
-              console.log(`   ✅ Navigated ${clicks} month(s)`);
-              await page.waitForTimeout(1000);
-              break;
-            }
-          } catch (error) {
-            continue;
-          }
-        }
-      }
-      
-      // Now try to find and click the day
-      const calendarSelectors = [
-        `button:has-text("${day}")`,
-        `[aria-label*="${day}" i]`,
-        `[data-date*="${targetDate}"]`,
-        `[data-date*="${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}"]`,
-        '[role="gridcell"]',
-        '[class*="calendar-day"]',
-        '[class*="date-cell"]',
-        'td[data-date]',
-        'button[data-date]',
-        '[aria-label*="day" i]',
-        'div[role="button"]'
-      ];
-      
-      for (const selector of calendarSelectors) {
-        try {
-          const dateElements = await page.locator(selector).all();
-          console.log(`   Found ${dateElements.length} elements with selector: ${selector}`);
-          
-          for (const element of dateElements) {
-            const text = await element.textContent();
-            const ariaLabel = await element.getAttribute('aria-label') || '';
-            const dataDate = await element.getAttribute('data-date') || '';
-            const isDisabled = await element.getAttribute('disabled') || await element.getAttribute('aria-disabled') === 'true';
-            
-            if (isDisabled) continue;
-            
-            // Check if this element matches our target date
-            const elementDate = dataDate || ariaLabel || text || '';
-            
-            // Try to match the day number - be more flexible
-            const dayMatch = text?.trim() === day.toString() || 
-                           text?.trim() === `0${day}` ||
-                           elementDate.includes(day.toString());
-            
-            if (dayMatch) {
-              // Check if it's in the right month context
-              const parentText = await element.evaluate(el => {
-                let parent = el.parentElement;
-                let attempts = 0;
-                let fullContext = '';
-                while (parent && attempts < 10) {
-                  const text = parent.textContent || '';
-                  fullContext += text + ' ';
-                  parent = parent.parentElement;
-                  attempts++;
-                }
-                return fullContext;
-              });
-              
-              // Check if parent context mentions the month/year
-              const hasMonth = parentText.includes(monthName) || 
-                              parentText.includes(month.toString()) ||
-                              parentText.includes(monthNames[month - 1].substring(0, 3));
-              
-              // If data-date attribute exists and matches, that's definitive
-              if (dataDate && dataDate.includes(targetDate)) {
-                await element.click();
-                dateSelected = true;
-                console.log(`✅ Clicked date ${day} (matched by data-date: ${dataDate})`);
-                await page.waitForTimeout(2000);
-                break;
-              } else if (hasMonth || !parentText) {
-                // Try clicking if month matches or if we can't determine context
-                await element.click();
-                dateSelected = true;
-                console.log(`✅ Clicked date ${day} (matched by text: ${text})`);
-                await page.waitForTimeout(2000);
-                break;
-              }
-            }
-          }
-          
-          if (dateSelected) break;
-        } catch (error) {
-          continue;
-        }
-      }
-    }
-    
-    if (!dateSelected) {
-      console.log('⚠️  Could not select date automatically, continuing...');
-      console.log('   The script will continue but may not find availability for the selected date');
-    }
-  } catch (error) {
-    console.log(`⚠️  Error selecting date: ${error.message}`);
+// Who hears about a watch's slots and bookings: each of its subscribers, or the
+// global notifiers when it has none. [{ subscriber, notifiers }], where
+// subscriber is the id its dedup is kept under (null for the global notifiers).
+function recipientsOf(checker, watch) {
+  const subscribers = subscribersOf(checker.subscribers, watch.id);
+  return subscribers.length > 0
+    ? subscribers.map(({ id, notifiers }) => ({ subscriber: id, notifiers }))
+    : [{ subscriber: null, notifiers: checker.notifiers }];
+}
+
+// Send a notification for a slot through `notifiers`, naming every party size
+// in `partySizes` the table fits
+async function sendNotification(checker, slot, watch, notifiers, partySizes) {
+  const notification = buildSlotNotification(slot, watch, { showWatchId: checker.watches.length > 1, partySizes });
+  const sent = await sendToAll(notifiers, notification);
+  
+  if (!sent) {
+    logger.error(`❌ No notifier delivered the notification for ${slot.time}`);
   }
+  return sent;
 }
 
-// Select party size in the booking widget
-async function selectPartySize(page, partySize) {
+// Stage: select party size in the booking widget. Throws a WidgetError if it can't be set.
+async function selectPartySize(page, partySize, selectors, matched) {
+  let partySizeSelected = false;
   try {
     const partySizeNum = parseInt(partySize, 10);
     
     // Wait a bit for widget to be ready
     await page.waitForTimeout(500);
     
-    // Try various party size selectors - be more comprehensive
-    const partySelectors = [
-      `select[name*="party" i]`,
-      `select[name*="guest" i]`,
-      `select[name*="people" i]`,
-      `select[name*="guests" i]`,
-      `input[name*="party" i]`,
-      `input[name*="guest" i]`,
-      `input[name*="people" i]`,
-      `input[name*="guests" i]`,
-      `input[type="number"]`,
-      `[data-testid*="party"]`,
-      `[data-testid*="guest"]`,
-      `[id*="party"]`,
-      `[id*="guest"]`,
-      `[class*="party"]`,
-      `[class*="guest"]`,
-      `[class*="Guest"]`,
-      `button:has-text("${partySize}")`,
-      `[aria-label*="party" i]`,
-      `[aria-label*="guest" i]`,
-      `[aria-label*="Guests" i]`,
-      `label:has-text("Guest")`,
-      `label:has-text("guests")`,
-      `div:has-text("Guests")`
-    ];
-    
-    let partySizeSelected = false;
+    // Party size controls for this venue (see partySize in src/venues/selectors.js)
+    const partySelectors = fillSelectors(selectors.partySize, { partySize });
     
     // Try to find and set party size input/select
-    for (const selector of partySelectors) {
+    for (const [index, selector] of partySelectors.entries()) {
       try {
         const element = await page.locator(selector).first();
         if (await element.isVisible({ timeout: 2000 })) {
-          console.log(`   Found party size element with selector: ${selector}`);
-          
           const tagName = await element.evaluate(el => el.tagName.toLowerCase());
           
           if (tagName === 'select') {
             try {
               await element.selectOption(partySizeNum.toString());
-              partySizeSelected = true;
-              console.log(`✅ Selected party size ${partySize} from dropdown`);
-              await page.waitForTimeout(1000);
-              break;
+              // Verify it was set
+              if (await element.inputValue() === partySizeNum.toString()) {
+                partySizeSelected = true;
+                logger.log(`✅ Selected party size ${partySize} from dropdown`);
+                await page.waitForTimeout(1000);
+              }
             } catch (error) {
-              console.log(`   Select option failed: ${error.message}`);
+              logger.log(`   Select option failed: ${error.message}`);
               continue;
             }
           } else if (tagName === 'input') {
@@ -418,12 +263,11 @@ async function selectPartySize(page, partySize) {
               const value = await element.inputValue();
               if (value === partySizeNum.toString()) {
                 partySizeSelected = true;
-                console.log(`✅ Set party size input to ${partySize}`);
+                logger.log(`✅ Set party size input to ${partySize}`);
                 await page.waitForTimeout(1000);
-                break;
               }
             } catch (error) {
-              console.log(`   Input fill failed: ${error.message}`);
+              logger.log(`   Input fill failed: ${error.message}`);
               continue;
             }
           } else if (tagName === 'button' || tagName === 'div') {
@@ -431,9 +275,8 @@ async function selectPartySize(page, partySize) {
             try {
               await element.click();
               partySizeSelected = true;
-              console.log(`✅ Clicked party size element for ${partySize}`);
+              logger.log(`✅ Clicked party size element for ${partySize}`);
               await page.waitForTimeout(1000);
-              break;
             } catch (error) {
               continue;
             }
@@ -447,9 +290,8 @@ async function selectPartySize(page, partySize) {
                   await input.fill(partySizeNum.toString());
                   await input.press('Enter');
                   partySizeSelected = true;
-                  console.log(`✅ Set party size via label to ${partySize}`);
+                  logger.log(`✅ Set party size via label to ${partySize}`);
                   await page.waitForTimeout(1000);
-                  break;
                 }
               }
             } catch (error) {
@@ -460,38 +302,27 @@ async function selectPartySize(page, partySize) {
       } catch (error) {
         continue;
       }
+
+      // Note the selector that set it, as registered, so runs for other party sizes compare alike
+      if (partySizeSelected) {
+        matched.partySize = selectors.partySize[index];
+        break;
+      }
     }
     
     // If not found, try increment/decrement buttons
     if (!partySizeSelected) {
-      console.log('   Trying increment/decrement buttons...');
+      logger.log('   Trying increment/decrement buttons...');
       try {
-        const incrementSelectors = [
-          'button[aria-label*="increase" i]',
-          'button[aria-label*="increment" i]',
-          'button[aria-label*="+" i]',
-          'button:has-text("+")',
-          '[class*="increment"]',
-          '[class*="increase"]'
-        ];
-        
-        const decrementSelectors = [
-          'button[aria-label*="decrease" i]',
-          'button[aria-label*="decrement" i]',
-          'button[aria-label*="-" i]',
-          'button:has-text("-")',
-          '[class*="decrement"]',
-          '[class*="decrease"]'
-        ];
-        
         let incrementButton = null;
         let decrementButton = null;
         
-        for (const selector of incrementSelectors) {
+        for (const selector of selectors.partySizeIncrement) {
           try {
             const btn = await page.locator(selector).first();
             if (await btn.isVisible({ timeout: 1000 })) {
               incrementButton = btn;
+              matched.partySizeIncrement = selector;
               break;
             }
           } catch (error) {
@@ -499,11 +330,12 @@ async function selectPartySize(page, partySize) {
           }
         }
         
-        for (const selector of decrementSelectors) {
+        for (const selector of selectors.partySizeDecrement) {
           try {
             const btn = await page.locator(selector).first();
             if (await btn.isVisible({ timeout: 1000 })) {
               decrementButton = btn;
+              matched.partySizeDecrement = selector;
               break;
             }
           } catch (error) {
@@ -513,16 +345,8 @@ async function selectPartySize(page, partySize) {
         
         if (incrementButton || decrementButton) {
           // Try to find current party size value
-          const valueSelectors = [
-            'input[type="number"]',
-            '[class*="party"]',
-            '[class*="guest"]',
-            '[class*="value"]',
-            '[data-value]'
-          ];
-          
           let currentValue = 1;
-          for (const selector of valueSelectors) {
+          for (const selector of selectors.partySizeValue) {
             try {
               const valueElement = await page.locator(selector).first();
               if (await valueElement.isVisible({ timeout: 1000 })) {
@@ -532,7 +356,8 @@ async function selectPartySize(page, partySize) {
                 } else {
                   currentValue = parseInt(await valueElement.textContent() || '1', 10);
                 }
-                console.log(`   Current party size: ${currentValue}`);
+                logger.log(`   Current party size: ${currentValue}`);
+                matched.partySizeValue = selector;
                 break;
               }
             } catch (error) {
@@ -551,837 +376,1050 @@ async function selectPartySize(page, partySize) {
                 await page.waitForTimeout(400);
               }
               partySizeSelected = true;
-              console.log(`✅ Adjusted party size to ${partySize} using ${diff > 0 ? 'increment' : 'decrement'} buttons`);
+              logger.log(`✅ Adjusted party size to ${partySize} using ${diff > 0 ? 'increment' : 'decrement'} buttons`);
             }
           } else {
             partySizeSelected = true;
-            console.log(`✅ Party size already set to ${partySize}`);
+            logger.log(`✅ Party size already set to ${partySize}`);
           }
         }
       } catch (error) {
-        console.log(`   Button adjustment failed: ${error.message}`);
+        logger.log(`   Button adjustment failed: ${error.message}`);
       }
     }
-    
-    if (!partySizeSelected) {
-      console.log('⚠️  Could not select party size automatically, continuing...');
-      console.log('   The script will continue but may not find correct availability');
-    }
   } catch (error) {
-    console.log(`⚠️  Error selecting party size: ${error.message}`);
+    logger.log(`⚠️  Error selecting party size: ${error.message}`);
   }
-}
 
-// Extract times recursively from data structure, optionally filtered by date
-function extractTimes(data, times = new Set(), visited = new WeakSet(), filterDate = null) {
-  if (data === null || data === undefined) return times;
-  
-  // Avoid circular references (only for objects)
-  if (typeof data === 'object' && data !== null) {
-    if (visited.has(data)) return times;
-    visited.add(data);
+  if (!partySizeSelected) {
+    throw new WidgetError('partySize', `Could not set the party size to ${partySize}`);
   }
-  
-  // Handle arrays
-  if (Array.isArray(data)) {
-    data.forEach(item => extractTimes(item, times, visited));
-    return times;
-  }
-  
-  // Handle objects
-  if (typeof data === 'object') {
-    // Check common time-related keys
-    const timeKeys = ['time', 'times', 'slots', 'available_times', 'start_time', 'startTime', 'slot', 'availability', 'reservationTime'];
-    
-    for (const [key, value] of Object.entries(data)) {
-      const lowerKey = key.toLowerCase();
-      
-      // If key suggests time data, process it
-      if (timeKeys.some(tk => lowerKey.includes(tk.toLowerCase()))) {
-        extractTimes(value, times, visited);
+}
+
+// Today's date in a time zone (a watch's venue, or the local one without) -
+// the day of the recording when replaying one
+function currentDate(checker, timeZone) {
+  return checker.recording && checker.recording.mode === 'replay' ? checker.recording.manifest.recordedOn : todayIn(timeZone);
+}
+
+// The earliest "today" of any watch: dates before it are past everywhere
+function earliestToday(checker) {
+  return checker.watches.map(watch => currentDate(checker, watch.timezone)).sort()[0] || currentDate(checker);
+}
+
+// Browser shared by every check in a run - and by every run in daemon mode.
+// Chromium is only launched once a watch actually needs the widget, and is
+// relaunched if it crashed since the last check. While debug artifacts are
+// collected, each run gets a context of its own that records its HAR and trace.
+function createBrowserSession(checker) {
+  let browser = null;
+  let context = null;
+  let tracing = false;
+
+  return {
+    async getContext() {
+      if (!browser || !browser.isConnected()) {
+        // Loaded here, so the library and API checks don't need Playwright
+        const { chromium } = require('playwright');
+        browser = await withRetry('Browser launch', () => chromium.launch({ headless: true }), checker.retryPolicy);
+        context = null;
       }
-      
-      // Recursively process all values
-      extractTimes(value, times, visited);
-    }
-    
-    return times;
-  }
-  
-  // Handle strings
-  if (typeof data === 'string') {
-    // Match HH:MM format
-    const timeMatch = data.match(/\b(\d{1,2}):(\d{2})\b/);
-    if (timeMatch) {
-      const hours = parseInt(timeMatch[1], 10);
-      const minutes = parseInt(timeMatch[2], 10);
-      if (hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60) {
-        const formattedTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-        times.add(formattedTime);
+      if (!context) {
+        context = await browser.newContext({
+          userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          // A recording keeps its own HAR
+          ...artifactContextOptions(checker.artifactRun),
+          ...contextOptions(checker.recording)
+        });
+        await prepareContext(context, checker.recording);
+        tracing = Boolean(checker.artifactRun);
+        if (tracing) {
+          await context.tracing.start({ screenshots: true, snapshots: true });
+        }
       }
+      return context;
+    },
+
+    // Close the context but keep the browser, saving its trace to `traceFile`
+    // (or dropping it without one). Closing is what writes the context's HAR.
+    async closeContext(traceFile) {
+      if (!context) return;
+      if (tracing) {
+        await context.tracing.stop(traceFile ? { path: traceFile } : {}).catch(error => logger.error(`   Could not save the trace: ${error.message}`));
+      }
+      await context.close().catch(() => {});
+      context = null;
+      tracing = false;
+    },
+
+    async close() {
+      // Closing the context first is what writes a recording's HAR
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+      browser = null;
+      context = null;
     }
-    
-    // Match ISO datetime strings
-    const isoMatch = data.match(/\d{4}-\d{2}-\d{2}T(\d{2}):(\d{2}):/);
-    if (isoMatch) {
-      const hours = parseInt(isoMatch[1], 10);
-      const minutes = parseInt(isoMatch[2], 10);
-      const formattedTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-      times.add(formattedTime);
-    }
+  };
+}
+
+// The configured watches
+function getWatches(checker) {
+  return checker.watches;
+}
+
+// The ids of the subscribers a watch notifies instead of the global notifiers
+function getSubscriberIds(checker, watchId) {
+  return subscribersOf(checker.subscribers, watchId).map(subscriber => subscriber.id);
+}
+
+// Add a watch-list entry while running; it isn't written to the watch-list
+// file. Throws ConfigError when the entry isn't valid or its id is taken.
+function addWatch(checker, entry) {
+  const [watch] = parseWatchlist([entry]).watches;
+  const { problems } = validateWatches([watch]);
+  problems.push(...validateBookingOptions(bookingOptions(watch, checker.env)));
+  if (checker.watches.some(existing => existing.id === watch.id)) {
+    problems.push({ key: 'id', message: `There is already a watch "${watch.id}"`, fix: 'give the watch its own id, or remove the other one first' });
   }
-  
-  return times;
+  if (problems.length > 0) {
+    throw new ConfigError('Invalid watch', problems.map(problem => ({ ...problem, key: problem.key.replace(/^watches\[0\]\.?/, '') })));
+  }
+
+  checker.watches.push(watch);
+  logger.log(`➕ Watch "${watch.id}" added: ${watch.url}, ${describeDates(watch)}, party size ${describePartySizes(watch.partySizes, watch.preferredPartySize)}`);
+  return watch;
 }
 
-// Check if a JSON response contains times for the selected date
-function hasTimesForDate(json, selectedDate) {
-  if (!json || typeof json !== 'object') return false;
-  
-  const jsonStr = JSON.stringify(json).toLowerCase();
-  const [year, month, day] = selectedDate.split('-').map(Number);
-  const dateStr = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-  const dateStrAlt = `${month}/${day}/${year}`;
-  const dateStrAlt2 = `${day}/${month}/${year}`;
-  
-  // Check if the JSON contains the selected date
-  return jsonStr.includes(dateStr) || 
-         jsonStr.includes(dateStrAlt) || 
-         jsonStr.includes(dateStrAlt2) ||
-         jsonStr.includes(`${day} ${['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'][month - 1]}`);
+// Remove a watch by id. Returns it, or null when there is none. Its state is
+// kept until its dates have passed.
+function removeWatch(checker, id) {
+  const index = checker.watches.findIndex(watch => watch.id === id);
+  if (index === -1) return null;
+  const [watch] = checker.watches.splice(index, 1);
+  logger.log(`➖ Watch "${id}" removed`);
+  return watch;
+}
+
+// Pause or resume a watch by id. Returns it, or null when there is none. A
+// paused watch is skipped by checks but keeps its state.
+function setWatchPaused(checker, id, paused) {
+  const watch = checker.watches.find(existing => existing.id === id);
+  if (!watch) return null;
+  if (watch.paused !== paused) {
+    watch.paused = paused;
+    logger.log(paused ? `⏸️  Watch "${id}" paused` : `▶️  Watch "${id}" resumed`);
+  }
+  return watch;
+}
+
+// Hold off slot notifications until `until` (a Date), or resume them with null
+function snoozeNotifications(checker, until) {
+  checker.snoozedUntil = until;
+  logger.log(until ? `😴 Notifications snoozed until ${until.toISOString()}` : '🔔 Notifications resumed');
 }
 
-// Main checking function
-async function checkAvailability() {
-  const state = loadState();
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+// When notifications resume, or null when they aren't snoozed
+function notificationsSnoozedUntil(checker) {
+  return checker.snoozedUntil && new Date() < checker.snoozedUntil ? checker.snoozedUntil : null;
+}
+
+// Book a slot of a watch (one its checks saw) the next time a check sees it in
+// a window, with the watch's auto-book settings, even with auto-book off.
+// Resolves with the booking result ({ status, message }), or null once
+// cancelBookingRequest() gives up on it. Throws ConfigError when the watch
+// doesn't exist or its booking settings aren't complete.
+function requestBooking(checker, watchId, slot) {
+  const watch = checker.watches.find(existing => existing.id === watchId);
+  if (!watch) {
+    throw new ConfigError(`No watch "${watchId}"`);
+  }
+  const problems = validateBookingOptions({ ...bookingOptions(watch, checker.env), enabled: true });
+  if (problems.length > 0) {
+    throw new ConfigError(`Can't book for "${watchId}"`, problems);
+  }
+
+  const key = bookingRequestKey(watchId, slot);
+  const previous = checker.bookingRequests.get(key);
+  return new Promise(resolve => {
+    checker.bookingRequests.set(key, result => {
+      checker.bookingRequests.delete(key);
+      if (previous) previous(result);
+      resolve(result);
+    });
   });
-  const page = await context.newPage();
+}
 
-  const relevantUrls = [];
-  const jsonResponses = [];
-  const allExtractedTimes = new Set();
+// Settle a booking request with its result, if there is one
+function settleBookingRequest(checker, watchId, slot, result) {
+  const settle = checker.bookingRequests.get(bookingRequestKey(watchId, slot));
+  if (settle) settle(result);
+}
 
-  // Monitor network responses from main page
-  page.on('response', async (response) => {
-    const url = response.url();
-    const urlLower = url.toLowerCase();
-    
-    // Check if URL matches our patterns
-    const urlPatterns = ['sevenrooms', 'availability', 'reservation', 'search', 'slot', 'booking', 'inventory'];
-    const matchesPattern = urlPatterns.some(pattern => urlLower.includes(pattern));
-    
-    if (matchesPattern && relevantUrls.length < 50) {
-      relevantUrls.push(url);
-      console.log(`📡 [${relevantUrls.length}/50] ${url}`);
-      
-      // Try to parse as JSON
-      try {
-        const contentType = response.headers()['content-type'] || '';
-        if (contentType.includes('json') || urlLower.includes('.json')) {
-          const json = await response.json().catch(() => null);
-          if (json) {
-            jsonResponses.push({ url, data: json });
-            // Only extract times if this response is for the selected date
-            if (hasTimesForDate(json, DATE)) {
-              const times = extractTimes(json);
-              times.forEach(time => allExtractedTimes.add(time));
-            }
-          }
-        }
-      } catch (error) {
-        // Not JSON or parsing failed, ignore
-      }
-    }
+// Give up on a booking request: it resolves with null
+function cancelBookingRequest(checker, watchId, slot) {
+  settleBookingRequest(checker, watchId, slot, null);
+}
+
+// History records, oldest first (none when HISTORY_FILE is off)
+function getHistory(checker) {
+  return checker.history.file ? readHistory(checker.history.file) : [];
+}
+
+// Send a sample notification through every configured notifier. Resolves with
+// { delivered, notifiers, dryRun }; a dry run sends nothing.
+async function sendTestNotification(checker) {
+  const notification = buildTestNotification(checker.watches[0] || { id: 'sevenrooms-bot', url: 'https://www.sevenrooms.com' });
+  const notifiers = checker.notifiers.map(notifier => notifier.name);
+  logger.log(`🧪 Sending a test notification via ${notifiers.join(', ')}...`);
+  if (checker.dryRun) {
+    logger.log(`🧪 Dry run - not sending: ${notification.message}`);
+    return { delivered: false, notifiers, dryRun: true };
+  }
+  return { delivered: await sendToAll(checker.notifiers, notification), notifiers, dryRun: false };
+}
+
+// Whether any watch still has a date today or later
+function hasUpcomingDates(checker) {
+  return checker.watches.some(watch => {
+    const today = currentDate(checker, watch.timezone);
+    return expandDates(watch, today).some(date => date >= today);
   });
+}
+
+// Main checking function - goes through every watch using one browser session.
+// Resolves with { results, failures }: what each date / party size check found
+// ({ watchId, date, partySize, slots, slotsInWindow, notified, gone }) and the checks
+// that failed after all retries.
+async function checkAvailability(checker, session) {
+  const state = await checker.stateStore.load();
+  const results = [];
+  const failures = [];
+  const pruned = prunePastDates(state, earliestToday(checker));
+  if (pruned > 0) {
+    logger.log(`🧹 Pruned ${pruned} state entr${pruned === 1 ? 'y' : 'ies'} for past dates`);
+  }
+
+  checker.artifactRun = checker.artifacts && startArtifactRun(checker.artifacts);
+
+  // What earlier page loads and checks this run showed, by venue, date and party
+  // size: watches on the same venue share them, so several people watching the
+  // same table cost one check
+  const seenElsewhere = new Map();
+  const seenKey = (watch, { date, partySize }) => `${watch.venue || venueSlugFromUrl(watch.url) || watch.url}_${date}_${partySize}`;
 
   try {
-    let hasNoAvailabilityForSelectedDate = false; // Set true if we see "Unfortunately there is no availability at the selected time"
-    
-    console.log(`\n🌐 Loading booking page: ${BOOKING_URL}`);
-    
-    // Add random delay before loading (anti-bot)
-    const delay = Math.floor(Math.random() * 5000) + 3000; // 3-8 seconds
-    console.log(`⏳ Waiting ${delay}ms before loading...`);
-    await new Promise(resolve => setTimeout(resolve, delay));
-    
-    // Load page with timeout
-    await page.goto(BOOKING_URL, { 
-      waitUntil: 'networkidle',
-      timeout: 30000 
-    });
-    
-    console.log('✅ Page loaded');
-    
-    // Wait for page to be fully interactive
-    await page.waitForTimeout(2000);
-    
-    // First, click "BOOK A TABLE" button to open the booking widget
-    console.log('🔘 Clicking "BOOK A TABLE" button...');
-    const bookTableSelectors = [
-      'a:has-text("BOOK A TABLE")',
-      'a:has-text("Book a table")',
-      'button:has-text("BOOK A TABLE")',
-      'button:has-text("Book a table")',
-      'a[href*="sevenrooms"]',
-      'a[href*="reservations"]',
-      '[class*="book"]',
-      'a:has-text("Book")',
-      'button:has-text("Book")'
-    ];
-    
-    let bookTableClicked = false;
+    // A copy, as watches can be added, removed and paused while a check runs
+    for (const watch of checker.watches.filter(({ paused }) => !paused)) {
+      const today = currentDate(checker, watch.timezone);
+      const targets = expandTargets(watch, today).filter(target => target.date >= today);
+      logger.log(`\n👀 Watch "${watch.id}": ${targets.length} date/party size combination(s)`);
 
-    for (const selector of bookTableSelectors) {
-      try {
-        const bookButton = await page.locator(selector).first();
-        if (await bookButton.isVisible({ timeout: 3000 })) {
-          console.log(`   Found "BOOK A TABLE" button with selector: ${selector}`);
-          const href = await bookButton.getAttribute('href').catch(() => null);
-
-          if (href) {
-            // Link - wait for either navigation or iframe to appear (same-page overlay)
-            console.log('   Clicking link (same page)...');
-            await bookButton.click();
-            bookTableClicked = true;
-            console.log('✅ Clicked "BOOK A TABLE" button');
-            // Wait for widget: either iframe to appear (overlay) or navigation
-            await page.waitForTimeout(5000);
-            break;
-          } else {
-            await bookButton.click();
-            console.log('✅ Clicked "BOOK A TABLE" button');
-            bookTableClicked = true;
-            await page.waitForTimeout(5000);
-            break;
+      // A date's slots are notified once all its party sizes are checked, so a
+      // table that fits several of them goes out once, naming each
+      let pending = [];
+      for (const [index, target] of targets.entries()) {
+        logger.log(`\n📅 [${watch.id}] ${target.date} for ${target.partySize} people`);
+        try {
+          const seen = seenElsewhere.get(seenKey(watch, target));
+          const covered = seen && await checkTargetFromOtherDates(checker, watch, target, seen, state);
+          const { otherDates = [], toNotify = [], ...result } = covered || await checkTarget(checker, session.getContext, watch, target, state);
+          for (const other of otherDates) {
+            const key = seenKey(watch, other);
+            if (!seenElsewhere.has(key) || other.complete) seenElsewhere.set(key, other);
+          }
+          if (!covered) {
+            // Only a widget check says which selectors it used
+            const source = result.selectors ? 'browser' : 'api';
+            seenElsewhere.set(seenKey(watch, target), { ...target, slots: result.slots, complete: true, checkedFor: watch.id, source });
           }
+          const entry = { watchId: watch.id, ...target, ...result, notified: [] };
+          results.push(entry);
+          pending.push({ entry, toNotify });
+        } catch (error) {
+          // Stages retry on their own; whatever reaches here has used up its attempts
+          logger.error(`\n❌ Error during check: ${error.message}`);
+          logger.debug(`   Stack: ${error.stack}`);
+          failures.push({ watchId: watch.id, target, error });
+        }
+
+        const next = targets[index + 1];
+        if (!next || next.date !== target.date) {
+          const notified = await notifyNewSlots(checker, watch, pending.flatMap(({ toNotify }) => toNotify), state);
+          pending.forEach(({ entry }) => {
+            entry.notified = notified.filter(slot => slot.partySize === entry.partySize);
+          });
+          pending = [];
         }
-      } catch (error) {
-        continue;
       }
     }
-
-    if (!bookTableClicked) {
-      console.log('⚠️  Could not find "BOOK A TABLE" button, trying to continue...');
+  } finally {
+    if (!checker.dryRun) {
+      await checker.stateStore.save(state);
     }
-
-    // We stay on gloria-osteria.com - widget loads in iframe on same page
-    const widgetPage = page;
-    console.log('⏳ Waiting for SevenRooms iframe to appear...');
-    
-    // Wait for iframe element to exist first
-    let iframeElement = null;
-    try {
-      iframeElement = await widgetPage.waitForSelector('iframe[src*="sevenrooms"], iframe[src*="gloriadublin"], iframe[src*="reservations"]', {
-        timeout: 20000
-      });
-      console.log('✅ Iframe element found');
-    } catch (e) {
-      console.log('⚠️  Iframe element not found:', e.message);
+    if (checker.artifactRun) {
+      const keep = shouldKeepArtifacts(checker.artifactRun, { failures });
+      await session.closeContext(keep ? tracePath(checker.artifactRun) : null);
+      finishArtifactRun(checker.artifactRun, { results, failures }, keep);
+      checker.artifactRun = null;
     }
+  }
 
-    if (!iframeElement) {
-      console.log('⚠️  Trying alternative iframe selectors...');
-      try {
-        iframeElement = await widgetPage.waitForSelector('iframe', { timeout: 10000 });
-        const src = await iframeElement.getAttribute('src');
-        console.log(`   Found iframe with src: ${src?.substring(0, 80)}`);
-      } catch (e) {
-        console.log('❌ No iframe found at all');
-      }
-    }
+  return { results, failures };
+}
+
+// Log checks that failed after every retry
+function reportFailures(checker, failures) {
+  logger.error(`\n❌ ${failures.length} check(s) failed after ${checker.retryPolicy.maxAttempts} attempt(s):`);
+  failures.forEach(({ watchId, target, error }) => logger.error(`   - [${watchId}] ${target.date} for ${target.partySize}: ${error.message}`));
+}
+
+// Check a target from what the page for another date showed about it, without
+// loading its own page. `seen` is { date, partySize, slots, complete, seenOn }:
+// complete when it came from an availability response covering the whole date,
+// otherwise from the "Other dates with availability" section, which may list only
+// some of the times. Resolves with null when the date needs its own page load:
+// the section shows nothing in the window (other times may still be open), or
+// there is a slot to book, which needs the widget.
+// `seen` can also be another watch's check of the same venue, date and party
+// size this run: { date, partySize, slots, complete: true, checkedFor, source }.
+async function checkTargetFromOtherDates(checker, watch, target, seen, state) {
+  const slots = mergeSlots(seen.slots).filter(slot => slot.confidence >= checker.minConfidence);
+  const slotsInWindow = slotsInWindows(slots, watch.windows);
+  if (!seen.complete && slotsInWindow.length === 0) return null;
+
+  if (slotToBook(checker, getNamespace(state, watch.id), watch, slotsInWindow)) return null;
+
+  logger.log(seen.checkedFor
+    ? `\n⏩ Already checked for "${seen.checkedFor}" this run, using that result`
+    : `\n⏩ Covered by the ${seen.seenOn} page (${seen.complete ? 'availability response' : '"Other dates with availability"'}), skipping its own page load`);
+  logger.log(`\n⏰ Extracted slots: ${describeExtracted(slots)}`);
+  // A partial list would mark the times it leaves out as gone, so only a full one is recorded
+  const gone = seen.complete ? recordResult(checker, state, watch, target, slots, seen.source || 'browser') : [];
+
+  const windowsLabel = watch.windows.map(describeWindow).join(', ');
+  logger.log(`\n🎯 Slots in window (${windowsLabel}): ${slotsInWindow.length > 0 ? slotsInWindow.map(slot => slot.time).join(', ') : 'none'}`);
+
+  if (slotsInWindow.length === 0) {
+    logger.log('\n❌ No times found in the specified window');
+  }
+  return { slots, slotsInWindow, toNotify: slotsInWindow, gone };
+}
 
-    // Wait for iframe content to load
-    await widgetPage.waitForTimeout(8000); // Give React app time to render
+// Check one target through the API when possible, otherwise through the widget.
+// Recording and replaying always use the widget, as that is what they capture.
+// Resolves with { slots, slotsInWindow, toNotify, gone }, plus otherDates when the
+// widget showed availability for other dates too (see checkWatchTarget). toNotify
+// is what checkAvailability notifies once every party size for the date is checked.
+async function checkTarget(checker, getContext, watch, target, state) {
+  const mode = checker.recording ? 'browser' : watch.mode || checker.checkMode;
 
-    let iframe = null;
-    let targetPage = widgetPage;
-    let dateButtonClicked = false;
-    const [year, month, day] = DATE.split('-').map(Number);
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const monthName = monthNames[month - 1];
-    const monthNameShort = monthName.substring(0, 3);
+  if (mode !== 'browser') {
+    const venue = watch.venue || venueSlugFromUrl(watch.url);
 
-    if (iframeElement) {
+    if (venue) {
       try {
-        iframe = await iframeElement.contentFrame();
-        if (iframe) {
-          console.log('✅ Got iframe content frame');
-          targetPage = iframe;
-          // Wait for iframe to be ready
-          await iframe.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
-          await widgetPage.waitForTimeout(5000);
+        const result = await checkWatchTargetViaApi(checker, venue, watch, target, state);
+        // Booking needs the widget, so open it only when there is something to book
+        if (slotToBook(checker, getNamespace(state, watch.id), watch, result.slotsInWindow)) {
+          logger.log('\n🤖 Opening the booking widget to auto-book...');
+          // The API check has recorded this target already
+          await checkWatchTarget(checker, await getContext(), watch, target, state, { bookOnly: true });
         }
-      } catch (e) {
-        console.log('⚠️  Could not get iframe content frame:', e.message);
+        return result;
+      } catch (error) {
+        if (mode === 'api') throw error;
+        logger.log(`⚠️  Availability API failed (${error.message}), falling back to the booking widget...`);
       }
+    } else if (mode === 'api') {
+      throw new Error(`Could not work out the SevenRooms venue from ${watch.url} - set "venue" on the watch`);
+    } else {
+      logger.log('ℹ️  No SevenRooms venue in the booking URL, using the booking widget');
     }
+  }
 
-    // Try frameLocator approach
-    const iframeSelectors = [
-      'iframe[src*="sevenrooms"]',
-      'iframe[src*="gloriadublin"]',
-      'iframe[src*="reservations"]',
-      'iframe[title*="Reservation"]',
-      'iframe[src*="widget"]',
-      'iframe'
-    ];
-
-    for (const iframeSel of iframeSelectors) {
-      try {
-        console.log(`   Trying iframe selector: ${iframeSel}`);
-        const frameLoc = page.frameLocator(iframeSel).first();
-        const dateBtn = frameLoc.locator('[data-test="sr-reservation-date"]').first();
-        
-        // Try 'attached' first (element exists in DOM), then 'visible'
-        try {
-          await dateBtn.waitFor({ state: 'attached', timeout: 5000 });
-          console.log('   Date button exists in DOM');
-        } catch (e) {}
-        
-        await dateBtn.waitFor({ state: 'visible', timeout: 20000 });
-        console.log('✅ Found date button inside iframe via frameLocator');
-        
-        const ariaLabel = await dateBtn.getAttribute('aria-label').catch(() => '');
-        console.log(`   Button aria-label: "${ariaLabel}"`);
-        
-        await dateBtn.click();
-        dateButtonClicked = true;
-        
-        // Get iframe reference for later
-        if (!iframe) {
-          const iframeEl = await page.locator(iframeSel).first().elementHandle();
-          if (iframeEl) {
-            iframe = await iframeEl.contentFrame();
-            targetPage = iframe;
-          }
-        }
-        
-        console.log('✅ Clicked date button');
-        await page.waitForTimeout(2000);
-        break;
-      } catch (e) {
-        console.log(`   Failed with ${iframeSel}: ${e.message}`);
+  return checkWatchTarget(checker, await getContext(), watch, target, state);
+}
+
+// Check a single date / party size through the SevenRooms availability API
+async function checkWatchTargetViaApi(checker, venue, watch, target, state) {
+  logger.log(`\n⚡ Querying availability API for venue "${venue}"...`);
+  const slots = await withRetry('Availability API', () => fetchAvailability({ venue, date: target.date, partySize: target.partySize, baseUrl: checker.env.SEVENROOMS_API_BASE || undefined }), checker.retryPolicy);
+
+  // The range endpoint can include neighbouring dates, keep only the one we asked for
+  const extractedSlots = mergeSlots(slots.filter(slot => slot.date === target.date));
+  logger.log(`\n⏰ Extracted slots: ${describeExtracted(extractedSlots)}`);
+  const gone = recordResult(checker, state, watch, target, extractedSlots, 'api');
+
+  const slotsInWindow = slotsInWindows(extractedSlots, watch.windows);
+  const windowsLabel = watch.windows.map(describeWindow).join(', ');
+  logger.log(`\n🎯 Slots in window (${windowsLabel}): ${slotsInWindow.length > 0 ? slotsInWindow.map(slot => slot.time).join(', ') : 'none'}`);
+
+  if (slotsInWindow.length === 0) {
+    logger.log('\n❌ No times found in the specified window');
+  }
+  return { slots: extractedSlots, slotsInWindow, toNotify: slotsInWindow, gone };
+}
+
+// Record every slot seen for a date / party size in the watch's state and the
+// check history. Returns the slots that have gone since the last check.
+function recordResult(checker, state, watch, target, slots, source) {
+  const gone = recordCheck(getNamespace(state, watch.id), target, slots);
+  if (checker.dryRun) return gone;
+  checker.history.append(historyRecord({
+    watch,
+    venue: watch.venue || venueSlugFromUrl(watch.url),
+    target,
+    slots,
+    source
+  }));
+  return gone;
+}
+
+// Book the slot asked for with requestBooking(), or auto-book the first
+// eligible slot, in the open widget and report how it went. The checkout
+// selectors that matched join this check's `matched` ones in the watch's state.
+async function autoBook(checker, page, targetPage, watch, slotsInWindow, state, matched) {
+  const namespace = getNamespace(state, watch.id);
+  const booking = slotToBook(checker, namespace, watch, slotsInWindow);
+  if (!booking) return;
+  const { slot } = booking;
+  const options = { ...booking.options, dryRun: booking.options.dryRun || checker.dryRun };
+
+  let result;
+  try {
+    result = await bookSlot(page, targetPage, slot, options, matched);
+  } catch (error) {
+    result = { status: 'failed', message: `Auto-book error: ${error.message}` };
+  }
+  recordSelectors(namespace, matched);
+  logger.log(`${result.status === 'failed' ? '❌' : '✅'} Auto-book ${result.status}: ${result.message}`);
+
+  recordBooking(namespace, slot, result);
+  settleBookingRequest(checker, watch.id, slot, result);
+  if (!checker.dryRun) {
+    for (const { notifiers } of recipientsOf(checker, watch)) {
+      await sendToAll(notifiers, buildBookingNotification(result, slot, watch));
+    }
+  }
+}
+
+// Send a notification for each table that hasn't been notified for this watch yet,
+// or that dropped and came back after the re-notify cooldown. `slots` can hold
+// the same table for several of the watch's party sizes: it goes out once,
+// listing each, and a table already notified at another size that is still
+// there is only marked notified. A watch with subscribers does this for each of
+// them on their own, through their own notifiers (see recipientsOf).
+// Resolves with the slots notified to anyone (or, in a dry run, that would have been).
+async function notifyNewSlots(checker, watch, slots, state) {
+  const namespace = getNamespace(state, watch.id);
+  const notified = [];
+  if (slots.length === 0) return notified;
+
+  // Nothing is marked notified, so what is still there is notified once the snooze ends
+  if (checker.snoozedUntil && new Date() < checker.snoozedUntil) {
+    logger.log(`😴 Notifications snoozed until ${checker.snoozedUntil.toISOString()} - not notifying ${[...new Set(slots.map(slot => slot.time))].join(', ')}`);
+    return notified;
+  }
+
+  // The sizes each table fits, preferred first
+  const tables = new Map();
+  for (const slot of slots) {
+    tables.set(tableKey(slot), [...(tables.get(tableKey(slot)) || []), slot]);
+  }
+  const rank = slot => watch.partySizes.indexOf(slot.partySize);
+
+  const recipients = recipientsOf(checker, watch);
+  for (const fits of tables.values()) {
+    fits.sort((a, b) => rank(a) - rank(b));
+    const [slot] = fits;
+    const time = slot.time;
+    const partySizes = fits.map(fit => fit.partySize);
+    let sentToAnyone = false;
+
+    for (const { subscriber, notifiers } of recipients) {
+      const to = subscriber ? ` to ${subscriber}` : '';
+
+      const fresh = fits.filter(fit => shouldNotify(namespace, fit, checker.renotifyCooldownMs, new Date(), subscriber));
+      if (fresh.length === 0) {
+        logger.log(`ℹ️  Already notified${to} for ${time}, skipping`);
+        continue;
+      }
+
+      const freshSizes = fresh.map(fit => fit.partySize);
+      const other = notifiedAtOtherSize(namespace, fresh[0], watch.partySizes.filter(size => !freshSizes.includes(size)), subscriber);
+      if (other) {
+        fresh.forEach(fit => markNotified(namespace, fit, new Date(), subscriber));
+        logger.log(`ℹ️  ${time} already notified${to} for ${other.partySize} people, skipping`);
+        continue;
+      }
+
+      logger.log(lastNotifiedAt(namespace.slots[slotKey(fresh[0])], subscriber)
+        ? `\n🔔 ${time} dropped and came back! Sending notification${to} again...`
+        : `\n🔔 ${time} is in window and not yet notified! Sending notification${to}...`);
+
+      if (checker.dryRun) {
+        logger.log(`🧪 Dry run - not sending${to}: ${buildSlotNotification(slot, watch, { partySizes }).message}`);
+        // A dry run's state isn't saved; this only keeps later checks this run from repeating it
+        fresh.forEach(fit => markNotified(namespace, fit, new Date(), subscriber));
+        sentToAnyone = true;
         continue;
       }
+
+      if (await sendNotification(checker, slot, watch, notifiers, partySizes)) {
+        fresh.forEach(fit => markNotified(namespace, fit, new Date(), subscriber));
+        sentToAnyone = true;
+        logger.log(`✅ Notification sent${to} for ${time}`);
+      }
     }
 
-    if (!dateButtonClicked && iframe) {
-      // Fallback: use iframe.locator directly
+    if (sentToAnyone) notified.push(...fits);
+  }
+  return notified;
+}
+
+// Collect JSON availability responses from a page (including its iframes)
+function watchResponses(source, collected) {
+  source.on('response', async (response) => {
+    const url = response.url();
+    const urlLower = url.toLowerCase();
+
+    // Check if URL matches our patterns
+    const urlPatterns = ['sevenrooms', 'availability', 'reservation', 'search', 'slot', 'booking', 'inventory'];
+    const matchesPattern = urlPatterns.some(pattern => urlLower.includes(pattern));
+
+    if (matchesPattern && collected.relevantUrls.length < 50) {
+      collected.relevantUrls.push(url);
+      logger.debug(`📡 [${collected.relevantUrls.length}/50] ${url}`);
+
+      // Try to parse as JSON
       try {
-        console.log('   Trying direct iframe.locator approach...');
-        
-        // Debug: list all buttons in iframe
-        try {
-          const allButtons = await iframe.locator('button').all();
-          console.log(`   Found ${allButtons.length} buttons in iframe`);
-          for (let i = 0; i < Math.min(10, allButtons.length); i++) {
-            const btn = allButtons[i];
-            const dataTest = await btn.getAttribute('data-test').catch(() => '');
-            const ariaLabel = await btn.getAttribute('aria-label').catch(() => '');
-            const text = await btn.textContent().catch(() => '');
-            console.log(`     Button ${i}: data-test="${dataTest}" aria-label="${ariaLabel}" text="${text.trim().substring(0, 30)}"`);
-          }
-        } catch (e) {
-          console.log(`   Could not list buttons: ${e.message}`);
-        }
-        
-        const dateBtn = iframe.locator('[data-test="sr-reservation-date"]').first();
-        await dateBtn.waitFor({ state: 'attached', timeout: 5000 }).catch(() => {});
-        await dateBtn.waitFor({ state: 'visible', timeout: 20000 });
-        await dateBtn.click();
-        dateButtonClicked = true;
-        targetPage = iframe;
-        console.log('✅ Clicked date button (direct iframe.locator)');
-        await page.waitForTimeout(2000);
-      } catch (err) {
-        console.log('❌ Could not find or click date button:', err.message);
-        
-        // Last resort: try to find ANY button with "date" in aria-label or data-test
-        try {
-          console.log('   Last resort: searching for any date-related button...');
-          const allButtons = await iframe.locator('button').all();
-          for (const btn of allButtons) {
-            const ariaLabel = await btn.getAttribute('aria-label').catch(() => '');
-            const dataTest = await btn.getAttribute('data-test').catch(() => '');
-            if (ariaLabel.toLowerCase().includes('date') || dataTest.includes('date')) {
-              console.log(`   Found potential date button: aria-label="${ariaLabel}" data-test="${dataTest}"`);
-              await btn.click();
-              dateButtonClicked = true;
-              targetPage = iframe;
-              console.log('✅ Clicked date button (last resort)');
-              await page.waitForTimeout(2000);
-              break;
+        const contentType = response.headers()['content-type'] || '';
+        if (contentType.includes('json') || urlLower.includes('.json')) {
+          const json = await response.json().catch(() => null);
+          if (json) {
+            collected.jsonResponses.push({ url, data: json });
+            // The widget's range request covers several whole dates; keep them
+            // all, as long as the URL says which party size they are for
+            const partySize = new URL(url).searchParams.get('party_size');
+            if (partySize && json.data && json.data.availability) {
+              for (const date of Object.keys(json.data.availability)) {
+                collected.rangeDates.set(`${date}_${partySize}`, { date, partySize: parseInt(partySize, 10), slots: [] });
+              }
+              for (const slot of parseAvailabilityResponse(json, partySize)) {
+                const entry = collected.rangeDates.get(`${slot.date}_${partySize}`);
+                if (entry) entry.slots.push(slot);
+              }
             }
           }
-        } catch (e) {
-          console.log(`   Last resort failed: ${e.message}`);
         }
+      } catch (error) {
+        // Not JSON or parsing failed, ignore
       }
     }
+  });
+}
 
-    // Ensure we have iframe/targetPage for calendar (get frame if we used frameLocator but didn't set it)
-    if (dateButtonClicked && !iframe) {
-      try {
-        const iframeEl = await page.locator('iframe[src*="sevenrooms"], iframe[src*="gloriadublin"]').first().elementHandle();
-        if (iframeEl) {
-          iframe = await iframeEl.contentFrame();
-          targetPage = iframe;
-        }
-      } catch (e) {}
+// Stage: load the booking page
+async function loadBookingPage(page, url) {
+  await page.goto(url, {
+    waitUntil: 'networkidle',
+    timeout: 30000
+  });
+
+  logger.log('✅ Page loaded');
+
+  // Wait for page to be fully interactive
+  await page.waitForTimeout(2000);
+}
+
+// Stage: click the widget's date button to open the calendar. Throws a WidgetError if the date button can't be clicked.
+async function openDatePicker(page, widget, selectors, matched) {
+  try {
+    const dateBtn = anyOf(widget, selectors.dateButton).first();
+    await dateBtn.waitFor({ state: 'visible', timeout: 20000 });
+    matched.dateButton = await visibleSelector(widget, selectors.dateButton);
+
+    await dateBtn.click();
+    logger.log('✅ Clicked date button');
+    await page.waitForTimeout(2000);
+    return;
+  } catch (error) {
+    logger.log(`❌ Could not find or click date button: ${error.message}`);
+  }
+
+  // Last resort: any button with "date" in its aria-label or data-test
+  try {
+    logger.log('   Last resort: searching for any date-related button...');
+    const allButtons = await widget.locator('button').all();
+    logger.log(`   Found ${allButtons.length} buttons in the widget`);
+    for (const btn of allButtons) {
+      const ariaLabel = await btn.getAttribute('aria-label').catch(() => '') || '';
+      const dataTest = await btn.getAttribute('data-test').catch(() => '') || '';
+      if (ariaLabel.toLowerCase().includes('date') || dataTest.includes('date')) {
+        logger.log(`   Found potential date button: aria-label="${ariaLabel}" data-test="${dataTest}"`);
+        await btn.click();
+        matched.dateButton = '(any button labelled date)';
+        logger.log('✅ Clicked date button (last resort)');
+        await page.waitForTimeout(2000);
+        return;
+      }
     }
+  } catch (e) {
+    logger.log(`   Last resort failed: ${e.message}`);
+  }
 
-    if (dateButtonClicked) {
-      // Navigate to target month/year if needed
-      const currentMonth = new Date().getMonth() + 1;
-      const currentYear = new Date().getFullYear();
-      const monthsDiff = (year - currentYear) * 12 + (month - currentMonth);
-      
-      if (monthsDiff !== 0) {
-        console.log(`   Navigating ${monthsDiff > 0 ? 'forward' : 'back'} ${Math.abs(monthsDiff)} month(s)...`);
-        
-        const navSelectors = monthsDiff > 0 
-          ? ['button[aria-label*="next" i]', 'button[aria-label*="Next" i]', 'button:has-text(">")', 'button:has-text("›")']
-          : ['button[aria-label*="previous" i]', 'button[aria-label*="Previous" i]', 'button:has-text("<")', 'button:has-text("‹")'];
-        
-        for (const navSelector of navSelectors) {
-          try {
-            const navButton = await targetPage.locator(navSelector).first();
-            if (await navButton.isVisible({ timeout: 2000 })) {
-              const clicks = Math.abs(monthsDiff);
-              for (let i = 0; i < clicks; i++) {
-                await navButton.click();
-                await page.waitForTimeout(600);
-              }
-              console.log(`✅ Navigated to ${monthName} ${year}`);
-              await page.waitForTimeout(1000);
-              break;
-            }
-          } catch (error) {
-            continue;
-          }
-        }
+  throw new WidgetError('dateButton', 'Could not find or click the date button');
+}
+
+// Stage: move the open calendar to the target month and click the day. Throws a WidgetError if the day can't be clicked.
+// `today` is the venue's, for calendars whose month can't be read.
+async function selectCalendarDay(page, targetPage, target, selectors, matched, today) {
+  const [year, month, day] = target.date.split('-').map(Number);
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const monthName = monthNames[month - 1];
+  const monthNameShort = monthName.substring(0, 3);
+
+  // Move the calendar from the month it shows to the target month
+  const calendar = {
+    read: () => readCalendarMonth(targetPage, selectors, matched),
+    async step(direction) {
+      const navName = direction > 0 ? 'nextMonth' : 'previousMonth';
+      const navSelector = await visibleSelector(targetPage, selectors[navName]);
+      if (!navSelector) {
+        throw new WidgetError(navName, `Could not find the ${direction > 0 ? 'next' : 'previous'} month button`);
       }
-      
-      // Click on the target day
-      console.log(`   Clicking on day ${day}...`);
-      await page.waitForTimeout(1000); // Wait for calendar to be ready
-      
-      const daySelectors = [
-        `button[aria-label*="Date ${day} ${monthNameShort}" i]`,
-        `button[aria-label*="Date ${day} ${monthName}" i]`,
-        `button[aria-label*="${day} ${monthNameShort}" i]`,
-        `button[aria-label*="${day} ${monthName}" i]`,
-        `button:has-text("${day}")`,
-        `[aria-label*="${day}" i]`,
-        `[data-date*="${DATE}"]`,
-        `button[data-date*="${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}"]`
-      ];
-      
-      let dayClicked = false;
-      for (const selector of daySelectors) {
-        try {
-          const dayButton = await targetPage.locator(selector).first();
-          if (await dayButton.isVisible({ timeout: 2000 })) {
-            const ariaLabel = await dayButton.getAttribute('aria-label') || '';
-            const text = await dayButton.textContent() || '';
-            // Verify it's the right day
-            if (ariaLabel.includes(day.toString()) || text.trim() === day.toString() || text.includes(`${day} ${monthNameShort}`)) {
-              await dayButton.click();
-              dayClicked = true;
-              console.log(`✅ Selected date ${DATE} (${ariaLabel || text})`);
-              await page.waitForTimeout(3000); // Wait for calendar to close and page to update
-              break;
-            }
-          }
-        } catch (error) {
-          continue;
+      matched[navName] = navSelector;
+      await targetPage.locator(navSelector).first().click();
+      await page.waitForTimeout(600);
+    }
+  };
+  const clicks = await navigateToMonth(calendar, { year, month }, { assumed: monthOf(today) });
+  if (clicks > 0) {
+    logger.log(`✅ Navigated to ${monthName} ${year} (${clicks} click(s))`);
+    await page.waitForTimeout(1000);
+  }
+
+  // Click on the target day
+  logger.log(`   Clicking on day ${day}...`);
+  await page.waitForTimeout(1000); // Wait for calendar to be ready
+
+  const daySelectors = fillSelectors(selectors.day, { day, month: monthName, monthShort: monthNameShort, year, date: target.date });
+
+  let dayClicked = false;
+  for (const [index, selector] of daySelectors.entries()) {
+    try {
+      const dayButton = await targetPage.locator(selector).first();
+      if (await dayButton.isVisible({ timeout: 2000 })) {
+        const ariaLabel = await dayButton.getAttribute('aria-label') || '';
+        const text = await dayButton.textContent() || '';
+        // Verify it's the right day
+        if (ariaLabel.includes(day.toString()) || text.trim() === day.toString() || text.includes(`${day} ${monthNameShort}`)) {
+          await dayButton.click();
+          dayClicked = true;
+          // The selector as registered, so runs for other dates compare alike
+          matched.day = selectors.day[index];
+          logger.log(`✅ Selected date ${target.date} (${ariaLabel || text})`);
+          await page.waitForTimeout(3000); // Wait for calendar to close and page to update
+          break;
         }
       }
-      
-      if (!dayClicked) {
-        console.log(`⚠️  Could not click day ${day}, trying alternative approach...`);
-        // Try clicking any button with just the day number in calendar
-        try {
-          const allDayButtons = await targetPage.locator('button, [role="gridcell"], [role="button"]').all();
-          console.log(`   Checking ${allDayButtons.length} potential day buttons...`);
-          for (const btn of allDayButtons) {
-            const text = await btn.textContent() || '';
-            const ariaLabel = await btn.getAttribute('aria-label') || '';
-            // Match day number and check for month context
-            if ((text.trim() === day.toString() || ariaLabel.includes(`${day} ${monthNameShort}`) || ariaLabel.includes(`${day} ${monthName}`)) && 
-                !ariaLabel.includes('next') && !ariaLabel.includes('previous') && !ariaLabel.includes('Next') && !ariaLabel.includes('Previous')) {
-              console.log(`   Found day button: aria-label="${ariaLabel}", text="${text}"`);
-              await btn.click();
-              console.log(`✅ Clicked day ${day} via text/aria-label match`);
-              await page.waitForTimeout(3000);
-              dayClicked = true;
-              break;
-            }
-          }
-        } catch (error) {
-          console.log(`⚠️  Could not select date automatically: ${error.message}`);
+    } catch (error) {
+      continue;
+    }
+  }
+
+  if (!dayClicked) {
+    logger.log(`⚠️  Could not click day ${day}, trying alternative approach...`);
+    // Try clicking any button with just the day number in calendar
+    try {
+      const allDayButtons = await targetPage.locator('button, [role="gridcell"], [role="button"]').all();
+      logger.log(`   Checking ${allDayButtons.length} potential day buttons...`);
+      for (const btn of allDayButtons) {
+        const text = await btn.textContent() || '';
+        const ariaLabel = await btn.getAttribute('aria-label') || '';
+        // Match day number and check for month context
+        if ((text.trim() === day.toString() || ariaLabel.includes(`${day} ${monthNameShort}`) || ariaLabel.includes(`${day} ${monthName}`)) &&
+            !ariaLabel.includes('next') && !ariaLabel.includes('previous') && !ariaLabel.includes('Next') && !ariaLabel.includes('Previous')) {
+          logger.log(`   Found day button: aria-label="${ariaLabel}", text="${text}"`);
+          await btn.click();
+          logger.log(`✅ Clicked day ${day} via text/aria-label match`);
+          await page.waitForTimeout(3000);
+          dayClicked = true;
+          matched.day = '(any button showing the day)';
+          break;
         }
       }
-      
-      // Check for "Unfortunately there is no availability at the selected time" message.
-      // If this message is visible, the SELECTED date has no slots; "Other dates with availability"
-      // is a different section, so we must skip notifications whenever this message appears.
-      if (dayClicked) {
-        await page.waitForTimeout(3000); // Wait for UI to update after date selection
-        console.log('🔍 Checking for availability status...');
-        
-        const noAvailabilityText = 'Unfortunately there is no availability at the selected time';
-        try {
-          // Prefer body text: if the phrase appears anywhere, selected date has no availability
-          const bodyText = await targetPage.locator('body').textContent();
-          if (bodyText && bodyText.includes(noAvailabilityText)) {
-            hasNoAvailabilityForSelectedDate = true;
-            console.log('❌ No availability at selected time - will NOT send notifications');
-          }
-        } catch (e) {}
-        
-        if (!hasNoAvailabilityForSelectedDate) {
-          // Fallback: any visible element containing the phrase (works for Frame and Page)
-          try {
-            const element = targetPage.locator(`:has-text("${noAvailabilityText}")`).first();
-            if (await element.isVisible({ timeout: 2000 })) {
-              hasNoAvailabilityForSelectedDate = true;
-              console.log('❌ No availability message found in widget - will NOT send notifications');
-            }
-          } catch (e) {}
-        }
-        
-        if (hasNoAvailabilityForSelectedDate) {
-          console.log('⚠️  Selected date has no availability - notifications will be skipped');
-        } else {
-          console.log('✅ Availability check passed');
-        }
+    } catch (error) {
+      logger.log(`⚠️  Could not select date automatically: ${error.message}`);
+    }
+  }
+
+  if (!dayClicked) {
+    throw new WidgetError('day', `Could not click day ${day} in the calendar`);
+  }
+}
+
+// The month the open calendar shows, from its heading or else the day buttons'
+// labels, or null if neither names one
+async function readCalendarMonth(targetPage, selectors, matched) {
+  for (const selector of selectors.calendarMonth) {
+    const texts = await targetPage.locator(selector).allTextContents().catch(() => []);
+    const shown = texts.map(parseCalendarMonth).find(Boolean);
+    if (shown) {
+      matched.calendarMonth = selector;
+      return shown;
+    }
+  }
+
+  const labels = await targetPage.locator('[aria-label]')
+    .evaluateAll(elements => elements.map(element => element.getAttribute('aria-label')))
+    .catch(() => []);
+  const shown = monthFromDayLabels(labels);
+  if (shown) {
+    matched.calendarMonth = '(day labels)';
+  }
+  return shown;
+}
+
+// Check for "Unfortunately there is no availability at the selected time" message.
+// If this message is visible, the SELECTED date has no slots; "Other dates with availability"
+// is a different section, so we must skip notifications whenever this message appears.
+async function hasNoAvailabilityMessage(page, targetPage, selectors) {
+  await page.waitForTimeout(3000); // Wait for UI to update after date selection
+  logger.log('🔍 Checking for availability status...');
+
+  try {
+    // Prefer body text: "Unfortunately there is no availability at the selected time"
+    // anywhere above the other dates means the selected date has none
+    const bodyText = await targetPage.locator('body').textContent();
+    if (noAvailabilityInText(bodyText)) {
+      logger.log('❌ No availability at selected time - will NOT send notifications');
+      return true;
+    }
+  } catch (e) {}
+
+  // Fallback: a visible no-availability element that isn't about other dates
+  if (await checkNoAvailability(targetPage, selectors.noAvailability)) {
+    logger.log('❌ No availability message found in widget - will NOT send notifications');
+    return true;
+  }
+
+  return false;
+}
+
+// Slots for the log, with where each came from
+function describeExtracted(slots) {
+  return slots.length > 0 ? slots.map(slot => `${describeSlot(slot)} [${describeSlotSource(slot)}]`).join(' | ') : 'none';
+}
+
+// Remember which selector each widget step matched in the watch's state, and
+// log the steps that matched a different one than last time: the first sign of
+// a widget change is usually a fallback taking over. Also clears the watch's
+// broken flag now that the widget works. Returns { version, matched }.
+function recordSelectors(namespace, matched) {
+  const previous = namespace.selectors;
+  if (previous && previous.version === SELECTORS_VERSION) {
+    for (const [name, selector] of Object.entries(matched)) {
+      if (previous.matched[name] && previous.matched[name] !== selector) {
+        logger.log(`🔀 ${name} now matches ${selector} (was ${previous.matched[name]})`);
       }
     }
-    
-    // Wait for SevenRooms iframe to load (if present) - reuse existing iframe variable
-    console.log('⏳ Waiting for SevenRooms iframe to load...');
-    
-    // If we haven't found the iframe yet, try to find it now for network monitoring (on widget page)
-    if (!iframe) {
-      try {
-        const iframeElement = await widgetPage.waitForSelector('iframe[src*="sevenrooms"], iframe[src*="widget"], iframe[src*="booking"]', {
-          timeout: 10000
-        });
-        if (iframeElement) {
-          iframe = await iframeElement.contentFrame();
-          console.log('✅ Found SevenRooms iframe for network monitoring');
+  }
+  namespace.selectors = { version: SELECTORS_VERSION, matched: { ...(previous && previous.version === SELECTORS_VERSION ? previous.matched : {}), ...matched }, checkedAt: new Date().toISOString() };
+
+  if (namespace.broken) {
+    logger.log(`✅ The booking widget works again (broken at ${namespace.broken.step} since ${namespace.broken.since})`);
+    delete namespace.broken;
+  }
+  return { version: SELECTORS_VERSION, matched };
+}
+
+// A required widget step found nothing: save a screenshot and the DOM, and send
+// a "bot is broken" alert - once, until a check gets through the widget again
+// or a different step breaks. It goes wherever the watch's slots do (see
+// recipientsOf) and to the global notifiers too, as whoever runs the bot fixes it.
+async function reportBrokenWidget(checker, error, { watch, target, page, targetPage, matched, state }) {
+  logger.error(`\n🛠️  The booking widget may have changed: ${error.message} (selectors v${SELECTORS_VERSION})`);
+  const diagnostics = await saveDiagnostics(checker.diagnosticsDir, {
+    watch,
+    target,
+    page,
+    targetPage,
+    error,
+    selectors: { version: SELECTORS_VERSION, matched }
+  });
+
+  const namespace = getNamespace(state, watch.id);
+  if (namespace.broken && namespace.broken.step === error.step) {
+    logger.log(`ℹ️  Already alerted that ${error.step} is broken (since ${namespace.broken.since}), skipping`);
+    return;
+  }
+  namespace.broken = { step: error.step, message: error.message, since: new Date().toISOString(), diagnostics: diagnostics.dir };
+
+  const notification = buildBrokenNotification(error, watch, { ...diagnostics, target, version: SELECTORS_VERSION });
+  if (checker.dryRun) {
+    logger.log(`🧪 Dry run - not sending: ${notification.message}`);
+    return;
+  }
+  const recipients = recipientsOf(checker, watch);
+  if (recipients.every(({ subscriber }) => subscriber !== null)) {
+    recipients.push({ subscriber: null, notifiers: checker.notifiers });
+  }
+  let delivered = false;
+  for (const { notifiers } of recipients) {
+    delivered = (await sendToAll(notifiers, notification)) || delivered;
+  }
+  if (!delivered) {
+    logger.error('❌ No notifier delivered the "bot is broken" alert');
+  }
+}
+
+// Check a single date / party size for one watch, in its own page.
+// The watch's venue adapter opens the booking widget (on the page itself or in
+// an iframe) and its selectors drive the date, party size and slot lookups.
+// Each stage (page load, widget discovery, date selection) is retried on its own
+// under the retry policy. A page that never loads fails the check, and so does a
+// required widget step (date button, day, party size) that finds nothing: that
+// also saves diagnostics and sends a "bot is broken" alert (see reportBrokenWidget).
+// Resolves with { slots, slotsInWindow, toNotify, gone, otherDates, selectors }, where selectors is
+// { version, matched }: the registry version and the selector each step used.
+// With bookOnly the widget is only opened to book: nothing is recorded or to notify.
+async function checkWatchTarget(checker, context, watch, target, state, { bookOnly = false } = {}) {
+  const page = await context.newPage();
+  const collected = { relevantUrls: [], jsonResponses: [], rangeDates: new Map() };
+
+  // Monitor network responses from main page
+  watchResponses(page, collected);
+
+  let targetPage = page;
+  try {
+    let hasNoAvailabilityForSelectedDate = false; // Set true if we see "Unfortunately there is no availability at the selected time"
+
+    logger.log(`\n🌐 Loading booking page: ${watch.url}`);
+
+    // Add random delay before loading (anti-bot) - not needed for a replay
+    if (!checker.recording || checker.recording.mode !== 'replay') {
+      const delay = Math.floor(Math.random() * 5000) + 3000; // 3-8 seconds
+      logger.log(`⏳ Waiting ${delay}ms before loading...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    await withRetry('Page load', () => loadBookingPage(page, watch.url), checker.retryPolicy);
+    await captureStep(checker.artifactRun, { watch, target, page }, 'page-loaded');
+
+    const adapter = adapterFor(watch);
+    const selectors = venueSelectors(watch);
+    logger.log(`🧩 Venue adapter: ${adapter.type}`);
+
+    // The selector each step of this check matched, by name
+    const matched = {};
+
+    try {
+      targetPage = await withRetry('Widget discovery', () => adapter.openWidget(page, selectors, matched), checker.retryPolicy);
+    } catch (error) {
+      logger.log(`❌ ${error.message} - continuing on the main page`);
+    }
+    await captureStep(checker.artifactRun, { watch, target, page, targetPage }, 'widget-open');
+
+    try {
+      await withRetry('Date selection', async () => {
+        // Find the widget again if it wasn't found or has reloaded since
+        if (targetPage === page || targetPage.isDetached()) {
+          targetPage = await adapter.findWidget(page, selectors) || page;
         }
-      } catch (error) {
-        console.log('⚠️  SevenRooms iframe not found for network monitoring, using main page only...');
+        await openDatePicker(page, targetPage, selectors, matched);
+        await selectCalendarDay(page, targetPage, target, selectors, matched, currentDate(checker, watch.timezone));
+      }, checker.retryPolicy);
+
+      // Each watch can cover several party sizes, so set it explicitly in the widget
+      await selectPartySize(targetPage, target.partySize, selectors, matched);
+    } catch (error) {
+      const widgetError = widgetErrorOf(error);
+      if (widgetError) {
+        await reportBrokenWidget(checker, widgetError, { watch, target, page, targetPage, matched, state });
       }
-    } else {
-      console.log('✅ Using existing iframe for network monitoring');
+      throw error;
     }
-    
-    // Monitor iframe network traffic if we have an iframe
-    if (iframe) {
-      iframe.on('response', async (response) => {
-        const url = response.url();
-        const urlLower = url.toLowerCase();
-        
-        // Check if URL matches our patterns
-        const urlPatterns = ['sevenrooms', 'availability', 'reservation', 'search', 'slot', 'booking', 'inventory'];
-        const matchesPattern = urlPatterns.some(pattern => urlLower.includes(pattern));
-        
-        if (matchesPattern && relevantUrls.length < 50) {
-          relevantUrls.push(url);
-          console.log(`📡 [${relevantUrls.length}/50] ${url}`);
-          
-          // Try to parse as JSON
-          try {
-            const contentType = response.headers()['content-type'] || '';
-            if (contentType.includes('json') || urlLower.includes('.json')) {
-              const json = await response.json().catch(() => null);
-              if (json) {
-                jsonResponses.push({ url, data: json });
-                // Only extract times if this response is for the selected date
-                if (hasTimesForDate(json, DATE)) {
-                  const times = extractTimes(json);
-                  times.forEach(time => allExtractedTimes.add(time));
-                }
-              }
-            }
-          } catch (error) {
-            // Not JSON or parsing failed, ignore
-          }
-        }
-      });
+    const selectorsUsed = recordSelectors(getNamespace(state, watch.id), matched);
+    await captureStep(checker.artifactRun, { watch, target, page, targetPage }, 'date-selected');
+
+    hasNoAvailabilityForSelectedDate = await hasNoAvailabilityMessage(page, targetPage, selectors);
+
+    if (hasNoAvailabilityForSelectedDate) {
+      logger.log('⚠️  Selected date has no availability - notifications will be skipped');
+    } else {
+      logger.log('✅ Availability check passed');
     }
-    
+
+    // Page-level response events already include everything the widget iframe
+    // requests (Playwright frames have no event emitter of their own)
+
     // Monitor for up to 20 seconds
-    console.log('\n🔍 Monitoring network traffic for up to 20 seconds...');
+    logger.log('\n🔍 Monitoring network traffic for up to 20 seconds...');
     const startTime = Date.now();
     const monitorDuration = 20000; // 20 seconds
-    
-    while (Date.now() - startTime < monitorDuration && relevantUrls.length < 50) {
-      await widgetPage.waitForTimeout(1000);
+
+    while (Date.now() - startTime < monitorDuration && collected.relevantUrls.length < 50) {
+      await page.waitForTimeout(1000);
+    }
+
+    logger.log(`\n📊 Network monitoring complete:`);
+    logger.log(`   Total relevant URLs found: ${collected.relevantUrls.length}`);
+    logger.log(`   JSON responses collected: ${collected.jsonResponses.length}`);
+
+    // Run every extractor and keep the slots they are sure enough about
+    const foundSlots = await extractTargetSlots(collected, hasNoAvailabilityForSelectedDate ? null : targetPage, target, selectors.timeSlot);
+    const extractedSlots = foundSlots.filter(slot => slot.confidence >= checker.minConfidence);
+    const doubtfulSlots = foundSlots.filter(slot => slot.confidence < checker.minConfidence);
+    logger.log(`\n⏰ Extracted slots: ${describeExtracted(extractedSlots)}`);
+    if (doubtfulSlots.length > 0) {
+      logger.log(`🤷 Ignored below ${Math.round(checker.minConfidence * 100)}% confidence: ${describeExtracted(doubtfulSlots)}`);
     }
     
-    console.log(`\n📊 Network monitoring complete:`);
-    console.log(`   Total relevant URLs found: ${relevantUrls.length}`);
-    console.log(`   JSON responses collected: ${jsonResponses.length}`);
-    
-    // Extract all times
-    const extractedTimesArray = Array.from(allExtractedTimes).sort();
-    console.log(`\n⏰ Extracted times: ${extractedTimesArray.length > 0 ? extractedTimesArray.join(', ') : 'none'}`);
-    
-    // Filter times in window
-    const timesInWindow = extractedTimesArray.filter(time => {
-      return isTimeInWindow(time, WINDOW_START, WINDOW_END);
-    });
+    // Filter slots in window, best first
+    const slotsInWindow = slotsInWindows(extractedSlots, watch.windows);
     
-    console.log(`\n🎯 Times in window (${WINDOW_START} - ${WINDOW_END}): ${timesInWindow.length > 0 ? timesInWindow.join(', ') : 'none'}`);
+    const windowsLabel = watch.windows.map(describeWindow).join(', ');
+    logger.log(`\n🎯 Slots in window (${windowsLabel}): ${slotsInWindow.length > 0 ? slotsInWindow.map(slot => slot.time).join(', ') : 'none'}`);
     
     // Verify we have responses for the selected date
-    const responsesForDate = jsonResponses.filter(r => hasTimesForDate(r.data, DATE));
-    console.log(`📅 JSON responses for selected date (${DATE}): ${responsesForDate.length}`);
+    const responsesForDate = collected.jsonResponses.filter(r => hasTimesForDate(r.data, target.date));
+    logger.log(`📅 JSON responses for selected date (${target.date}): ${responsesForDate.length}`);
+
+    // Neither trusted slots nor the no-availability message, or slots the
+    // extractors aren't sure about: worth keeping the debug artifacts
+    if (!hasNoAvailabilityForSelectedDate && (extractedSlots.length === 0 || responsesForDate.length === 0)) {
+      markAmbiguous(checker.artifactRun, { watch, target }, extractedSlots.length === 0
+        ? 'no slots found and no "no availability" message'
+        : 'no availability responses for the date');
+    } else if (doubtfulSlots.length > 0) {
+      markAmbiguous(checker.artifactRun, { watch, target }, `${doubtfulSlots.length} slot(s) below ${Math.round(checker.minConfidence * 100)}% confidence`);
+    }
     
+    // Only results we trust update slot history: the no-availability message means
+    // nothing is left for this date, and without date-specific responses a missing
+    // slot may just not have been loaded. A widget opened only to book records
+    // nothing: the check that asked for the booking already did.
+    let gone = [];
+    if (!bookOnly && hasNoAvailabilityForSelectedDate) {
+      gone = recordResult(checker, state, watch, target, [], 'browser');
+    } else if (!bookOnly && responsesForDate.length > 0) {
+      gone = recordResult(checker, state, watch, target, extractedSlots, 'browser');
+    }
+
     // Do NOT send notifications if we saw "Unfortunately there is no availability at the selected time"
+    let toNotify = [];
     if (hasNoAvailabilityForSelectedDate) {
-      console.log('\n⏭️  Skipping notifications - no availability at selected time (avoiding false positives from "Other dates with availability")');
-    } else if (timesInWindow.length > 0 && responsesForDate.length > 0) {
-      // Process times in window and send notifications
-      for (const time of timesInWindow) {
-        const timeKey = `${DATE}_${time}`;
-        
-        if (!state.notifiedTimes.includes(timeKey)) {
-          console.log(`\n🔔 ${time} is in window and not yet notified! Sending notification...`);
-          const sent = await sendNotification(time);
-          
-          if (sent) {
-            state.notifiedTimes.push(timeKey);
-            saveState(state);
-            console.log(`✅ Notification sent for ${time}`);
-          }
-        } else {
-          console.log(`ℹ️  Already notified for ${time}, skipping`);
-        }
-      }
-    } else if (timesInWindow.length === 0) {
-      console.log('\n❌ No times found in the specified window');
+      logger.log('\n⏭️  Skipping notifications - no availability at selected time (avoiding false positives from "Other dates with availability")');
+    } else if (slotsInWindow.length > 0 && responsesForDate.length > 0) {
+      if (!bookOnly) toNotify = slotsInWindow;
+
+      await autoBook(checker, page, targetPage, watch, slotsInWindow, state, matched);
+    } else if (slotsInWindow.length === 0) {
+      logger.log('\n❌ No times found in the specified window');
     } else if (responsesForDate.length === 0) {
-      console.log('\n⏭️  No date-specific responses - skipping notifications to avoid false positives');
+      logger.log('\n⏭️  No date-specific responses - skipping notifications to avoid false positives');
     }
-    
-  } catch (error) {
-    console.error(`\n❌ Error during check: ${error.message}`);
-    console.error(`   Stack: ${error.stack}`);
-    
-    // Retry once
-    console.log('\n🔄 Retrying...');
-    await browser.close();
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    return checkAvailability();
-  } finally {
-    await browser.close();
-  }
-}
 
-// Extract times from JSON response (handles various structures)
-// Filters to only include times for the selected date
-function extractTimesFromJson(json, selectedDate, times = [], parentDateMatches = false) {
-  if (typeof json !== 'object' || json === null) return times;
-  
-  // Parse selected date for comparison
-  const [year, month, day] = selectedDate.split('-').map(Number);
-  const dateStr = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-  const dateStrAlt = `${month}/${day}/${year}`;
-  const dateStrAlt2 = `${day}/${month}/${year}`;
-  
-  // Check common field names
-  const timeFields = ['time', 'startTime', 'start_time', 'slot', 'availability', 'reservationTime'];
-  const dateFields = ['date', 'bookingDate', 'reservationDate', 'day', 'selectedDate'];
-  
-  // Check if this object has a date field that matches
-  let dateMatches = parentDateMatches;
-  for (const [key, value] of Object.entries(json)) {
-    const lowerKey = key.toLowerCase();
-    if (dateFields.some(field => lowerKey.includes(field))) {
-      const valueStr = String(value);
-      if (valueStr.includes(dateStr) || valueStr.includes(dateStrAlt) || valueStr.includes(dateStrAlt2)) {
-        dateMatches = true;
-        break;
-      }
+    const otherDates = await collectOtherDates(collected, targetPage, target);
+    if (otherDates.length > 0) {
+      logger.log(`\n🗓️  Also seen: ${otherDates.map(other => `${other.date} for ${other.partySize} (${other.slots.length} slot(s)${other.complete ? '' : ', partial'})`).join(', ')}`);
     }
-  }
-  
-  for (const [key, value] of Object.entries(json)) {
-    const lowerKey = key.toLowerCase();
-    
-    // If this looks like a time field
-    if (timeFields.some(field => lowerKey.includes(field))) {
-      if (typeof value === 'string' && value.match(/\d{1,2}:\d{2}/)) {
-        // Only add if date matches (be conservative - don't add if unsure)
-        if (dateMatches) {
-          times.push(value);
-        }
-      }
-    }
-    
-    // If this is an array, check each item
-    if (Array.isArray(value)) {
-      value.forEach(item => {
-        if (typeof item === 'object') {
-          extractTimesFromJson(item, selectedDate, times, dateMatches);
-        } else if (typeof item === 'string' && item.match(/\d{1,2}:\d{2}/)) {
-          // For array items, only add if date matches
-          if (dateMatches) {
-            times.push(item);
-          }
-        }
-      });
+
+    if (checker.recording && checker.recording.mode === 'record') {
+      await saveSnapshot(checker.recording, { watch, target, page, targetPage, slots: hasNoAvailabilityForSelectedDate ? [] : extractedSlots });
     }
-    
-    // Recursively check nested objects
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      extractTimesFromJson(value, selectedDate, times, dateMatches);
+    await captureStep(checker.artifactRun, { watch, target, page, targetPage }, 'results');
+
+    if (hasNoAvailabilityForSelectedDate) {
+      return { slots: [], slotsInWindow: [], toNotify, gone, otherDates, selectors: selectorsUsed };
     }
+    return { slots: extractedSlots, slotsInWindow, toNotify, gone, otherDates, selectors: selectorsUsed };
+  } catch (error) {
+    await captureStep(checker.artifactRun, { watch, target, page, targetPage }, 'failed');
+    throw error;
+  } finally {
+    await page.close();
   }
-  
-  return times;
 }
 
-// Check if there's a "no availability" message for the selected date
-async function checkNoAvailability(page) {
+// Read the "Other dates with availability" section the widget shows under the
+// selected date's times, as text starting at its heading, or null without one
+async function readOtherDatesSection(targetPage) {
   try {
-    const noAvailabilitySelectors = [
-      ':has-text("no availability")',
-      ':has-text("Unfortunately there is no availability")',
-      ':has-text("no availability at the selected time")',
-      '[class*="no-availability"]',
-      '[class*="unavailable"]'
-    ];
-    
-    for (const selector of noAvailabilitySelectors) {
-      try {
-        const element = await page.locator(selector).first();
-        if (await element.isVisible({ timeout: 1000 })) {
-          const text = await element.textContent();
-          // Make sure it's about the selected date, not other dates
-          if (text && !text.toLowerCase().includes('other dates')) {
-            return true;
-          }
-        }
-      } catch (error) {
-        continue;
+    const heading = targetPage.locator('text=/other dates with availability/i').first();
+    if (!(await heading.isVisible({ timeout: 2000 }))) return null;
+
+    // Climb to the container that holds the dates and their times as well
+    return await heading.evaluate(el => {
+      let container = el;
+      for (let level = 0; level < 5 && container.parentElement; level++) {
+        container = container.parentElement;
+        if (/\d{1,2}:\d{2}/.test(container.innerText || '')) break;
       }
-    }
-    
-    return false;
+      const text = container.innerText || '';
+      const start = text.search(/other dates with availability/i);
+      return start === -1 ? text : text.slice(start);
+    });
   } catch (error) {
-    return false;
+    return null;
   }
 }
 
-// Extract times from DOM as fallback - only for selected date
-async function extractTimesFromDOM(page, selectedDate) {
-  const times = [];
-  
-  try {
-    // Parse selected date to match against
-    const [year, month, day] = selectedDate.split('-').map(Number);
-    const dateStr = `${day} ${getMonthName(month)}`;
-    const dateStrAlt = `${month}/${day}`;
-    
-    // First, try to find the section that shows times for the selected date
-    // Look for time slots that are NOT in "Other dates" sections
-    const pageText = await page.textContent('body');
-    
-    // Check if there's an "Other dates" section - if so, exclude times from there
-    const otherDatesMatch = pageText.match(/other dates with availability/i);
-    const otherDatesIndex = otherDatesMatch ? pageText.indexOf(otherDatesMatch[0]) : -1;
-    
-    // Look for common time selectors
-    const selectors = [
-      '[data-time]',
-      '[class*="time-slot"]',
-      '[class*="available-time"]',
-      'button[aria-label*="time"]',
-      '[class*="slot"]:not([class*="other"])',
-      '[class*="availability"]:not([class*="other"])'
-    ];
-    
-    for (const selector of selectors) {
-      try {
-        const elements = await page.locator(selector).all();
-        for (const element of elements) {
-          // Get the element's position and context
-          const elementText = await element.textContent();
-          const elementIndex = pageText.indexOf(elementText || '');
-          
-          // Skip if this element is in the "Other dates" section
-          if (otherDatesIndex !== -1 && elementIndex > otherDatesIndex) {
-            continue;
-          }
-          
-          // Check if this time slot is associated with the selected date
-          // Look at parent elements for date context
-          const parentContext = await element.evaluate(el => {
-            let parent = el.parentElement;
-            let context = '';
-            let attempts = 0;
-            while (parent && attempts < 5) {
-              context = parent.textContent || '';
-              if (context.includes('Feb') || context.includes('date') || context.includes('Feb')) {
-                return context;
-              }
-              parent = parent.parentElement;
-              attempts++;
-            }
-            return '';
-          });
-          
-          // If parent context mentions "other dates", skip
-          if (parentContext.toLowerCase().includes('other dates')) {
-            continue;
-          }
-          
-          // Extract time if it matches the pattern
-          if (elementText && elementText.match(/\d{1,2}:\d{2}/)) {
-            const timeMatch = elementText.match(/(\d{1,2}:\d{2})/);
-            if (timeMatch) {
-              times.push(timeMatch[1]);
-            }
-          }
-        }
-      } catch (error) {
-        continue;
-      }
+// Availability seen for dates other than the target while its page was open:
+// whole dates from the widget's range responses (complete), then dates listed
+// in the "Other dates with availability" section for the selected party size
+// (partial). Each is { date, partySize, slots, complete, seenOn }.
+async function collectOtherDates(collected, targetPage, target) {
+  const isTarget = (date, partySize) => date === target.date && partySize === target.partySize;
+  const others = Array.from(collected.rangeDates.values())
+    .filter(entry => !isTarget(entry.date, entry.partySize))
+    .map(entry => ({ ...entry, complete: true, seenOn: target.date }));
+
+  if (targetPage) {
+    const section = parseOtherDates(await readOtherDatesSection(targetPage), target.date);
+    for (const [date, times] of section) {
+      if (isTarget(date, target.partySize) || others.some(other => other.date === date && other.partySize === target.partySize)) continue;
+      others.push({
+        date,
+        partySize: target.partySize,
+        slots: times.map(time => createSlot({ date, time, partySize: target.partySize, source: 'dom' })),
+        complete: false,
+        seenOn: target.date
+      });
     }
-    
-    // Also check network responses for date-specific availability
-    // This will be handled by the network interception above
-    
-  } catch (error) {
-    console.log(`   ⚠️  DOM extraction error: ${error.message}`);
   }
-  
-  return times;
-}
 
-// Helper function to get month name
-function getMonthName(monthNum) {
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  return months[monthNum - 1] || '';
+  return others;
 }
 
-// Run the check
-console.log('🚀 Starting SevenRooms availability check...\n');
-checkAvailability()
-  .then(() => {
-    console.log('\n✅ Check completed');
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error('\n❌ Fatal error:', error);
-    process.exit(1);
-  });
+module.exports = {
+  configure,
+  createBrowserSession,
+  getWatches,
+  getSubscriberIds,
+  addWatch,
+  removeWatch,
+  setWatchPaused,
+  getHistory,
+  sendTestNotification,
+  snoozeNotifications,
+  notificationsSnoozedUntil,
+  requestBooking,
+  cancelBookingRequest,
+  hasUpcomingDates,
+  checkAvailability,
+  reportBrokenWidget,
+  reportFailures
+};
+
+// `node check.js [--daemon]` is kept as a shortcut for `sevenrooms-bot check` / `daemon`
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const daemon = args.includes('--daemon');
+  require('./src/cli').main([daemon ? 'daemon' : 'check', ...args.filter(arg => arg !== '--daemon')]);
+}
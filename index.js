@@ -0,0 +1,31 @@
+// Library entry point: `require('sevenrooms-table-bot')`. createWatcher runs
+// checks the way the CLI does (see src/watcher.js); the rest are the pure
+// building blocks for tools that only need part of it.
+const { createWatcher } = require('./src/watcher');
+const { ConfigError } = require('./src/config');
+const { createSlot, slotKey, mergeSlots, describeSlot } = require('./src/slot');
+const { formatTime, extractSlots, extractSlotsFromJson, extractTargetSlots } = require('./src/extract');
+const { venueSlugFromUrl, parseAvailabilityResponse, fetchAvailability } = require('./src/api');
+const { normalizeWindow, parseWindowList, slotsInWindows, describeWindow } = require('./src/window');
+const { parseWatchlist } = require('./src/watchlist');
+
+module.exports = {
+  createWatcher,
+  ConfigError,
+  createSlot,
+  slotKey,
+  mergeSlots,
+  describeSlot,
+  formatTime,
+  extractSlots,
+  extractSlotsFromJson,
+  extractTargetSlots,
+  venueSlugFromUrl,
+  parseAvailabilityResponse,
+  fetchAvailability,
+  normalizeWindow,
+  parseWindowList,
+  slotsInWindows,
+  describeWindow,
+  parseWatchlist
+};
@@ -0,0 +1,157 @@
+const fetch = require('node-fetch');
+const { createSlot } = require('./slot');
+
+// The widget loads availability from this host; override to point at a local stub
+const DEFAULT_API_BASE = 'https://www.sevenrooms.com';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Work out the SevenRooms venue slug from a booking URL.
+// Handles sevenrooms.com/reservations/<venue>, sevenrooms.com/explore/<venue>/...
+// and any URL carrying a ?venue=<venue> query parameter. Returns null for
+// restaurant sites that only embed the widget.
+function venueSlugFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const venueParam = parsed.searchParams.get('venue');
+  if (venueParam) return venueParam;
+
+  if (!parsed.hostname.includes('sevenrooms.com')) return null;
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  for (const marker of ['reservations', 'explore']) {
+    const index = segments.indexOf(marker);
+    if (index !== -1 && segments[index + 1]) {
+      return segments[index + 1];
+    }
+  }
+
+  return null;
+}
+
+// The booking page for a slot: a sevenrooms.com page opens on the slot's date
+// and party size, a restaurant site that embeds the widget just opens
+function bookingLink(url, slot) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (!parsed.hostname.endsWith('sevenrooms.com')) return url;
+
+  parsed.searchParams.set('default_date', slot.date);
+  parsed.searchParams.set('default_party_size', String(slot.partySize));
+  return parsed.toString();
+}
+
+// YYYY-MM-DD -> MM-DD-YYYY, the format the availability endpoint expects
+function toApiDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${month}-${day}-${year}`;
+}
+
+// Build the availability URL the booking widget requests
+function buildAvailabilityUrl({ venue, date, partySize, timeSlot = '19:00', numDays = 1, baseUrl = DEFAULT_API_BASE }) {
+  const params = new URLSearchParams({
+    venue,
+    time_slot: timeSlot,
+    party_size: String(partySize),
+    halo_size_interval: '16',
+    start_date: toApiDate(date),
+    num_days: String(numDays),
+    channel: 'SEVENROOMS_WIDGET'
+  });
+  return `${baseUrl.replace(/\/$/, '')}/api-yoa/availability/widget/range?${params}`;
+}
+
+// "7:30 PM" / "2026-11-14 19:30:00" -> "19:30"
+function parseSlotTime(timeSlot) {
+  const isoMatch = (timeSlot.time_iso || '').match(/\d{4}-\d{2}-\d{2}[ T](\d{2}):(\d{2})/);
+  if (isoMatch) return `${isoMatch[1]}:${isoMatch[2]}`;
+
+  const match = (timeSlot.time || '').match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const meridiem = (match[3] || '').toUpperCase();
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  return `${hours.toString().padStart(2, '0')}:${match[2]}`;
+}
+
+// Whether a time slot needs a card deposit, or null if the response doesn't say
+function parseDepositRequired(timeSlot) {
+  if (!('cc_payment_type' in timeSlot)) return null;
+  return Boolean(timeSlot.cc_payment_type);
+}
+
+// Turn an availability response into Slots (see src/slot.js).
+// Only bookable times are returned - "request" times are waitlist-style
+// entries that the widget shows but cannot be booked.
+function parseAvailabilityResponse(json, partySize) {
+  const slots = [];
+  const availability = json && json.data && json.data.availability;
+  if (!availability || typeof availability !== 'object') return slots;
+
+  for (const [date, shifts] of Object.entries(availability)) {
+    for (const shift of shifts || []) {
+      if (shift.is_closed) continue;
+
+      for (const timeSlot of shift.times || []) {
+        if (timeSlot.type && timeSlot.type !== 'book') continue;
+
+        const time = parseSlotTime(timeSlot);
+        if (!time) continue;
+
+        slots.push(createSlot({
+          date,
+          time,
+          partySize,
+          shift: shift.name || shift.shift_category,
+          area: timeSlot.public_time_slot_description || timeSlot.seating_area_name,
+          durationMinutes: timeSlot.duration,
+          depositRequired: parseDepositRequired(timeSlot),
+          source: 'api'
+        }));
+      }
+    }
+  }
+
+  return slots;
+}
+
+// Fetch and parse availability for one venue / date / party size
+async function fetchAvailability({ venue, date, partySize, timeSlot, baseUrl = process.env.SEVENROOMS_API_BASE || DEFAULT_API_BASE }) {
+  const url = buildAvailabilityUrl({ venue, date, partySize, timeSlot, baseUrl });
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'application/json',
+      'User-Agent': USER_AGENT
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Availability API returned HTTP ${response.status}`);
+  }
+
+  const json = await response.json();
+  if (json.status && json.status !== 200) {
+    throw new Error(`Availability API error: ${json.msg || json.status}`);
+  }
+
+  return parseAvailabilityResponse(json, partySize);
+}
+
+module.exports = {
+  venueSlugFromUrl,
+  bookingLink,
+  buildAvailabilityUrl,
+  parseAvailabilityResponse,
+  fetchAvailability
+};
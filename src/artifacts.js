@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Debug artifacts for a run, in a timestamped directory of their own:
+//   run.json            what each check found, which failed and which were ambiguous
+//   trace.zip           Playwright trace (npx playwright show-trace trace.zip)
+//   network.har         every response the browser received
+//   <watch>_<date>_<party size>/
+//     01-page-loaded.png ...   full-page screenshot after each step of a check
+//     01-page-loaded.html ...  the widget's HTML (the iframe's, when it is in one)
+// ARTIFACTS picks the runs that keep them: `failed` (default) keeps runs with a
+// failed or ambiguous check, `always` keeps every run and `off` records nothing.
+
+const ARTIFACT_MODES = ['failed', 'always', 'off'];
+
+// Artifact settings from ARTIFACTS / ARTIFACTS_DIR (default artifacts/), or null when off
+function artifactsFromEnv(env, baseDir) {
+  const mode = (env.ARTIFACTS || 'failed').toLowerCase();
+  if (mode === 'off') return null;
+  return { mode, dir: path.resolve(baseDir, env.ARTIFACTS_DIR || 'artifacts') };
+}
+
+// Start collecting a run's artifacts in a new directory
+function startArtifactRun(artifacts, now = new Date()) {
+  const dir = path.join(artifacts.dir, now.toISOString().replace(/[:.]/g, '-'));
+  fs.mkdirSync(dir, { recursive: true });
+  return { ...artifacts, dir, startedAt: now.toISOString(), steps: {}, ambiguous: [] };
+}
+
+// Browser context options for a run: write its HAR (Playwright saves it when
+// the context closes)
+function artifactContextOptions(run) {
+  if (!run) return {};
+  return { recordHar: { path: path.join(run.dir, 'network.har'), content: 'embed' } };
+}
+
+// Where a run's trace goes
+function tracePath(run) {
+  return path.join(run.dir, 'trace.zip');
+}
+
+// Note a check that finished without a clear answer, so a `failed` run keeps its artifacts
+function markAmbiguous(run, { watch, target }, reason) {
+  if (!run) return;
+  run.ambiguous.push({ watchId: watch.id, date: target.date, partySize: target.partySize, reason });
+  logger.log(`🤔 Ambiguous result: ${reason} - keeping debug artifacts`);
+}
+
+// Full-page screenshot and widget HTML after a step of a check, numbered in
+// order. Artifacts must never stop a check.
+async function captureStep(run, { watch, target, page, targetPage }, step) {
+  if (!run) return;
+  const name = `${watch.id}_${target.date}_${target.partySize}`.replace(/[^\w.-]+/g, '-');
+  const count = run.steps[name] = (run.steps[name] || 0) + 1;
+  const base = path.join(run.dir, name, `${String(count).padStart(2, '0')}-${step}`);
+
+  try {
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+    await page.screenshot({ path: `${base}.png`, fullPage: true });
+    fs.writeFileSync(`${base}.html`, await (targetPage || page).content());
+  } catch (error) {
+    logger.error(`   Could not save the ${step} artifacts: ${error.message}`);
+  }
+}
+
+// Whether a run's artifacts are worth keeping
+function shouldKeepArtifacts(run, { failures }) {
+  return run.mode === 'always' || failures.length > 0 || run.ambiguous.length > 0;
+}
+
+// Write run.json, or remove a run's directory when it isn't kept. The trace and
+// HAR must already be saved (see closeContext in check.js).
+function finishArtifactRun(run, { results, failures }, keep) {
+  if (!keep) {
+    fs.rmSync(run.dir, { recursive: true, force: true });
+    return;
+  }
+
+  fs.writeFileSync(path.join(run.dir, 'run.json'), `${JSON.stringify({
+    startedAt: run.startedAt,
+    finishedAt: new Date().toISOString(),
+    results,
+    failures: failures.map(({ watchId, target, error }) => ({ watchId, ...target, error: error.message })),
+    ambiguous: run.ambiguous
+  }, null, 2)}\n`);
+  logger.log(`🗂️  Debug artifacts saved to ${run.dir}`);
+}
+
+module.exports = {
+  ARTIFACT_MODES,
+  artifactsFromEnv,
+  startArtifactRun,
+  artifactContextOptions,
+  tracePath,
+  markAmbiguous,
+  captureStep,
+  shouldKeepArtifacts,
+  finishArtifactRun
+};
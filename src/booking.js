@@ -0,0 +1,196 @@
+const { BOOKING_SELECTORS, fillSelectors } = require('./venues');
+const { logger } = require('./logger');
+
+// Where auto-booking stops:
+//   link    - find the slot in the widget and send a link to book it yourself.
+//             The bot's browser is headless and closes after the check, so a
+//             hold it took would be lost, and could keep the table from you.
+//   confirm - click the slot, fill guest details and submit, but only when no
+//             card details are asked for
+// `hold` is the old name for `link`.
+const STOP_AT = ['link', 'confirm'];
+
+// Auto-book settings: a watch's `autoBook` section, falling back to AUTO_BOOK_* / GUEST_* env vars
+function bookingOptions(watch, env) {
+  const fromWatch = watch.autoBook || {};
+  const guest = fromWatch.guest || {};
+  const flag = (value, fallback) => value === undefined ? fallback : String(value) === 'true';
+  const stopAt = String(fromWatch.stopAt || env.AUTO_BOOK_STOP_AT || 'link').toLowerCase();
+
+  return {
+    enabled: flag(fromWatch.enabled, flag(env.AUTO_BOOK, false)),
+    stopAt: stopAt === 'hold' ? 'link' : stopAt,
+    dryRun: flag(fromWatch.dryRun, flag(env.AUTO_BOOK_DRY_RUN, false)),
+    guest: {
+      firstName: guest.firstName || env.GUEST_FIRST_NAME,
+      lastName: guest.lastName || env.GUEST_LAST_NAME,
+      email: guest.email || env.GUEST_EMAIL,
+      phone: guest.phone || env.GUEST_PHONE,
+      notes: guest.notes || env.GUEST_NOTES
+    }
+  };
+}
+
+// Problems with enabled auto-book settings, one { key, message, fix } per problem
+function validateBookingOptions(options) {
+  if (!options.enabled) return [];
+
+  const problems = [];
+  if (!STOP_AT.includes(options.stopAt)) {
+    problems.push({ key: 'AUTO_BOOK_STOP_AT', message: `"${options.stopAt}" is not a stopping point`, fix: `use one of ${STOP_AT.join(', ')}` });
+  }
+  for (const [field, envVar] of [['firstName', 'GUEST_FIRST_NAME'], ['lastName', 'GUEST_LAST_NAME'], ['email', 'GUEST_EMAIL'], ['phone', 'GUEST_PHONE']]) {
+    if (!options.guest[field]) {
+      problems.push({ key: envVar, message: `Auto-book needs the guest's ${field}`, fix: `set ${envVar} or autoBook.guest.${field} on the watch` });
+    }
+  }
+  if (options.guest.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(options.guest.email)) {
+    problems.push({ key: 'GUEST_EMAIL', message: `"${options.guest.email}" is not an email address`, fix: 'use an address like alex@example.com' });
+  }
+  return problems;
+}
+
+// Ways the widget may label a slot button: "19:30", "7:30 PM", "7:30PM"
+function slotTimeLabels(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const hours12 = hours % 12 === 0 ? 12 : hours % 12;
+  const meridiem = hours < 12 ? 'AM' : 'PM';
+  return [time, `${hours12}:${minutes.toString().padStart(2, '0')} ${meridiem}`, `${hours12}:${minutes.toString().padStart(2, '0')}${meridiem}`];
+}
+
+// Find the visible button for a slot's time in the widget, noting the selector
+// that matched in `matched.slotButton`
+async function findSlotButton(targetPage, slot, matched) {
+  for (const label of slotTimeLabels(slot.time)) {
+    for (const [index, selector] of fillSelectors(BOOKING_SELECTORS.slotButton, { label }).entries()) {
+      try {
+        const button = targetPage.locator(selector).first();
+        if (await button.isVisible({ timeout: 1000 })) {
+          matched.slotButton = BOOKING_SELECTORS.slotButton[index];
+          return button;
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+  return null;
+}
+
+// Fill the first visible field matching any of the selectors
+async function fillField(targetPage, selectors, value) {
+  if (!value) return false;
+
+  for (const selector of selectors) {
+    try {
+      const field = targetPage.locator(selector).first();
+      if (await field.isVisible({ timeout: 1000 })) {
+        await field.fill(String(value));
+        return true;
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return false;
+}
+
+// Fill guest details on the checkout screen; returns the fields that couldn't be found
+async function fillGuestDetails(targetPage, guest) {
+  const missing = [];
+  for (const field of ['firstName', 'lastName', 'email', 'phone', 'notes']) {
+    if (!guest[field]) continue;
+    if (!(await fillField(targetPage, BOOKING_SELECTORS[field], guest[field]))) {
+      missing.push(field);
+    }
+  }
+  return missing;
+}
+
+// Whether the checkout asks for card details
+async function requiresCard(targetPage) {
+  for (const selector of BOOKING_SELECTORS.card) {
+    try {
+      if (await targetPage.locator(selector).first().isVisible({ timeout: 1000 })) {
+        return true;
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return false;
+}
+
+// Submit the reservation and wait for the confirmation screen, noting the
+// selector that matched in `matched.submit`
+async function submitReservation(page, targetPage, matched) {
+  let submitted = false;
+  for (const selector of BOOKING_SELECTORS.submit) {
+    try {
+      const button = targetPage.locator(selector).first();
+      if (await button.isVisible({ timeout: 1000 })) {
+        await button.click();
+        submitted = true;
+        matched.submit = selector;
+        break;
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  if (!submitted) return false;
+
+  await page.waitForTimeout(5000);
+  const bodyText = (await targetPage.locator('body').textContent().catch(() => '')) || '';
+  return /reservation (is )?confirmed|you're all set|see you (on|soon)|confirmation number/i.test(bodyText);
+}
+
+// Try to book a slot in an open widget (date and party size already selected).
+// Resolves with { status, message } where status is one of
+// dry-run, ready (to book from a link), confirmed, card-required, failed. The selectors the checkout
+// steps matched go in `matched`, as the widget steps' do (see recordSelectors).
+async function bookSlot(page, targetPage, slot, options, matched = {}) {
+  logger.log(`\n🤖 Auto-booking ${slot.time} on ${slot.date} (stop at: ${options.stopAt}${options.dryRun ? ', dry run' : ''})...`);
+
+  const button = await findSlotButton(targetPage, slot, matched);
+  if (!button) {
+    return { status: 'failed', message: `Could not find the ${slot.time} slot in the widget` };
+  }
+
+  if (options.dryRun) {
+    return { status: 'dry-run', message: `Dry run: would book ${slot.time} on ${slot.date}` };
+  }
+
+  if (options.stopAt === 'link') {
+    return { status: 'ready', message: `${slot.time} on ${slot.date} is open in the widget - book it yourself from the link` };
+  }
+
+  // Clicking would take a hold only to walk away from it
+  if (slot.depositRequired) {
+    return { status: 'card-required', message: `${slot.time} on ${slot.date} needs a card - book it yourself from the link` };
+  }
+
+  await button.click();
+  await page.waitForTimeout(3000);
+
+  const missing = await fillGuestDetails(targetPage, options.guest);
+  if (missing.length > 0) {
+    return { status: 'failed', message: `Slot clicked but could not fill guest ${missing.join(', ')}` };
+  }
+
+  if (await requiresCard(targetPage)) {
+    return { status: 'card-required', message: `${slot.time} on ${slot.date} needs a card - not booked, book it yourself from the link (the widget may keep the table for a few minutes first)` };
+  }
+
+  if (await submitReservation(page, targetPage, matched)) {
+    return { status: 'confirmed', message: `Booked ${slot.time} on ${slot.date} for ${slot.partySize} people` };
+  }
+  return { status: 'failed', message: `Submitted ${slot.time} on ${slot.date} but saw no confirmation` };
+}
+
+module.exports = {
+  bookingOptions,
+  validateBookingOptions,
+  slotTimeLabels,
+  bookSlot
+};
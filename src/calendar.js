@@ -0,0 +1,100 @@
+const { MONTHS } = require('./dates');
+const { WidgetError } = require('./diagnostics');
+const { logger } = require('./logger');
+
+// Months are { year, month } with month 1-12. The widget's calendar may open
+// on any month - the current one where the browser thinks it is today, or one
+// chosen earlier - so navigation reads the month it shows and clicks towards
+// the target until they match.
+
+const MAX_MONTH_CLICKS = 24;
+
+// Months from `from` to `to`: positive when `to` is later
+function monthsBetween(from, to) {
+  return (to.year - from.year) * 12 + (to.month - from.month);
+}
+
+// "November 2026" for the log
+function describeMonth({ year, month }) {
+  const name = MONTHS[month - 1];
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${year}`;
+}
+
+// The month from YYYY-MM-DD
+function monthOf(dateStr) {
+  const [year, month] = dateStr.split('-').map(Number);
+  return { year, month };
+}
+
+// The first month and year in a calendar heading, e.g. "November 2026",
+// "Nov. 2026" or "December, 2026", or null without one
+function parseCalendarMonth(text) {
+  const match = new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\.?,?\\s+(\\d{4})\\b`, 'i').exec(text || '');
+  if (!match) return null;
+  return { year: Number(match[2]), month: MONTHS.indexOf(match[1].toLowerCase()) + 1 };
+}
+
+// The month most day labels are in, for calendars without a readable heading.
+// Labels look like "Date 14 Nov 2026" or "Saturday, November 14, 2026".
+function monthFromDayLabels(labels) {
+  const monthNames = MONTHS.join('|');
+  const pattern = new RegExp(`\\b(?:\\d{1,2}\\s+(${monthNames})[a-z]*\\.?|(${monthNames})[a-z]*\\.?\\s+\\d{1,2}),?\\s+(\\d{4})\\b`, 'i');
+  const counts = new Map();
+
+  for (const label of labels) {
+    const match = pattern.exec(label || '');
+    if (!match) continue;
+    const key = `${match[3]}-${MONTHS.indexOf((match[1] || match[2]).toLowerCase()) + 1}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+
+  const [year, month] = Array.from(counts).sort((a, b) => b[1] - a[1])[0][0].split('-').map(Number);
+  return { year, month };
+}
+
+// Move a calendar to `target` ({ year, month }). `calendar` is
+// { read(), step(direction) }: read resolves with the month shown, or null if
+// it can't tell, and step clicks next (1) or previous (-1). When the month
+// can't be read, counts clicks from `assumed` (the month of "today") instead.
+// Resolves with the number of clicks; throws a WidgetError when the calendar
+// stops moving.
+async function navigateToMonth(calendar, target, { assumed } = {}) {
+  let shown = await calendar.read();
+
+  if (!shown) {
+    const clicks = monthsBetween(assumed, target);
+    logger.log(`⚠️  Could not read the month the calendar shows - assuming ${describeMonth(assumed)}`);
+    for (let i = 0; i < Math.abs(clicks); i++) {
+      await calendar.step(Math.sign(clicks));
+    }
+    return Math.abs(clicks);
+  }
+
+  let clicks = 0;
+  while (monthsBetween(shown, target) !== 0) {
+    const direction = Math.sign(monthsBetween(shown, target));
+    const step = direction > 0 ? 'nextMonth' : 'previousMonth';
+    if (clicks >= MAX_MONTH_CLICKS) {
+      throw new WidgetError(step, `Calendar still shows ${describeMonth(shown)} after ${clicks} clicks towards ${describeMonth(target)}`);
+    }
+
+    await calendar.step(direction);
+    clicks++;
+    const next = await calendar.read();
+    if (!next || Math.sign(monthsBetween(shown, next)) !== direction) {
+      throw new WidgetError(step, `Calendar went from ${describeMonth(shown)} to ${next ? describeMonth(next) : 'an unreadable month'} after clicking ${direction > 0 ? 'next' : 'previous'}`);
+    }
+    shown = next;
+  }
+  return clicks;
+}
+
+module.exports = {
+  monthsBetween,
+  describeMonth,
+  monthOf,
+  parseCalendarMonth,
+  monthFromDayLabels,
+  navigateToMonth
+};
@@ -0,0 +1,181 @@
+const { ConfigError, formatProblem } = require('../config');
+const { describeDates } = require('../dates');
+const { describePartySizes } = require('../party');
+const { describeWindow } = require('../window');
+const { logger } = require('../logger');
+
+// Chat commands, as `/name args` (or `!name args`, as Slack keeps `/` for its own
+// commands). Each handler gets the watcher, the words after the command and a
+// `reply(text)`; what it resolves with is sent as a reply too.
+const HELP = [
+  '/watch <url> <dates> <party size> <windows> - add a watch, e.g. /watch https://www.sevenrooms.com/reservations/venue 2026-11-14 4 19:00-21:00',
+  '/list - the watches and the tables in a window their last check found',
+  '/pause <id>, /resume <id> - stop or restart checking a watch',
+  '/snooze <duration> - no notifications for a while, e.g. /snooze 2h (/snooze off to end it)',
+  '/book [id] <date> <time> - book a table the last check found, e.g. /book 2026-11-14 19:30',
+  '/help - this list'
+].join('\n');
+
+const DURATION_UNITS = { m: 60000, min: 60000, minute: 60000, h: 3600000, hr: 3600000, hour: 3600000, d: 86400000, day: 86400000 };
+
+// Milliseconds in "2h", "30m", "1h30m", "90 min" or "1d", or null when it isn't a duration
+function parseDuration(value) {
+  const text = String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+  const parts = text.match(/\d+(?:\.\d+)?[a-z]+/g);
+  if (!parts || parts.join('') !== text) return null;
+
+  let ms = 0;
+  for (const part of parts) {
+    const [, amount, unit] = /^(\d+(?:\.\d+)?)([a-z]+)$/.exec(part);
+    const unitMs = DURATION_UNITS[unit] || DURATION_UNITS[unit.replace(/s$/, '')];
+    if (!unitMs) return null;
+    ms += parseFloat(amount) * unitMs;
+  }
+  return ms > 0 ? ms : null;
+}
+
+// { name, args } for a command message, or null for any other message.
+// Telegram adds the bot's name in groups: /list@tablebot
+function parseCommand(text) {
+  const match = /^[/!]([a-z]+)(?:@\S+)?(?:\s+([\s\S]*))?$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim().split(/\s+/).filter(Boolean) };
+}
+
+// A config error as chat text
+function describeConfigError(error) {
+  return [`❌ ${error.message}`, ...error.problems.map(problem => `- ${formatProblem(problem)}`)].join('\n');
+}
+
+// One watch for /list: what it watches and what its last check found
+function describeWatch(watch, slots) {
+  const lines = [`${watch.paused ? '⏸️' : '👀'} ${watch.id}${watch.paused ? ' (paused)' : ''}: ${watch.dates}, party size ${watch.partySizes.join('/')}, ${watch.windows.join(', ')}`];
+  if (!watch.lastResult) {
+    lines.push('   not checked yet');
+  } else if (!watch.lastResult.ok) {
+    lines.push(`   last check failed (${watch.consecutiveFailures} in a row): ${watch.lastResult.failures[0].error}`);
+  }
+  const inWindow = slots.filter(slot => slot.watchId === watch.id && slot.inWindow);
+  inWindow.forEach(slot => lines.push(`   🍽️ ${slot.time} on ${slot.date} for ${slot.partySize} - /book ${watch.id} ${slot.date} ${slot.time}`));
+  if (watch.lastResult && watch.lastResult.ok && inWindow.length === 0) {
+    lines.push('   no tables in a window');
+  }
+  return lines.join('\n');
+}
+
+// The slot a /book names: [watch id] date time, among the slots in a window
+// the last checks found. { slot } or { error }.
+function findSlotToBook(watcher, args) {
+  const [date, time] = args.slice(-2);
+  const watchId = args.length > 2 ? args[0] : null;
+  if (!date || !time || args.length > 3) {
+    return { error: 'Usage: /book [id] <date> <time>, e.g. /book 2026-11-14 19:30' };
+  }
+
+  const matches = watcher.slots().filter(slot => slot.inWindow && slot.date === date && slot.time === time && (!watchId || slot.watchId === watchId));
+  if (matches.length === 0) {
+    return { error: `No table at ${time} on ${date} in the last check${watchId ? ` of ${watchId}` : ''} - /list shows what there is` };
+  }
+  const watchIds = Array.from(new Set(matches.map(slot => slot.watchId)));
+  if (watchIds.length > 1) {
+    return { error: `${watchIds.join(' and ')} both have ${time} on ${date} - say which: /book ${watchIds[0]} ${date} ${time}` };
+  }
+  // Several party sizes: the one the watch prefers, else the first checked
+  const watch = watcher.watches().find(candidate => candidate.id === watchIds[0]);
+  const slot = matches.find(match => match.partySize === watch.partySizes[0]) || matches[0];
+  return { slot };
+}
+
+const COMMANDS = {
+  help: () => HELP,
+  start: () => HELP,
+
+  watch: (watcher, args) => {
+    if (args.length < 4) {
+      return 'Usage: /watch <url> <dates> <party size> <windows>, e.g. /watch https://www.sevenrooms.com/reservations/venue 2026-11-14,2026-11-15 2-4 19:00-21:00,22:00-23:00';
+    }
+    const [url, dates, partySize, ...windows] = args;
+    try {
+      // Dates take the rules DATE does (see src/dates.js), e.g. 2026-11-20..2026-11-23,fri/sat
+      const watch = watcher.addWatch({ url, dates, partySize, windows: windows.join(' ').split(',').map(part => part.trim()).filter(Boolean) });
+      return `👀 Watching ${watch.id}: ${describeDates(watch)}, party size ${describePartySizes(watch.partySizes, watch.preferredPartySize)}, ${watch.windows.map(describeWindow).join(', ')}. Checked from the next run on.`;
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      return describeConfigError(error);
+    }
+  },
+
+  list: watcher => {
+    const { watches, snoozedUntil } = watcher.status();
+    const slots = watcher.slots();
+    const lines = watches.map(watch => describeWatch(watch, slots));
+    if (snoozedUntil) lines.push(`😴 Notifications snoozed until ${snoozedUntil}`);
+    return lines.length > 0 ? lines.join('\n') : 'No watches - add one with /watch';
+  },
+
+  pause: (watcher, [id]) => {
+    if (!id) return 'Usage: /pause <id> (see /list)';
+    return watcher.pauseWatch(id) ? `⏸️ Paused ${id} - /resume ${id} to check it again` : `No watch "${id}" (see /list)`;
+  },
+
+  resume: (watcher, [id]) => {
+    if (!id) return 'Usage: /resume <id> (see /list)';
+    return watcher.resumeWatch(id) ? `▶️ Checking ${id} again from the next run on` : `No watch "${id}" (see /list)`;
+  },
+
+  snooze: (watcher, args) => {
+    if (['off', 'stop', 'end'].includes((args[0] || '').toLowerCase())) {
+      watcher.snooze(null);
+      return '🔔 Notifications are back on';
+    }
+    const ms = parseDuration(args.join(' '));
+    if (!ms) return 'Usage: /snooze <duration>, e.g. /snooze 2h or /snooze 30m (/snooze off to end it)';
+    const until = new Date(Date.now() + ms);
+    watcher.snooze(until);
+    return `😴 No notifications until ${until.toISOString()}. Tables that are still there are notified after that.`;
+  },
+
+  book: async (watcher, args, reply) => {
+    const { slot, error } = findSlotToBook(watcher, args);
+    if (error) return error;
+
+    let booking;
+    try {
+      booking = watcher.book(slot.watchId, slot);
+    } catch (bookError) {
+      if (!(bookError instanceof ConfigError)) throw bookError;
+      return describeConfigError(bookError);
+    }
+    await reply(`🤖 Booking ${slot.time} on ${slot.date} for ${slot.partySize} (${slot.watchId})...`);
+    const result = await booking;
+    if (!result) return `😞 ${slot.time} on ${slot.date} wasn't in a window any more`;
+    return `${result.status === 'failed' ? '❌' : '✅'} Booking ${result.status}: ${result.message}`;
+  }
+};
+
+// Handle one chat message. Resolves once every reply has been sent; messages
+// that aren't commands are ignored.
+async function handleMessage(watcher, text, reply) {
+  const command = parseCommand(text);
+  if (!command) return;
+  const handler = COMMANDS[command.name];
+  if (!handler) {
+    await reply(`Unknown command /${command.name}\n\n${HELP}`);
+    return;
+  }
+
+  let response;
+  try {
+    response = await handler(watcher, command.args, reply);
+  } catch (error) {
+    logger.error(`❌ Chat command /${command.name} failed: ${error.message}`);
+    response = `❌ /${command.name} failed: ${error.message}`;
+  }
+  if (response) await reply(response);
+}
+
+module.exports = {
+  parseDuration,
+  parseCommand,
+  handleMessage
+};
@@ -0,0 +1,112 @@
+const { handleMessage } = require('./commands');
+const { logger, withLogger } = require('../logger');
+
+// Two-way chat control of a running watcher (see src/chat/commands.js for the
+// commands). Every chat backend exposes:
+//   type      - name used in CHAT_COMMANDS
+//   env       - option name -> environment variable it is read from
+//   required  - options that must be set
+//   create    - returns { name, receive(signal), reply(message, text) }: receive
+//               resolves with new messages ({ id, text }), waiting for them as
+//               the backend does; reply answers one in its thread
+const BACKENDS = {
+  telegram: require('./telegram'),
+  slack: require('./slack')
+};
+
+// Wait after a failed poll before trying again
+const RETRY_DELAY_MS = 30000;
+
+// Chat configs from CHAT_COMMANDS (comma-separated backend types; none by
+// default), with each backend's options from its environment variables
+function chatConfigsFromEnv(env) {
+  const pollSeconds = parseFloat(env.CHAT_POLL_SECONDS || '10');
+  return (env.CHAT_COMMANDS || '').split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean)
+    .map(type => {
+      const backend = BACKENDS[type];
+      const config = { type, pollSeconds };
+      if (backend) {
+        Object.entries(backend.env).forEach(([option, envVar]) => {
+          if (env[envVar]) config[option] = env[envVar];
+        });
+      }
+      return config;
+    });
+}
+
+// Unknown backend types and missing required options, one { key, message, fix } per problem
+function validateChatConfigs(configs) {
+  const problems = [];
+  configs.forEach(config => {
+    const backend = BACKENDS[config.type];
+    if (!backend) {
+      problems.push({ key: 'CHAT_COMMANDS', message: `Unknown chat "${config.type}"`, fix: `use one of ${Object.keys(BACKENDS).join(', ')}` });
+      return;
+    }
+    backend.required
+      .filter(option => !config[option])
+      .forEach(option => problems.push({ key: backend.env[option], message: `${config.type} chat commands need ${option}`, fix: `set ${backend.env[option]}` }));
+  });
+  return problems;
+}
+
+// Sleep that an abort cuts short
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      resolve();
+    }
+    signal.addEventListener('abort', done);
+  });
+}
+
+function createChats(configs) {
+  return configs.map(config => BACKENDS[config.type].create(config));
+}
+
+// Answer commands from `chat` until `signal` aborts. Resolves once stopped and
+// every command has been answered; failed polls and replies are logged, never
+// thrown. Commands run side by side, so a /book waiting on its check doesn't
+// hold up a /list. Logs go to the watcher's logger.
+function runChat(watcher, chat, signal) {
+  return withLogger(watcher.logger, () => answerCommands(watcher, chat, signal));
+}
+
+// runChat's loop
+async function answerCommands(watcher, chat, signal) {
+  const pending = new Set();
+  logger.log(`💬 Taking commands from ${chat.name}`);
+
+  while (!signal.aborted) {
+    let messages;
+    try {
+      messages = await chat.receive(signal);
+    } catch (error) {
+      if (signal.aborted) break;
+      logger.error(`❌ ${chat.name} chat: ${error.message} - trying again in ${RETRY_DELAY_MS / 1000}s`);
+      await sleep(RETRY_DELAY_MS, signal);
+      continue;
+    }
+
+    for (const message of messages) {
+      logger.log(`💬 ${chat.name}: ${message.text}`);
+      const handled = handleMessage(watcher, message.text, text => chat.reply(message, text).catch(error => {
+        logger.error(`❌ ${chat.name} chat: could not reply: ${error.message}`);
+      })).finally(() => pending.delete(handled));
+      pending.add(handled);
+    }
+  }
+  await Promise.all(pending);
+}
+
+module.exports = {
+  chatConfigsFromEnv,
+  validateChatConfigs,
+  createChats,
+  runChat
+};
@@ -0,0 +1,78 @@
+const fetch = require('node-fetch');
+
+// Message text as typed: Slack wraps links in <...> and escapes &, < and >
+function plainText(text) {
+  return text
+    .replace(/<((?:https?|mailto):[^|>]+)(?:\|[^>]*)?>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Slack Web API with a bot token: polls SLACK_CHANNEL_ID's history
+// (conversations.history) every pollSeconds and replies in the command's thread
+function createSlackChat(options) {
+  const apiUrl = (options.apiUrl || 'https://slack.com/api').replace(/\/$/, '');
+  // Only messages after this Slack timestamp; starts now, so old commands are skipped
+  let oldest = (Date.now() / 1000).toFixed(6);
+
+  const call = async (method, { query, body, signal } = {}) => {
+    const url = `${apiUrl}/${method}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    const response = await fetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: { Authorization: `Bearer ${options.botToken}`, ...(body ? { 'Content-Type': 'application/json; charset=utf-8' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+    const data = await response.json();
+    if (!data.ok) {
+      throw new Error(`Slack error: ${data.error || `HTTP ${response.status}`}`);
+    }
+    return data;
+  };
+
+  // Wait between polls; an abort ends the wait early
+  const wait = signal => new Promise(resolve => {
+    const timer = setTimeout(done, options.pollSeconds * 1000);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done);
+  });
+
+  return {
+    name: 'slack',
+
+    // New messages from people (not bots, joins or edits), oldest first
+    async receive(signal) {
+      await wait(signal);
+      if (signal && signal.aborted) return [];
+
+      const { messages } = await call('conversations.history', { query: { channel: options.channel, oldest, limit: 100 }, signal });
+      messages.forEach(message => {
+        if (Number(message.ts) > Number(oldest)) oldest = message.ts;
+      });
+      return messages
+        .filter(message => message.text && !message.bot_id && !message.subtype)
+        .reverse()
+        .map(message => ({ id: message.ts, text: plainText(message.text) }));
+    },
+
+    async reply(message, text) {
+      await call('chat.postMessage', { body: { channel: options.channel, text, thread_ts: message.id } });
+    }
+  };
+}
+
+module.exports = {
+  type: 'slack',
+  env: {
+    botToken: 'SLACK_BOT_TOKEN',
+    channel: 'SLACK_CHANNEL_ID',
+    apiUrl: 'SLACK_API_URL'
+  },
+  required: ['botToken', 'channel'],
+  create: createSlackChat
+};
@@ -0,0 +1,60 @@
+const fetch = require('node-fetch');
+
+// Telegram Bot API over long polling (getUpdates): commands come from the one
+// chat in TELEGRAM_CHAT_ID, and replies quote the command they answer
+function createTelegramChat(options) {
+  const apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  const startedAt = Math.floor(Date.now() / 1000);
+  let offset = 0;
+
+  const call = async (method, body, signal) => {
+    const response = await fetch(`${apiUrl}/bot${options.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+    const data = await response.json();
+    if (!data.ok) {
+      throw new Error(`Telegram error: ${data.description || `HTTP ${response.status}`}`);
+    }
+    return data.result;
+  };
+
+  return {
+    name: 'telegram',
+
+    // New messages, waiting up to pollSeconds for one. Messages sent before the
+    // bot started are skipped, so a restart doesn't run old commands again.
+    async receive(signal) {
+      const updates = await call('getUpdates', { offset, timeout: Math.floor(options.pollSeconds), allowed_updates: ['message'] }, signal);
+      updates.forEach(update => {
+        offset = Math.max(offset, update.update_id + 1);
+      });
+      return updates
+        .map(update => update.message)
+        .filter(message => message && message.text && String(message.chat.id) === String(options.chatId) && message.date >= startedAt)
+        .map(message => ({ id: message.message_id, text: message.text }));
+    },
+
+    async reply(message, text) {
+      await call('sendMessage', {
+        chat_id: options.chatId,
+        text,
+        reply_to_message_id: message.id,
+        disable_web_page_preview: true
+      });
+    }
+  };
+}
+
+module.exports = {
+  type: 'telegram',
+  env: {
+    botToken: 'TELEGRAM_BOT_TOKEN',
+    chatId: 'TELEGRAM_CHAT_ID',
+    apiUrl: 'TELEGRAM_API_URL'
+  },
+  required: ['botToken', 'chatId'],
+  create: createTelegramChat
+};
@@ -0,0 +1,409 @@
+const { EXIT_CODES } = require('./retry');
+const { ConfigError, formatProblem, resolveEnv } = require('./config');
+const { findWatchlistFile, loadWatchlist, watchFromEnv } = require('./watchlist');
+const { todayIn } = require('./dates');
+const { loadNotifierConfigs, validateNotifierConfigs, createNotifiers, buildTestNotification, sendToAll } = require('./notifiers');
+const { createStateBackend, createStateStore, prunePastDates } = require('./state');
+const { historyFileFromEnv, readHistory } = require('./history');
+const { FORMATTERS, filterHistory, buildReport } = require('./report');
+
+const COMMANDS = {
+  check: 'Check every watch once and exit',
+  watch: 'Re-check on the interval until a slot in the window turns up, then exit',
+  daemon: 'Re-check on the interval until stopped (quiet hours, pauses once dates pass)',
+  report: 'Print when tables usually free up, from the check history',
+  state: 'Show, prune or clear remembered slots (state show|prune|clear)',
+  'test-notify': 'Send a test notification through every configured notifier'
+};
+
+// Flags that set a setting; each overrides the environment variable of the same meaning
+const SETTING_FLAGS = [
+  { flag: '--config', env: 'WATCHLIST_FILE', value: '<file>', help: 'Watch-list file (JSON or YAML)' },
+  { flag: '--url', env: 'BOOKING_URL', value: '<url>', help: 'Booking page for an ad-hoc watch (ignores watchlist.yml)' },
+  { flag: '--date', env: 'DATE', value: '<rules>', help: 'Dates for the ad-hoc watch, e.g. 2026-11-14 or "next 6 weeks, fri/sat, not 2026-11-26"' },
+  { flag: '--party-size', env: 'PARTY_SIZE', value: '<n|range>', help: 'Party sizes for the ad-hoc watch, e.g. 2 or 4-6' },
+  { flag: '--preferred-party-size', env: 'PREFERRED_PARTY_SIZE', value: '<n>', help: 'Party size to check and notify first' },
+  { flag: '--window', env: 'WINDOWS', value: '<window,...>', help: 'Time windows for the ad-hoc watch, e.g. 19:00-21:00 or "fri/sat 22:00-01:00,20:00±60"' },
+  { flag: '--adapter', env: 'VENUE_ADAPTER', value: '<direct|embedded>', help: 'Venue adapter for the ad-hoc watch (picked from the URL by default)' },
+  { flag: '--timezone', env: 'VENUE_TIMEZONE', value: '<zone>', help: 'Time zone of the ad-hoc watch\'s venue, e.g. Europe/Dublin (the local one by default)' },
+  { flag: '--mode', env: 'CHECK_MODE', value: '<auto|api|browser>', help: 'How to check availability' },
+  { flag: '--notifiers', env: 'NOTIFIERS', value: '<list>', help: 'Comma-separated notifier backends' },
+  { flag: '--interval', env: 'CHECK_INTERVAL_MINUTES', value: '<minutes>', help: 'Minutes between checks (watch, daemon)' },
+  { flag: '--jitter', env: 'CHECK_JITTER', value: '<fraction>', help: 'Random spread around the interval' },
+  { flag: '--quiet-hours', env: 'QUIET_HOURS', value: '<HH:MM-HH:MM>', help: 'No checks during this window' },
+  { flag: '--retries', env: 'RETRY_MAX_ATTEMPTS', value: '<n>', help: 'Attempts per check stage' },
+  { flag: '--min-confidence', env: 'EXTRACTION_MIN_CONFIDENCE', value: '<0-1>', help: 'Ignore browser-extracted slots below this confidence' },
+  { flag: '--cooldown', env: 'STATE_RENOTIFY_COOLDOWN_MINUTES', value: '<minutes>', help: 'Re-notify a slot that came back after this long' },
+  { flag: '--state-backend', env: 'STATE_BACKEND', value: '<json|sqlite|gist>', help: 'Where state is kept' },
+  { flag: '--state-file', env: 'STATE_FILE', value: '<file>', help: 'State file for the json / sqlite backends' },
+  { flag: '--history-file', env: 'HISTORY_FILE', value: '<file|off>', help: 'Check history file' },
+  { flag: '--record', env: 'RECORD_DIR', value: '<dir>', help: 'Record responses (HAR) and DOM snapshots of browser checks' },
+  { flag: '--replay', env: 'REPLAY_DIR', value: '<dir>', help: 'Replay a recording offline instead of loading the live page' },
+  { flag: '--artifacts', env: 'ARTIFACTS', value: '<failed|always|off>', help: 'Which runs keep a trace, screenshots and HAR (default failed)' },
+  { flag: '--port', env: 'HTTP_PORT', value: '<port>', help: 'Serve status and the watch API on this port (watch, daemon)' },
+  { flag: '--chat', env: 'CHAT_COMMANDS', value: '<telegram,slack>', help: 'Take commands from these chats (watch, daemon)' },
+  { flag: '--auto-book', env: 'AUTO_BOOK', boolean: true, help: 'Auto-book a matching slot' },
+  { flag: '--stop-at', env: 'AUTO_BOOK_STOP_AT', value: '<link|confirm>', help: 'Where auto-booking stops' }
+];
+
+// Flags that change how the command runs rather than a setting
+const SWITCHES = {
+  '--dry-run': 'dryRun',
+  '--json': 'json',
+  '--verbose': 'verbose',
+  '-v': 'verbose',
+  '--quiet': 'quiet',
+  '-q': 'quiet',
+  '--help': 'help',
+  '-h': 'help',
+  '--version': 'version'
+};
+
+// Flags only the report and state commands take
+const COMMAND_FLAGS = {
+  '--format': 'format',
+  '--watch': 'watchId',
+  '--venue': 'venue',
+  '--since': 'since'
+};
+
+function helpText() {
+  const flagLabel = option => `${option.flag}${option.value ? ` ${option.value}` : ''}`;
+  const envLabel = option => [].concat(option.env).join(', ');
+  const width = Math.max(...SETTING_FLAGS.map(option => flagLabel(option).length)) + 2;
+
+  return [
+    'Usage: sevenrooms-bot <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(12)} ${description}`),
+    '',
+    'Settings (each overrides its environment variable, which overrides the watch list\'s `settings`):',
+    ...SETTING_FLAGS.map(option => `  ${flagLabel(option).padEnd(width)} ${option.help} (${envLabel(option)})`),
+    '',
+    'Output:',
+    '  --json          Machine-readable result on stdout (logs go to stderr)',
+    '  --dry-run       Check without sending notifications, booking or saving state',
+    '  -v, --verbose   Also log network traffic and stack traces',
+    '  -q, --quiet     Only log warnings and errors',
+    '  -h, --help      Show this help',
+    '  --version       Show the version',
+    '',
+    'Report and state options:',
+    '  --format <table|csv|json>   Report output format (default table)',
+    '  --watch <id>                Only this watch',
+    '  --venue <slug>              Only this venue (report)',
+    '  --since <YYYY-MM-DD>        Only checks from this date on (report)',
+    '',
+    'Examples:',
+    '  sevenrooms-bot check --url https://www.sevenrooms.com/reservations/venue --date 2026-11-14 --party-size 2 --window 19:00-21:00',
+    '  sevenrooms-bot daemon --config watchlist.yml --interval 3 --quiet-hours 23:00-07:00',
+    '  sevenrooms-bot report --format csv --since 2026-01-01'
+  ].join('\n');
+}
+
+// Split argv into the command, its positional arguments, setting overrides
+// (as environment variables), switches and report/state options
+function parseArgs(argv) {
+  const parsed = { command: null, positional: [], flags: {}, switches: {}, options: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      if (!parsed.command) parsed.command = arg;
+      else parsed.positional.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const takeValue = () => {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new ConfigError(`${flag} needs a value`);
+      }
+      return value;
+    };
+
+    if (SWITCHES[flag]) {
+      parsed.switches[SWITCHES[flag]] = true;
+      continue;
+    }
+
+    if (COMMAND_FLAGS[flag]) {
+      parsed.options[COMMAND_FLAGS[flag]] = takeValue();
+      continue;
+    }
+
+    const setting = SETTING_FLAGS.find(option => option.flag === flag);
+    if (!setting) {
+      throw new ConfigError(`Unknown option ${flag} (see sevenrooms-bot --help)`);
+    }
+
+    if (setting.boolean) {
+      parsed.flags[setting.env] = inlineValue !== undefined ? inlineValue : 'true';
+    } else {
+      parsed.flags[setting.env] = takeValue();
+    }
+  }
+
+  return parsed;
+}
+
+// Route console output for the chosen verbosity. console.debug is only shown
+// with --verbose; with --json every log goes to stderr so stdout stays parseable.
+function setupLogging({ json, quiet, verbose }) {
+  const log = json ? console.error.bind(console) : console.log.bind(console);
+  const silent = () => {};
+
+  console.log = quiet ? silent : log;
+  console.info = quiet ? silent : log;
+  console.debug = verbose && !quiet ? log : silent;
+}
+
+// Command output, written even with --quiet
+function output(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+// The watch-list file in use: --config / WATCHLIST_FILE, none for an ad-hoc
+// --url watch, otherwise watchlist.json / watchlist.yml in the working directory.
+// Like the state and history files, it resolves against the working directory,
+// not where the package is installed.
+function watchlistFileFor(parsed, env) {
+  if (env.WATCHLIST_FILE) return findWatchlistFile(process.cwd(), env.WATCHLIST_FILE);
+  if (parsed.flags.BOOKING_URL) return null;
+  return findWatchlistFile(process.cwd());
+}
+
+// Load a watch-list file; one that can't be read or parsed is a ConfigError
+function readWatchlist(watchlistFile) {
+  try {
+    return loadWatchlist(watchlistFile);
+  } catch (error) {
+    throw new ConfigError(`Could not load watch list ${watchlistFile}: ${error.message}`);
+  }
+}
+
+// Resolve settings: flags, then the environment, then the watch list's `settings`
+function settingsFor(parsed) {
+  const env = resolveEnv({ flags: parsed.flags, env: process.env });
+  const watchlistFile = watchlistFileFor(parsed, env);
+
+  const settings = watchlistFile ? readWatchlist(watchlistFile).settings : {};
+
+  return { env: resolveEnv({ flags: parsed.flags, env: process.env, settings }), watchlistFile };
+}
+
+// check / watch / daemon, through a watcher (see src/watcher.js)
+async function runChecks(command, parsed, switches) {
+  const { env, watchlistFile } = settingsFor(parsed);
+  const { createWatcher } = require('./watcher');
+  const watcher = createWatcher({ settings: env, watchlistFile, baseDir: process.cwd(), dryRun: Boolean(switches.dryRun) });
+
+  if (switches.json) {
+    watcher.on('check', run => output(JSON.stringify(watcher.summarize(run), null, command === 'check' ? 2 : 0)));
+  }
+
+  if (command === 'check') {
+    console.log('🚀 Starting SevenRooms availability check...\n');
+    const run = await watcher.check().finally(() => watcher.close());
+    if (run.failures.length > 0) return EXIT_CODES.CHECK_FAILED;
+    console.log('\n✅ Check completed');
+    return EXIT_CODES.OK;
+  }
+
+  if (command === 'watch') {
+    watcher.on('check', run => {
+      const found = run.results.reduce((sum, result) => sum + result.notified.length, 0);
+      if (found > 0) {
+        console.log(`\n🎉 Found ${found} new slot(s), stopping`);
+        watcher.stop();
+      }
+    });
+  }
+
+  // The first SIGTERM/SIGINT stops after the current check, a second exits at once
+  let stopping = false;
+  const onSignal = signal => {
+    if (stopping) {
+      console.log(`\n⚠️  ${signal} received again, exiting immediately`);
+      process.exit(EXIT_CODES.FATAL);
+    }
+    console.log(`\n🛑 ${signal} received, shutting down after the current check...`);
+    stopping = true;
+    watcher.stop();
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+
+  console.log(`🚀 Starting SevenRooms availability ${command === 'watch' ? 'watch' : 'daemon'}...\n`);
+  try {
+    await watcher.start();
+  } finally {
+    process.removeListener('SIGTERM', onSignal);
+    process.removeListener('SIGINT', onSignal);
+  }
+  return EXIT_CODES.OK;
+}
+
+function runReport(parsed) {
+  const options = { format: 'table', ...parsed.options };
+  options.format = options.format.toLowerCase();
+  if (!FORMATTERS[options.format]) {
+    throw new ConfigError(`--format must be one of ${Object.keys(FORMATTERS).join(', ')} (got "${options.format}")`);
+  }
+  if (options.since && !/^\d{4}-\d{2}-\d{2}$/.test(options.since)) {
+    throw new ConfigError(`--since must be a YYYY-MM-DD date (got "${options.since}")`);
+  }
+
+  const { env } = settingsFor(parsed);
+  const historyFile = historyFileFromEnv(env, process.cwd());
+  if (!historyFile) {
+    throw new ConfigError('History is disabled (HISTORY_FILE=off)');
+  }
+
+  const records = filterHistory(readHistory(historyFile), options);
+  if (records.length === 0) {
+    console.error(`ℹ️  No check history in ${historyFile}${options.watchId || options.venue || options.since ? ' matching the filters' : ''}`);
+  }
+
+  output(FORMATTERS[parsed.switches.json ? 'json' : options.format](buildReport(records)));
+  return EXIT_CODES.OK;
+}
+
+// state show | prune | clear
+async function runState(parsed) {
+  const action = parsed.positional[0] || 'show';
+  if (!['show', 'prune', 'clear'].includes(action)) {
+    throw new ConfigError(`Unknown state action "${action}" (expected show, prune or clear)`);
+  }
+
+  const { env, watchlistFile } = settingsFor(parsed);
+  let store;
+  try {
+    store = createStateStore(createStateBackend(env, process.cwd()), {
+      legacyWatchId: watchlistFile ? null : 'default',
+      legacyPartySize: env.PARTY_SIZE
+    });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const state = await store.load();
+  const watchIds = Object.keys(state.watches).filter(id => !parsed.options.watchId || id === parsed.options.watchId);
+
+  if (action === 'show') {
+    if (parsed.switches.json) {
+      output(JSON.stringify({ version: state.version, watches: Object.fromEntries(watchIds.map(id => [id, state.watches[id]])) }, null, 2));
+      return EXIT_CODES.OK;
+    }
+
+    output(`State: ${store.backend.name}`);
+    if (watchIds.length === 0) output('  (empty)');
+    watchIds.forEach(id => {
+      const slots = Object.values(state.watches[id].slots);
+      output(`  [${id}] ${slots.length} slot(s) tracked, ${slots.filter(slot => !slot.goneAt).length} available, ` +
+        `${slots.filter(slot => slot.notifiedAt || Object.keys(slot.notifiedTo || {}).length > 0).length} notified, ${Object.keys(state.watches[id].bookings).length} booking attempt(s)`);
+    });
+    return EXIT_CODES.OK;
+  }
+
+  if (action === 'prune') {
+    // As a check prunes: dates before the earliest "today" of any watch's venue
+    const watches = watchlistFile ? readWatchlist(watchlistFile).watches : [watchFromEnv(env)];
+    const pruned = prunePastDates(state, watches.map(watch => todayIn(watch.timezone)).sort()[0] || todayIn(env.VENUE_TIMEZONE));
+    output(`🧹 Pruned ${pruned} state entr${pruned === 1 ? 'y' : 'ies'} for past dates`);
+  } else {
+    watchIds.forEach(id => delete state.watches[id]);
+    output(`🗑️  Cleared state for ${watchIds.length} watch(es)`);
+  }
+
+  if (parsed.switches.dryRun) {
+    output('🧪 Dry run - state not saved');
+  } else {
+    await store.save(state);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function runTestNotify(parsed) {
+  const { env, watchlistFile } = settingsFor(parsed);
+
+  const watchlist = watchlistFile ? readWatchlist(watchlistFile) : { watches: [], notifiers: [] };
+
+  const configs = loadNotifierConfigs(env, watchlist.notifiers);
+  const problems = validateNotifierConfigs(configs);
+  if (problems.length > 0) {
+    throw new ConfigError('Notifier configuration problems', problems);
+  }
+
+  const watch = watchlist.watches[0] || (env.BOOKING_URL ? watchFromEnv(env) : { id: 'sevenrooms-bot', url: 'https://www.sevenrooms.com' });
+  const notifiers = createNotifiers(configs);
+  console.log(`🧪 Sending a test notification via ${notifiers.map(notifier => notifier.name).join(', ')}...`);
+
+  if (parsed.switches.dryRun) {
+    output(`🧪 Dry run - not sending: ${buildTestNotification(watch).message}`);
+    return EXIT_CODES.OK;
+  }
+
+  const delivered = await sendToAll(notifiers, buildTestNotification(watch));
+  if (parsed.switches.json) {
+    output(JSON.stringify({ ok: delivered, notifiers: notifiers.map(notifier => notifier.name) }));
+  }
+  return delivered ? EXIT_CODES.OK : EXIT_CODES.CHECK_FAILED;
+}
+
+// Entry point: run a command and exit with its exit code
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+
+  const { command, switches } = parsed;
+  if (switches.version) {
+    output(require('../package.json').version);
+    process.exit(EXIT_CODES.OK);
+  }
+  if (switches.help || !command) {
+    output(helpText());
+    process.exit(command || switches.help ? EXIT_CODES.OK : EXIT_CODES.CONFIG_ERROR);
+  }
+
+  setupLogging(switches);
+
+  try {
+    let code;
+    if (['check', 'watch', 'daemon'].includes(command)) {
+      code = await runChecks(command, parsed, switches);
+    } else if (command === 'report') {
+      code = runReport(parsed);
+    } else if (command === 'state') {
+      code = await runState(parsed);
+    } else if (command === 'test-notify') {
+      code = await runTestNotify(parsed);
+    } else {
+      throw new ConfigError(`Unknown command "${command}" (expected one of ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    process.exit(code);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}${error.problems.length > 0 ? ':' : ''}`);
+      error.problems.forEach(problem => console.error(`   - ${formatProblem(problem)}`));
+      process.exit(EXIT_CODES.CONFIG_ERROR);
+    }
+    console.error('\n❌ Fatal error:', error);
+    process.exit(EXIT_CODES.FATAL);
+  }
+}
+
+module.exports = {
+  SETTING_FLAGS,
+  parseArgs,
+  helpText,
+  main
+};
@@ -0,0 +1,429 @@
+const { toDateString, expandDates, todayIn } = require('./dates');
+const { SERVICE_DAY_START } = require('./slot');
+const { isOvernight, describeWindow } = require('./window');
+const { ADAPTERS, SELECTOR_NAMES } = require('./venues');
+const { ARTIFACT_MODES } = require('./artifacts');
+const { MAX_PARTY_SIZE, describePartySizes } = require('./party');
+
+// Every validation problem is { key, message, fix }: the setting or watch-list
+// path at fault, what is wrong with it, and what to do instead
+
+// Thrown for missing or invalid configuration; `problems` lists each one
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// "KEY: message → fix" for the terminal
+function formatProblem(problem) {
+  if (typeof problem === 'string') return problem;
+  return `${problem.key ? `${problem.key}: ` : ''}${problem.message}${problem.fix ? ` → ${problem.fix}` : ''}`;
+}
+
+// Settings are read as environment variables. Command-line flags override the
+// environment, which overrides the watch-list file's `settings` section
+// (keyed by the same variable names).
+function resolveEnv({ flags = {}, env = {}, settings = {} }) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(settings || {})) {
+    if (value !== undefined && value !== null) resolved[name] = String(value);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (value !== undefined && value !== '') resolved[name] = value;
+  }
+  for (const [name, value] of Object.entries(flags)) {
+    if (value !== undefined) resolved[name] = String(value);
+  }
+  return resolved;
+}
+
+// Whether a string is a real calendar date in YYYY-MM-DD form
+function isValidDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Fix for a malformed date, rewriting forms like 19/10/2026 or 2026/10/19
+function suggestDate(value) {
+  const isoLike = /^(\d{4})[./](\d{1,2})[./](\d{1,2})$/.exec(String(value).trim());
+  if (isoLike) {
+    const candidate = `${isoLike[1]}-${isoLike[2].padStart(2, '0')}-${isoLike[3].padStart(2, '0')}`;
+    if (isValidDate(candidate)) return `use YYYY-MM-DD, e.g. ${candidate}`;
+  }
+  const match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(String(value).trim());
+  if (match) {
+    const [first, second, year] = match.slice(1).map(Number);
+    // 10/19/2026 can only be month/day; otherwise read it as day/month
+    const [day, month] = first > 12 || second <= 12 ? [first, second] : [second, first];
+    const candidate = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (isValidDate(candidate)) return `use YYYY-MM-DD, e.g. ${candidate}`;
+  }
+  return `use YYYY-MM-DD, e.g. ${toDateString(new Date())}`;
+}
+
+// Whether a string is a 24-hour HH:MM time
+function isValidTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+}
+
+// Fix for a malformed time, rewriting forms like "7pm" or "19.30"
+function suggestTime(value) {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i.exec(String(value || '').trim());
+  if (match) {
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    const meridiem = (match[3] || '').toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours < 24 && minutes < 60) {
+      return `use 24-hour HH:MM, e.g. ${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+  }
+  return 'use 24-hour HH:MM, e.g. 19:30';
+}
+
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+const number = ({ min = -Infinity, max = Infinity, integer = false, example }) => (value, key) => {
+  const parsed = Number(value);
+  if (String(value).trim() === '' || Number.isNaN(parsed)) {
+    return { key, message: `"${value}" is not a number`, fix: `use a number, e.g. ${example}` };
+  }
+  if (integer && !Number.isInteger(parsed)) {
+    return { key, message: `"${value}" is not a whole number`, fix: `use a whole number, e.g. ${example}` };
+  }
+  if (parsed < min || parsed > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    return { key, message: `${value} is out of range`, fix: `use a value ${range}, e.g. ${example}` };
+  }
+  return null;
+};
+
+const oneOf = values => (value, key) => values.includes(String(value).toLowerCase())
+  ? null
+  : { key, message: `"${value}" is not a valid choice`, fix: `use one of ${values.join(', ')}` };
+
+const timeRange = (value, key) => {
+  const match = /^\s*([^-]+?)\s*-\s*([^-]+?)\s*$/.exec(String(value));
+  if (!match) {
+    return { key, message: `"${value}" is not a time range`, fix: 'use HH:MM-HH:MM, e.g. 23:00-07:00' };
+  }
+  const bad = [match[1], match[2]].find(time => !isValidTime(time));
+  return bad ? { key, message: `"${bad}" is not a valid time`, fix: suggestTime(bad) } : null;
+};
+
+// Rules for settings read from the environment, checked only when set
+const SETTINGS_SCHEMA = {
+  CHECK_MODE: oneOf(['auto', 'api', 'browser']),
+  RETRY_MAX_ATTEMPTS: number({ min: 1, max: 20, integer: true, example: 3 }),
+  RETRY_BASE_DELAY_MS: number({ min: 0, integer: true, example: 2000 }),
+  RETRY_MAX_DELAY_MS: number({ min: 0, integer: true, example: 30000 }),
+  CHECK_INTERVAL_MINUTES: number({ min: 0.01, example: 5 }),
+  CHECK_JITTER: number({ min: 0, max: 1, example: 0.2 }),
+  QUIET_HOURS: timeRange,
+  STATE_RENOTIFY_COOLDOWN_MINUTES: number({ min: 0, example: 60 }),
+  STATE_BACKEND: oneOf(['json', 'sqlite', 'gist']),
+  EXTRACTION_MIN_CONFIDENCE: number({ min: 0, max: 1, example: 0.5 }),
+  ARTIFACTS: oneOf(ARTIFACT_MODES),
+  HTTP_PORT: number({ min: 0, max: 65535, integer: true, example: 8080 }),
+  CHAT_POLL_SECONDS: number({ min: 0.01, max: 50, example: 10 }),
+  AUTO_BOOK: oneOf(['true', 'false']),
+  AUTO_BOOK_DRY_RUN: oneOf(['true', 'false']),
+  SEVENROOMS_API_BASE: (value, key) => /^https?:\/\/[^/\s]+/.test(value)
+    ? null
+    : { key, message: `"${value}" is not an http(s) URL`, fix: 'use e.g. https://www.sevenrooms.com' }
+};
+
+// Problems with settings from the environment / flags / watch-list settings
+function validateSettings(env) {
+  return Object.entries(SETTINGS_SCHEMA)
+    .filter(([key]) => env[key] !== undefined && env[key] !== '')
+    .map(([key, rule]) => rule(env[key], key))
+    .filter(Boolean);
+}
+
+// Whether days parsed into weekday numbers (see parseDays in src/window.js)
+function isDayList(days) {
+  return Array.isArray(days) && days.every(Number.isInteger);
+}
+
+// Problems and warnings for one normalized window (see src/window.js).
+// `keyFor(field)` names the setting or watch-list path of a field.
+function validateWindow(window, keyFor) {
+  const problems = [];
+  const warnings = [];
+  const windowFix = 'use HH:MM-HH:MM, "20:00±60" or "within 60 min of 20:00", optionally after days like "fri/sat"';
+
+  if (window.days !== null && !isDayList(window.days)) {
+    problems.push({ key: keyFor('days'), message: `"${window.days}" is not a list of days`, fix: 'use day names, ranges or groups, e.g. fri/sat, mon-thu or weekends' });
+  }
+
+  if (window.around !== null) {
+    const aroundValid = isValidTime(window.around);
+    if (!aroundValid) {
+      problems.push({ key: keyFor('around'), message: `"${window.around}" is not a valid time`, fix: suggestTime(window.around) });
+    }
+    const withinProblem = number({ min: 1, max: 720, integer: true, example: 60 })(window.within, keyFor('within'));
+    if (withinProblem) problems.push(withinProblem);
+    return { problems, warnings };
+  }
+
+  if (window.spec && window.start === null) {
+    problems.push({ key: keyFor('start'), message: `"${window.spec}" is not a time window`, fix: windowFix });
+    return { problems, warnings };
+  }
+
+  let valid = true;
+  for (const field of ['start', 'end']) {
+    const time = window[field];
+    if (time === null || time === undefined || time === '') {
+      problems.push({ key: keyFor(field), message: `Missing ${field} time`, fix: window.spec ? windowFix : 'use 24-hour HH:MM, e.g. 19:30' });
+      valid = false;
+    } else if (!isValidTime(time)) {
+      problems.push({ key: keyFor(field), message: `"${time}" is not a valid time`, fix: suggestTime(time) });
+      valid = false;
+    }
+  }
+
+  // A window past midnight that ends after the service day turns over is
+  // most likely the wrong way round
+  if (valid && isOvernight(window) && timeToMinutes(window.end) >= timeToMinutes(SERVICE_DAY_START)) {
+    warnings.push({
+      key: keyFor('end'),
+      message: `Window ${describeWindow(window)} runs past midnight until ${window.end} the next day`,
+      fix: `if you meant ${window.end}-${window.start}, swap them`
+    });
+  }
+
+  return { problems, warnings };
+}
+
+// Problems with a watch's custom selectors: { name: selector or [selectors] }
+function validateSelectors(selectors, keyFor, fromEnv) {
+  if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+    return [{
+      key: keyFor(),
+      message: fromEnv ? 'VENUE_SELECTORS is not a JSON object' : 'selectors is not a map of selector names',
+      fix: fromEnv ? 'use JSON, e.g. {"dateButton": "button.date"}' : 'use e.g. selectors: { dateButton: "button.date" }'
+    }];
+  }
+
+  const problems = [];
+  for (const [name, value] of Object.entries(selectors)) {
+    if (!SELECTOR_NAMES.includes(name)) {
+      problems.push({ key: keyFor(name), message: `"${name}" is not a selector name`, fix: `use one of ${SELECTOR_NAMES.join(', ')}` });
+    } else if (![].concat(value).every(selector => typeof selector === 'string' && selector.trim() !== '')) {
+      problems.push({ key: keyFor(name), message: 'Selectors must be non-empty strings', fix: 'use a CSS or Playwright selector, or a list of them' });
+    }
+  }
+  return problems;
+}
+
+// Setting names for the single env-configured watch
+const ENV_WATCH_KEYS = {
+  url: 'BOOKING_URL',
+  date: () => 'DATE',
+  partySize: () => 'PARTY_SIZE',
+  preferredPartySize: 'PREFERRED_PARTY_SIZE',
+  window: i => `WINDOWS[${i}]`,
+  windowField: (i, field) => ({ start: 'WINDOW_START', end: 'WINDOW_END' }[field] || 'WINDOWS'),
+  dateRange: () => 'DATE',
+  dateRule: () => 'DATE',
+  exclude: () => 'DATE',
+  mode: 'mode',
+  adapter: 'VENUE_ADAPTER',
+  selector: () => 'VENUE_SELECTORS',
+  timezone: 'VENUE_TIMEZONE'
+};
+
+// Watch-list paths for entry `index`, e.g. watches[0].dates[1]
+function fileWatchKeys(index) {
+  const prefix = `watches[${index}]`;
+  return {
+    url: `${prefix}.url`,
+    date: i => `${prefix}.dates[${i}]`,
+    partySize: i => `${prefix}.partySizes[${i}]`,
+    preferredPartySize: `${prefix}.preferredPartySize`,
+    window: i => `${prefix}.windows[${i}]`,
+    windowField: (i, field) => `${prefix}.windows[${i}].${field}`,
+    dateRange: (i, count) => count > 1 ? `${prefix}.dateRange[${i}]` : `${prefix}.dateRange`,
+    dateRule: field => `${prefix}.${field}`,
+    exclude: i => `${prefix}.exclude[${i}]`,
+    mode: `${prefix}.mode`,
+    adapter: `${prefix}.adapter`,
+    selector: name => name ? `${prefix}.selectors.${name}` : `${prefix}.selectors`,
+    timezone: `${prefix}.timezone`
+  };
+}
+
+// Whether a time zone is one Intl knows, e.g. Europe/Dublin
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems and warnings for one normalized watch. A single past date among
+// upcoming ones is only a warning (it is skipped); a watch with nothing left
+// to check is a problem. "Today" is the venue's, when its time zone is valid.
+function validateWatch(watch, keys, today) {
+  const problems = [];
+  const warnings = [];
+  const fromEnv = keys.url === 'BOOKING_URL';
+
+  if (!watch.url) {
+    problems.push({ key: keys.url, message: 'No booking URL', fix: fromEnv ? 'set BOOKING_URL or pass --url' : 'add the booking page url' });
+  } else {
+    let url = null;
+    try {
+      url = new URL(watch.url);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push({ key: keys.url, message: `"${watch.url}" is not an http(s) URL`, fix: 'use the full booking page URL, e.g. https://www.sevenrooms.com/reservations/yourvenue' });
+    }
+  }
+
+  if (watch.mode && !['auto', 'api', 'browser'].includes(watch.mode)) {
+    problems.push({ key: keys.mode, message: `"${watch.mode}" is not a check mode`, fix: 'use one of auto, api, browser' });
+  }
+
+  if (watch.adapter && !ADAPTERS[watch.adapter]) {
+    problems.push({ key: keys.adapter, message: `"${watch.adapter}" is not a venue adapter`, fix: `use one of ${Object.keys(ADAPTERS).join(', ')}` });
+  }
+  problems.push(...validateSelectors(watch.selectors, keys.selector, fromEnv));
+
+  const timeZoneValid = !watch.timezone || isValidTimeZone(watch.timezone);
+  if (!timeZoneValid) {
+    problems.push({ key: keys.timezone, message: `"${watch.timezone}" is not a time zone`, fix: 'use an IANA time zone, e.g. Europe/Dublin' });
+  }
+  today = today || todayIn(timeZoneValid ? watch.timezone : undefined);
+
+  let datesValid = true;
+  if (watch.dates.length === 0 && watch.dateRanges.length === 0 && watch.next === null) {
+    problems.push({ key: keys.date(0), message: 'No date to check', fix: fromEnv ? 'set DATE or pass --date, e.g. 2026-11-14 or "next 6 weeks, fri/sat"' : 'add dates, a dateRange or next' });
+    datesValid = false;
+  }
+  watch.dates.forEach((date, index) => {
+    if (!isValidDate(date)) {
+      problems.push({ key: keys.date(index), message: `"${date}" is not a valid date`, fix: suggestDate(date) });
+      datesValid = false;
+    } else if (date < today) {
+      warnings.push({ key: keys.date(index), message: `${date} is in the past and will be skipped`, fix: 'remove it or pick an upcoming date' });
+    }
+  });
+  watch.dateRanges.forEach(({ from, to }, index) => {
+    const key = keys.dateRange(index, watch.dateRanges.length);
+    let rangeValid = true;
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (!isValidDate(value)) {
+        problems.push({ key: fromEnv ? key : `${key}.${field}`, message: `"${value}" is not a valid date`, fix: suggestDate(value) });
+        rangeValid = false;
+      }
+    }
+    if (rangeValid && from > to) {
+      problems.push({ key, message: `from (${from}) is after to (${to})`, fix: fromEnv ? `swap them: ${to}..${from}` : `swap them: from ${to} to ${from}` });
+      rangeValid = false;
+    }
+    datesValid = datesValid && rangeValid;
+  });
+  if (watch.next !== null) {
+    const problem = number({ min: 1, max: 366, integer: true, example: 42 })(watch.next, keys.dateRule('next'));
+    if (problem) {
+      problems.push({ ...problem, fix: `${problem.fix}, or "6 weeks"` });
+      datesValid = false;
+    }
+  }
+  if (watch.weekdays !== null && !isDayList(watch.weekdays)) {
+    problems.push({ key: keys.dateRule('weekdays'), message: `"${watch.weekdays}" is not a list of days`, fix: 'use day names, ranges or groups, e.g. fri/sat, mon-thu or weekends' });
+    datesValid = false;
+  }
+  watch.exclude.forEach((date, index) => {
+    if (!isValidDate(date)) {
+      problems.push({ key: keys.exclude(index), message: `"${date}" is not a valid date`, fix: suggestDate(date) });
+      datesValid = false;
+    }
+  });
+  if (datesValid && !expandDates(watch, today).some(date => date >= today)) {
+    const key = watch.dateRanges.length > 0 ? keys.dateRange(0, watch.dateRanges.length) : keys.date(0);
+    const unfiltered = expandDates({ ...watch, weekdays: null, exclude: [] }, today);
+    if (unfiltered.some(date => date >= today)) {
+      problems.push({ key, message: 'The weekday filter and excluded dates leave no date to check', fix: 'widen the dates or drop some of the filters' });
+    } else {
+      problems.push({ key, message: 'Every date is in the past', fix: `pick a date from ${today} on` });
+    }
+  }
+
+  if (watch.partySizes.length === 0) {
+    problems.push({ key: keys.partySize(0), message: 'No party size', fix: fromEnv ? 'set PARTY_SIZE or pass --party-size, e.g. 2' : 'add partySize, e.g. 2' });
+  }
+  watch.partySizes.forEach((size, index) => {
+    const problem = /\d\s*(-|–|\.\.)\s*\d/.test(String(size))
+      ? { key: keys.partySize(index), message: `"${size}" is not a party size range`, fix: `use sizes from 1 to ${MAX_PARTY_SIZE}, smallest first, e.g. 4-6` }
+      : number({ min: 1, max: MAX_PARTY_SIZE, integer: true, example: 2 })(size, keys.partySize(index));
+    if (problem) problems.push(problem);
+  });
+  if (watch.preferredPartySize !== null && watch.partySizes.length > 0 && !watch.partySizes.includes(watch.preferredPartySize)) {
+    problems.push({
+      key: keys.preferredPartySize,
+      message: `Preferred party size "${watch.preferredPartySize}" is not one of the party sizes (${describePartySizes(watch.partySizes)})`,
+      fix: fromEnv ? 'pick one of them, or widen PARTY_SIZE' : 'pick one of them, or widen partySizes'
+    });
+  }
+
+  if (watch.windows.length === 0) {
+    problems.push({ key: keys.windowField(0, 'start'), message: 'No time window', fix: fromEnv ? 'set WINDOWS or pass --window 19:00-21:00' : 'add a window, e.g. "19:00-21:00"' });
+  }
+  watch.windows.forEach((window, index) => {
+    const result = validateWindow(window, field => window.spec ? keys.window(index) : keys.windowField(index, field));
+    problems.push(...result.problems);
+    warnings.push(...result.warnings);
+  });
+
+  return { problems, warnings };
+}
+
+// Problems and warnings for every watch, with keys pointing at the env vars
+// (single env-configured watch) or the watch-list path
+function validateWatches(watches, { fromEnv = false, today } = {}) {
+  const problems = [];
+  const warnings = [];
+  const ids = new Set();
+
+  watches.forEach((watch, index) => {
+    const result = validateWatch(watch, fromEnv ? ENV_WATCH_KEYS : fileWatchKeys(index), today);
+    problems.push(...result.problems);
+    warnings.push(...result.warnings);
+
+    if (ids.has(watch.id)) {
+      problems.push({ key: `watches[${index}].id`, message: `Duplicate watch id "${watch.id}"`, fix: 'give every watch its own id' });
+    }
+    ids.add(watch.id);
+  });
+
+  return { problems, warnings };
+}
+
+module.exports = {
+  ConfigError,
+  formatProblem,
+  resolveEnv,
+  isValidDate,
+  isValidTime,
+  validateSettings,
+  validateWatches
+};
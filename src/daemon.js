@@ -0,0 +1,132 @@
+const { logger } = require('./logger');
+
+// Convert time string (HH:MM) to minutes since midnight
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Parse QUIET_HOURS ("23:00-07:00") into minutes since midnight, or null when unset
+function parseQuietHours(value) {
+  if (!value) return null;
+
+  const match = value.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  if (!match) {
+    throw new Error(`QUIET_HOURS must look like 23:00-07:00 (got "${value}")`);
+  }
+  return { start: timeToMinutes(match[1]), end: timeToMinutes(match[2]) };
+}
+
+// Whether a moment falls in quiet hours; windows like 23:00-07:00 wrap past midnight
+function isQuietTime(date, quietHours) {
+  if (!quietHours) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  if (quietHours.start <= quietHours.end) {
+    return minutes >= quietHours.start && minutes < quietHours.end;
+  }
+  return minutes >= quietHours.start || minutes < quietHours.end;
+}
+
+// Milliseconds until quiet hours end
+function msUntilQuietHoursEnd(date, quietHours) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  let remaining = quietHours.end - minutes;
+  if (remaining <= 0) remaining += 24 * 60;
+  return remaining * 60000 - date.getSeconds() * 1000 - date.getMilliseconds();
+}
+
+// Interval with +/- jitter (a fraction of the interval), so checks don't land on a fixed beat
+function jitteredInterval(intervalMs, jitter, random = Math.random) {
+  const spread = intervalMs * jitter;
+  return Math.max(0, Math.round(intervalMs - spread + random() * spread * 2));
+}
+
+// Daemon settings from CHECK_INTERVAL_MINUTES / CHECK_JITTER / QUIET_HOURS
+function daemonOptionsFromEnv(env) {
+  return {
+    intervalMs: parseFloat(env.CHECK_INTERVAL_MINUTES || '5') * 60000,
+    jitter: parseFloat(env.CHECK_JITTER || '0.2'),
+    quietHours: parseQuietHours(env.QUIET_HOURS)
+  };
+}
+
+// Re-run `runCheck` until `signal` (an AbortSignal) aborts; the check in
+// progress is finished first. Signals are the caller's to handle (see src/cli.js).
+//   runCheck()        - one full check; errors are logged and the loop carries on.
+//                       Resolving with true ends the loop (the watch command stops at the first match)
+//   hasUpcomingDates() - false once every target date has passed, which pauses checking
+//   shutdown()        - cleanup (close the browser) once stopped
+async function runDaemon({ runCheck, hasUpcomingDates, shutdown, intervalMs, jitter, quietHours, signal }) {
+  let stopping = false;
+  let wake = null;
+  let paused = false;
+
+  // Sleep that a shutdown signal cuts short
+  const sleep = ms => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  // Stop after the current check, or at once from a sleep
+  const onAbort = () => {
+    stopping = true;
+    if (wake) wake();
+  };
+  if (signal) {
+    if (signal.aborted) stopping = true;
+    signal.addEventListener('abort', onAbort);
+  }
+
+  logger.log(`🔁 Daemon mode: checking every ${intervalMs / 60000} min (±${Math.round(jitter * 100)}%)`);
+
+  while (!stopping) {
+    const now = new Date();
+
+    if (!hasUpcomingDates()) {
+      if (!paused) {
+        logger.log('⏸️  Every target date has passed - pausing checks');
+        paused = true;
+      }
+      await sleep(intervalMs);
+      continue;
+    }
+    paused = false;
+
+    if (isQuietTime(now, quietHours)) {
+      const wait = msUntilQuietHoursEnd(now, quietHours);
+      logger.log(`🌙 Quiet hours - sleeping ${Math.round(wait / 60000)} min`);
+      await sleep(wait);
+      continue;
+    }
+
+    try {
+      if (await runCheck() === true) {
+        stopping = true;
+      }
+    } catch (error) {
+      logger.error(`❌ Check failed: ${error.message}`);
+    }
+
+    if (stopping) break;
+
+    const delay = jitteredInterval(intervalMs, jitter);
+    logger.log(`\n💤 Next check in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
+  }
+
+  if (signal) signal.removeEventListener('abort', onAbort);
+  await shutdown();
+  logger.log('👋 Daemon stopped');
+}
+
+module.exports = {
+  parseQuietHours,
+  isQuietTime,
+  jitteredInterval,
+  daemonOptionsFromEnv,
+  runDaemon
+};
@@ -0,0 +1,195 @@
+const { parseDays, weekdayOf, describeDays } = require('./window');
+
+// A watch picks the dates to check with any mix of:
+//   dates:      ['2026-11-14']                         explicit dates, always checked
+//   dateRanges: [{ from: '2026-11-01', to: '2026-11-15' }]
+//   next:       42                                     rolling: today and the next 41 days
+//   weekdays:   [5, 6] | null                          keeps only these days from ranges and `next`
+//   exclude:    ['2026-11-26']                         never checked
+// Values that don't parse are kept as given so validation can report them.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Format a Date as YYYY-MM-DD without going through UTC
+function toDateString(date) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Today as YYYY-MM-DD in a time zone (e.g. the venue's), or the local one without
+function todayIn(timeZone, now = new Date()) {
+  if (!timeZone) return toDateString(now);
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(now)
+    .map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// YYYY-MM-DD plus a number of days
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + days));
+}
+
+// Every date from `from` to `to`, inclusive
+function datesBetween(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// A rolling window as a number of days: 42, "42", "42 days" or "6 weeks".
+// Returns the value unchanged if it isn't one.
+function parseDaysAhead(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^\s*(\d+)\s*(d|days?|w|weeks?)?\s*$/i.exec(String(value));
+  if (!match) return value;
+  return /^w/i.test(match[2] || '') ? Number(match[1]) * 7 : Number(match[1]);
+}
+
+// Date rules from a comma-separated string, as given in DATE or --date:
+//   2026-11-14               a date
+//   2026-11-01..2026-11-15   a range
+//   next 6 weeks             rolling (also "next 42 days")
+//   fri/sat, weekends        weekday filter
+//   not 2026-11-26           an excluded date
+// e.g. "next 6 weeks, fri/sat, not 2026-11-26"
+function parseDateRules(value) {
+  const rules = { dates: [], dateRanges: [], next: null, weekdays: null, exclude: [] };
+
+  for (const term of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const range = /^(\S+)\s*\.\.\s*(\S+)$/.exec(term);
+    const next = /^next\s+(.+)$/i.exec(term);
+    const exclude = /^(?:not|!)\s*(\S+)$/i.exec(term);
+
+    if (range) {
+      rules.dateRanges.push({ from: range[1], to: range[2] });
+    } else if (next) {
+      rules.next = parseDaysAhead(next[1]);
+    } else if (exclude) {
+      rules.exclude.push(exclude[1]);
+    } else if (/^[a-z]/i.test(term)) {
+      const days = parseDays(term);
+      rules.weekdays = Array.isArray(days) && Array.isArray(rules.weekdays)
+        ? Array.from(new Set([...rules.weekdays, ...days])).sort((a, b) => a - b)
+        : days;
+    } else {
+      rules.dates.push(term);
+    }
+  }
+
+  return rules;
+}
+
+// Date rules from a raw watch-list entry. `dates` can also be a string of
+// date rules, as DATE takes them.
+function normalizeDateRules(raw) {
+  if (typeof raw.dates === 'string') return parseDateRules(raw.dates);
+  const ranges = raw.dateRanges || raw.dateRange || [];
+  return {
+    dates: raw.dates || (raw.date ? [raw.date] : []),
+    dateRanges: Array.isArray(ranges) ? ranges : [ranges],
+    next: parseDaysAhead(raw.next),
+    weekdays: parseDays(raw.weekdays),
+    exclude: raw.exclude ? [].concat(raw.exclude) : []
+  };
+}
+
+// Expand a watch's date rules into a sorted list of YYYY-MM-DD strings.
+// `next` counts from `today`, so the list moves on day by day.
+function expandDates(watch, today = toDateString(new Date())) {
+  const generated = [];
+  for (const range of watch.dateRanges) {
+    generated.push(...datesBetween(range.from, range.to));
+  }
+  if (watch.next) {
+    generated.push(...datesBetween(today, addDays(today, watch.next - 1)));
+  }
+
+  const dates = new Set(watch.dates);
+  for (const date of generated) {
+    if (!watch.weekdays || watch.weekdays.includes(weekdayOf(date))) dates.add(date);
+  }
+  for (const date of watch.exclude) {
+    dates.delete(date);
+  }
+
+  return Array.from(dates).sort();
+}
+
+// Human-readable date rules, e.g. "2026-11-14, next 42 days, fri/sat, not 2026-11-26"
+function describeDates(watch) {
+  const parts = [
+    ...watch.dates,
+    ...watch.dateRanges.map(range => `${range.from} → ${range.to}`)
+  ];
+  if (watch.next) parts.push(`next ${watch.next} days`);
+  if (watch.weekdays) parts.push(describeDays(watch.weekdays));
+  parts.push(...watch.exclude.map(date => `not ${date}`));
+  return parts.join(', ');
+}
+
+// "7:30 PM" / "19:30" -> "19:30"
+function to24Hour(hours, minutes, meridiem) {
+  let hour = Number(hours);
+  const suffix = (meridiem || '').toLowerCase();
+  if (suffix === 'pm' && hour < 12) hour += 12;
+  if (suffix === 'am' && hour === 12) hour = 0;
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+}
+
+// Read the widget's "Other dates with availability" section, e.g.
+//   Other dates with availability
+//   Fri, Nov 14   6:00 PM  9:30 PM
+//   Sat, Nov 15   7:15 PM
+// into a Map of YYYY-MM-DD -> times. Dates carry no year, so each is placed
+// in the year that keeps it no more than six months before `selectedDate`.
+function parseOtherDates(text, selectedDate) {
+  const found = new Map();
+  if (!text) return found;
+
+  const monthNames = MONTHS.join('|');
+  const pattern = new RegExp(
+    `\\b(?:(${monthNames})[a-z]*\\.?\\s+(\\d{1,2})(?!\\d|:)|(\\d{1,2})\\s+(${monthNames})[a-z]*\\.?)|\\b(\\d{1,2}):(\\d{2})\\s*(am|pm)?`,
+    'gi'
+  );
+  const selectedYear = Number(selectedDate.slice(0, 4));
+  let currentDate = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[5] !== undefined) {
+      if (!currentDate || Number(match[5]) > 23) continue;
+      found.get(currentDate).add(to24Hour(match[5], match[6], match[7]));
+      continue;
+    }
+
+    const month = MONTHS.indexOf((match[1] || match[4]).toLowerCase()) + 1;
+    const day = Number(match[2] || match[3]);
+    const candidates = [selectedYear - 1, selectedYear, selectedYear + 1].map(year => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+    // A date in January seen from December belongs to the next year, one in
+    // December seen from January to the last
+    const earliest = addDays(selectedDate, -180);
+    currentDate = candidates.find(candidate => candidate >= earliest);
+    if (!found.has(currentDate)) found.set(currentDate, new Set());
+  }
+
+  return new Map(Array.from(found, ([date, times]) => [date, Array.from(times).sort()]));
+}
+
+module.exports = {
+  MONTHS,
+  toDateString,
+  todayIn,
+  addDays,
+  parseDaysAhead,
+  parseDateRules,
+  normalizeDateRules,
+  expandDates,
+  describeDates,
+  parseOtherDates
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Thrown when a required step in the booking widget (opening the calendar,
+// picking the day, setting the party size) finds nothing to work with. The
+// widget has most likely changed, so the check fails and raises a "bot is
+// broken" alert instead of carrying on and reporting no availability.
+class WidgetError extends Error {
+  constructor(step, message) {
+    super(message);
+    this.name = 'WidgetError';
+    this.step = step;
+  }
+}
+
+// The WidgetError behind an error (withRetry wraps the last one), or null
+function widgetErrorOf(error) {
+  if (error instanceof WidgetError) return error;
+  return error && error.cause instanceof WidgetError ? error.cause : null;
+}
+
+// Directory for broken-widget diagnostics, from DIAGNOSTICS_DIR (default diagnostics/)
+function diagnosticsDirFromEnv(env, baseDir) {
+  return path.resolve(baseDir, env.DIAGNOSTICS_DIR || 'diagnostics');
+}
+
+// Save a screenshot, the page and widget DOM and the selectors that did match
+// to a directory of their own under `baseDir`. Resolves with { dir, screenshot }
+// (screenshot is null if it couldn't be taken). Saving must never stop a check.
+async function saveDiagnostics(baseDir, { watch, target, page, targetPage, error, selectors }, now = new Date()) {
+  const name = `${now.toISOString().replace(/[:.]/g, '-')}_${watch.id}_${target.date}_${target.partySize}`.replace(/[^\w.-]+/g, '-');
+  const dir = path.join(baseDir, name);
+  let screenshot = null;
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'diagnostics.json'), `${JSON.stringify({
+      savedAt: now.toISOString(),
+      watchId: watch.id,
+      url: watch.url,
+      date: target.date,
+      partySize: target.partySize,
+      step: error.step,
+      error: error.message,
+      selectors
+    }, null, 2)}\n`);
+
+    await page.screenshot({ path: path.join(dir, 'screenshot.png') })
+      .then(() => { screenshot = path.join(dir, 'screenshot.png'); })
+      .catch(screenshotError => logger.error(`   Could not take a screenshot: ${screenshotError.message}`));
+    fs.writeFileSync(path.join(dir, 'page.html'), await page.content());
+    if (targetPage && targetPage !== page) {
+      fs.writeFileSync(path.join(dir, 'widget.html'), await targetPage.content());
+    }
+    logger.log(`🩺 Saved a screenshot and DOM dump to ${dir}`);
+  } catch (saveError) {
+    logger.error(`❌ Failed to save diagnostics: ${saveError.message}`);
+  }
+
+  return { dir, screenshot };
+}
+
+module.exports = {
+  WidgetError,
+  widgetErrorOf,
+  diagnosticsDirFromEnv,
+  saveDiagnostics
+};
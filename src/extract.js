@@ -0,0 +1,379 @@
+const { serviceDate, createSlot, mergeSlots } = require('./slot');
+const { parseAvailabilityResponse } = require('./api');
+const { WIDGET_SELECTORS } = require('./venues');
+const { logger } = require('./logger');
+
+// Slot extractors for what a check of the booking widget collected: the JSON
+// responses seen on the network and the widget's DOM. Every extractor returns
+// slots (see src/slot.js) tagged with its source; extractTargetSlots runs them
+// all and reconciles the results.
+
+// Format time to HH:MM
+function formatTime(timeStr) {
+  // Handle various time formats that SevenRooms might return
+  // Examples: "19:30", "7:30 PM", "19:30:00", etc.
+  const timeMatch = timeStr.match(/(\d{1,2}):(\d{2})/);
+  if (!timeMatch) return null;
+  
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = parseInt(timeMatch[2], 10);
+  
+  // Handle PM times (if present)
+  if (timeStr.toUpperCase().includes('PM') && hours < 12) {
+    hours += 12;
+  }
+  if (timeStr.toUpperCase().includes('AM') && hours === 12) {
+    hours = 0;
+  }
+  
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+// Pick up slot details (shift, area, duration, deposit, date) from an object,
+// on top of the details inherited from the objects that contain it
+function slotDetailsFrom(obj, inherited) {
+  const details = { ...inherited };
+
+  // A SevenRooms shift looks like { name: 'Dinner', times: [...] }
+  if (Array.isArray(obj.times) && typeof obj.name === 'string') details.shift = obj.name;
+  const shift = obj.shift_name || obj.shiftName || obj.shift_category;
+  if (typeof shift === 'string') details.shift = shift;
+
+  const area = obj.public_time_slot_description || obj.seating_area_name || obj.seatingArea || obj.area;
+  if (typeof area === 'string') details.area = area;
+
+  const duration = Number(obj.duration || obj.duration_minutes || obj.durationMinutes);
+  if (duration > 0) details.durationMinutes = duration;
+
+  if ('cc_payment_type' in obj) details.depositRequired = Boolean(obj.cc_payment_type);
+  if (typeof obj.requires_deposit === 'boolean') details.depositRequired = obj.requires_deposit;
+
+  // A date on the object is the service date; a time_iso only gives the
+  // calendar date, which is the next day for times after midnight
+  const dateValue = obj.date || obj.reservationDate;
+  const dateMatch = typeof dateValue === 'string' && dateValue.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  const isoMatch = !inherited.date && typeof obj.time_iso === 'string' && obj.time_iso.match(/\b(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/);
+  if (dateMatch) details.date = dateMatch[1];
+  else if (isoMatch) details.date = serviceDate(isoMatch[1], isoMatch[2]);
+
+  return details;
+}
+
+// Extract slots recursively from data structure. Details found on enclosing
+// objects are carried down to the times found inside them, so a service date
+// there wins over the calendar date of an ISO time; slots with no date at all
+// are assumed to belong to the target date
+function extractSlots(data, target, slots = [], visited = new WeakSet(), details = {}) {
+  if (data === null || data === undefined) return slots;
+  
+  // Avoid circular references (only for objects)
+  if (typeof data === 'object' && data !== null) {
+    if (visited.has(data)) return slots;
+    visited.add(data);
+  }
+  
+  // Handle arrays
+  if (Array.isArray(data)) {
+    data.forEach(item => extractSlots(item, target, slots, visited, details));
+    return slots;
+  }
+  
+  // Handle objects
+  if (typeof data === 'object') {
+    const objectDetails = slotDetailsFrom(data, details);
+    
+    for (const [key, value] of Object.entries(data)) {
+      // Availability is often keyed by date, e.g. { "2026-11-14": [...] }
+      const childDetails = /^\d{4}-\d{2}-\d{2}$/.test(key) ? { ...objectDetails, date: key } : objectDetails;
+      extractSlots(value, target, slots, visited, childDetails);
+    }
+    
+    return slots;
+  }
+  
+  // Handle strings
+  if (typeof data === 'string') {
+    const addSlot = (time, date) => {
+      slots.push(createSlot({
+        ...details,
+        date: details.date || (date && serviceDate(date, time)) || target.date,
+        time,
+        partySize: target.partySize,
+        source: 'network'
+      }));
+    };
+    
+    // Match HH:MM format
+    const timeMatch = data.match(/\b(\d{1,2}):(\d{2})\b/);
+    if (timeMatch) {
+      const hours = parseInt(timeMatch[1], 10);
+      const minutes = parseInt(timeMatch[2], 10);
+      if (hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60) {
+        addSlot(`${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`);
+      }
+    }
+    
+    // Match ISO datetime strings
+    const isoMatch = data.match(/(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2}):/);
+    if (isoMatch) {
+      const hours = parseInt(isoMatch[2], 10);
+      const minutes = parseInt(isoMatch[3], 10);
+      addSlot(`${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`, isoMatch[1]);
+    }
+  }
+  
+  return slots;
+}
+
+// Check if a JSON response contains times for the selected date
+function hasTimesForDate(json, selectedDate) {
+  if (!json || typeof json !== 'object') return false;
+  
+  const jsonStr = JSON.stringify(json).toLowerCase();
+  const [year, month, day] = selectedDate.split('-').map(Number);
+  const dateStr = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+  const dateStrAlt = `${month}/${day}/${year}`;
+  const dateStrAlt2 = `${day}/${month}/${year}`;
+  
+  // Check if the JSON contains the selected date
+  return jsonStr.includes(dateStr) || 
+         jsonStr.includes(dateStrAlt) || 
+         jsonStr.includes(dateStrAlt2) ||
+         jsonStr.includes(`${day} ${['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'][month - 1]}`);
+}
+
+// Extract slots from JSON response (handles various structures)
+// Filters to only include times for the selected date: a time only counts
+// when it sits in an object whose date field matches
+function extractSlotsFromJson(json, target, slots = [], parentDateMatches = false, parentDetails = {}) {
+  if (typeof json !== 'object' || json === null) return slots;
+  // SevenRooms "request" times are waitlist entries that can't be booked
+  if (json.type === 'request') return slots;
+  
+  // Parse selected date for comparison
+  const [year, month, day] = target.date.split('-').map(Number);
+  const dateStr = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+  const dateStrAlt = `${month}/${day}/${year}`;
+  const dateStrAlt2 = `${day}/${month}/${year}`;
+  
+  const details = slotDetailsFrom(json, parentDetails);
+  const addSlot = (value) => {
+    slots.push(createSlot({
+      ...details,
+      date: target.date,
+      time: formatTime(value),
+      partySize: target.partySize,
+      source: 'json'
+    }));
+  };
+  
+  // Check common field names
+  const timeFields = ['time', 'startTime', 'start_time', 'slot', 'availability', 'reservationTime'];
+  const dateFields = ['date', 'bookingDate', 'reservationDate', 'day', 'selectedDate'];
+  
+  // Check if this object has a date field that matches
+  let dateMatches = parentDateMatches;
+  for (const [key, value] of Object.entries(json)) {
+    const lowerKey = key.toLowerCase();
+    if (dateFields.some(field => lowerKey.includes(field))) {
+      const valueStr = String(value);
+      if (valueStr.includes(dateStr) || valueStr.includes(dateStrAlt) || valueStr.includes(dateStrAlt2)) {
+        dateMatches = true;
+        break;
+      }
+    }
+  }
+  
+  for (const [key, value] of Object.entries(json)) {
+    const lowerKey = key.toLowerCase();
+    // Availability keyed by date, e.g. { "2026-11-14": [...] }, settles it for what's inside
+    const childDateMatches = /^\d{4}-\d{2}-\d{2}$/.test(key) ? key === dateStr : dateMatches;
+    
+    // If this looks like a time field
+    if (timeFields.some(field => lowerKey.includes(field))) {
+      if (typeof value === 'string' && value.match(/\d{1,2}:\d{2}/)) {
+        // Only add if date matches (be conservative - don't add if unsure)
+        if (dateMatches) {
+          addSlot(value);
+        }
+      }
+    }
+    
+    // If this is an array, check each item
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (typeof item === 'object') {
+          extractSlotsFromJson(item, target, slots, childDateMatches, details);
+        } else if (typeof item === 'string' && item.match(/\d{1,2}:\d{2}/)) {
+          // For array items, only add if date matches
+          if (childDateMatches) {
+            addSlot(item);
+          }
+        }
+      });
+    }
+    
+    // Recursively check nested objects
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      extractSlotsFromJson(value, target, slots, childDateMatches, details);
+    }
+  }
+  
+  return slots;
+}
+
+// Extract slots from DOM as fallback - only for selected date
+async function extractSlotsFromDOM(page, target, selectors = WIDGET_SELECTORS.timeSlot) {
+  const slots = [];
+  
+  try {
+    // Parse selected date to match against
+    const [year, month, day] = target.date.split('-').map(Number);
+    const dateStr = `${day} ${getMonthName(month)}`;
+    const dateStrAlt = `${month}/${day}`;
+    
+    // First, try to find the section that shows times for the selected date
+    // Look for time slots that are NOT in "Other dates" sections
+    const pageText = await page.textContent('body');
+    
+    // Check if there's an "Other dates" section - if so, exclude times from there
+    const otherDatesMatch = pageText.match(/other dates with availability/i);
+    const otherDatesIndex = otherDatesMatch ? pageText.indexOf(otherDatesMatch[0]) : -1;
+    
+    // Look for time elements (see timeSlot in src/venues)
+    for (const selector of selectors) {
+      try {
+        const elements = await page.locator(selector).all();
+        for (const element of elements) {
+          // Get the element's position and context
+          const elementText = await element.textContent();
+          const elementIndex = pageText.indexOf(elementText || '');
+          
+          // Skip if this element is in the "Other dates" section
+          if (otherDatesIndex !== -1 && elementIndex > otherDatesIndex) {
+            continue;
+          }
+          
+          // Skip times inside the "Other dates" list itself: the closest
+          // ancestor that mentions dates at all is that list
+          const parentContext = await element.evaluate(el => {
+            let parent = el.parentElement;
+            for (let attempts = 0; parent && attempts < 5; attempts++) {
+              const context = parent.textContent || '';
+              if (/other dates|date/i.test(context)) return context;
+              parent = parent.parentElement;
+            }
+            return '';
+          });
+          if (parentContext.toLowerCase().includes('other dates')) {
+            continue;
+          }
+          
+          // Extract time if it matches the pattern, keeping any AM / PM
+          if (elementText && elementText.match(/\d{1,2}:\d{2}/)) {
+            const timeMatch = elementText.match(/\d{1,2}:\d{2}\s*(?:am|pm)?/i);
+            if (timeMatch) {
+              slots.push(createSlot({
+                date: target.date,
+                time: formatTime(timeMatch[0]),
+                partySize: target.partySize,
+                source: 'dom'
+              }));
+            }
+          }
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+    
+    // Also check network responses for date-specific availability
+    // This will be handled by the network interception above
+    
+  } catch (error) {
+    logger.log(`   ⚠️  DOM extraction error: ${error.message}`);
+  }
+  
+  return slots;
+}
+
+// Helper function to get month name
+function getMonthName(monthNum) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return months[monthNum - 1] || '';
+}
+
+// Whether widget text says the selected date has no availability. Only the
+// text before an "Other dates with availability" heading counts, since that
+// section is about other dates.
+function noAvailabilityInText(text) {
+  if (!text) return false;
+  const otherDates = text.search(/other dates with availability/i);
+  return /no availability/i.test(otherDates === -1 ? text : text.slice(0, otherDates));
+}
+
+// Check if there's a "no availability" message for the selected date
+async function checkNoAvailability(page, selectors = WIDGET_SELECTORS.noAvailability) {
+  try {
+    for (const selector of selectors) {
+      try {
+        const element = await page.locator(selector).first();
+        if (await element.isVisible({ timeout: 1000 })) {
+          // Make sure it's about the selected date, not other dates
+          if (noAvailabilityInText(await element.textContent())) {
+            return true;
+          }
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+    
+    return false;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Run every extractor over what the page showed for the target and reconcile
+// their results (see mergeSlots in src/slot.js):
+//   api     - availability responses in the SevenRooms widget format
+//   json    - times in responses whose date fields match the target date
+//   network - any time in a response that mentions the target date
+//   dom     - time buttons in the widget (`timeSlotSelectors`), when `domPage` is given
+// Resolves with the target's slots, each with its sources and confidence.
+async function extractTargetSlots(collected, domPage, target, timeSlotSelectors) {
+  const found = [];
+
+  for (const { url, data } of collected.jsonResponses) {
+    // A request made before the party size was set is for a different one:
+    // none of its times say anything about this party size
+    const partySize = new URL(url).searchParams.get('party_size');
+    if (partySize && parseInt(partySize, 10) !== target.partySize) continue;
+
+    if (data.data && data.data.availability) {
+      found.push(...parseAvailabilityResponse(data, target.partySize));
+    }
+    found.push(...extractSlotsFromJson(data, target));
+    if (hasTimesForDate(data, target.date)) {
+      found.push(...extractSlots(data, target));
+    }
+  }
+
+  if (domPage) {
+    found.push(...await extractSlotsFromDOM(domPage, target, timeSlotSelectors));
+  }
+
+  return mergeSlots(found.filter(slot => slot.time && slot.date === target.date));
+}
+
+module.exports = {
+  formatTime,
+  extractSlots,
+  hasTimesForDate,
+  extractSlotsFromJson,
+  extractSlotsFromDOM,
+  noAvailabilityInText,
+  checkNoAvailability,
+  extractTargetSlots
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Check history is an append-only JSON Lines file, one record per check of a
+// date / party size:
+//   { checkedAt, watchId, venue, date, partySize, source,
+//     slots: [{ time, shift, area, durationMinutes, sources, confidence }] }
+// `source` is "api" or "browser"; each slot's `sources` and `confidence` say
+// which extractors found it (see src/slot.js). Only checks whose result can be
+// trusted are recorded, so a slot missing from a record really was not bookable then.
+
+// History location from HISTORY_FILE (default history.jsonl); "off" disables it
+function historyFileFromEnv(env, baseDir) {
+  const file = env.HISTORY_FILE || 'history.jsonl';
+  if (file.toLowerCase() === 'off') return null;
+  return path.resolve(baseDir, file);
+}
+
+function createHistoryStore(file) {
+  return {
+    file,
+
+    // Recording history must never stop a check
+    append(record) {
+      if (!file) return;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+      } catch (error) {
+        logger.error(`❌ Failed to record history: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Build a history record for one check
+function historyRecord({ watch, venue, target, slots, source, checkedAt = new Date() }) {
+  return {
+    checkedAt: checkedAt.toISOString(),
+    watchId: watch.id,
+    venue,
+    date: target.date,
+    partySize: target.partySize,
+    source,
+    slots: slots.map(slot => ({
+      time: slot.time,
+      shift: slot.shift,
+      area: slot.area,
+      durationMinutes: slot.durationMinutes,
+      sources: slot.sources,
+      confidence: slot.confidence
+    }))
+  };
+}
+
+// Read every record, skipping lines that don't parse (e.g. a write cut short)
+function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(record => record && record.checkedAt && record.date && Array.isArray(record.slots));
+}
+
+module.exports = {
+  historyFileFromEnv,
+  createHistoryStore,
+  historyRecord,
+  readHistory
+};
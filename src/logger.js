@@ -0,0 +1,37 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Where the bot's progress and problems go: the console, unless a watcher is
+// given a logger of its own (anything with console's log, info, warn, error
+// and debug, e.g. a silent one in tests). Modules log through `logger`, which
+// passes each call on to the one in use at the time: the one withLogger()
+// runs the calling code under, so each watcher logs to its own, or else the
+// one set with setLogger().
+let current = console;
+const scoped = new AsyncLocalStorage();
+
+const inUse = () => scoped.getStore() || current;
+
+const logger = {
+  log: (...args) => inUse().log(...args),
+  info: (...args) => inUse().info(...args),
+  warn: (...args) => inUse().warn(...args),
+  error: (...args) => inUse().error(...args),
+  debug: (...args) => inUse().debug(...args)
+};
+
+// Log to `target` from now on (the console when null)
+function setLogger(target) {
+  current = target || console;
+}
+
+// Run `fn` with everything it logs - including from the callbacks and promises
+// it starts - going to `target`. Returns what `fn` returns.
+function withLogger(target, fn) {
+  return scoped.run(target || console, fn);
+}
+
+module.exports = {
+  logger,
+  setLogger,
+  withLogger
+};
@@ -0,0 +1,57 @@
+const fetch = require('node-fetch');
+
+// Discord webhook payload with a single embed
+function formatDiscordMessage(notification) {
+  const { slot } = notification;
+  const fields = [];
+  // Alerts without a slot (e.g. "bot is broken") only have their message
+  if (slot) {
+    fields.push(
+      { name: 'Time', value: slot.time, inline: true },
+      { name: 'Date', value: slot.date, inline: true },
+      { name: 'Party size', value: String(slot.partySize), inline: true }
+    );
+    if (slot.area || slot.shift) fields.push({ name: 'Seating', value: [slot.area, slot.shift].filter(Boolean).join(' · '), inline: true });
+    if (slot.durationMinutes) fields.push({ name: 'Duration', value: `${slot.durationMinutes} min`, inline: true });
+    if (slot.depositRequired) fields.push({ name: 'Deposit', value: 'Required', inline: true });
+  }
+
+  return {
+    content: notification.message,
+    embeds: [{
+      title: `${slot ? '🍽️' : '🛠️'} ${notification.title}`,
+      url: notification.bookingUrl,
+      color: slot ? 0x2eb67d : 0xe01e5a,
+      fields,
+      footer: { text: `watch ${notification.watchId}` }
+    }]
+  };
+}
+
+function createDiscordNotifier(options) {
+  return {
+    name: 'discord',
+    async send(notification) {
+      const response = await fetch(options.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formatDiscordMessage(notification))
+      });
+
+      // Discord answers 204 No Content on success
+      if (!response.ok) {
+        throw new Error(`Discord returned HTTP ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'discord',
+  env: {
+    webhookUrl: 'DISCORD_WEBHOOK_URL'
+  },
+  required: ['webhookUrl'],
+  format: formatDiscordMessage,
+  create: createDiscordNotifier
+};
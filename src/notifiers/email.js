@@ -0,0 +1,69 @@
+// Escape text for HTML content and attribute values: venue, area and shift
+// names come from the booking widget
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Plain-text and HTML email with the slot details
+function formatEmailMessage(notification, options) {
+  const { slot, diagnostics } = notification;
+  // Alerts without a slot (e.g. "bot is broken") only have their message
+  const rows = !slot ? [] : [
+    ['Time', slot.time],
+    ['Date', slot.date],
+    ['Party size', slot.partySize],
+    ['Seating', [slot.area, slot.shift].filter(Boolean).join(' · ')],
+    ['Duration', slot.durationMinutes ? `${slot.durationMinutes} min` : ''],
+    ['Deposit', slot.depositRequired ? 'Required' : '']
+  ].filter(([, value]) => value !== '' && value !== null && value !== undefined);
+
+  return {
+    from: options.from,
+    to: options.to,
+    subject: slot ? `${notification.title}: ${slot.time} on ${slot.date}` : notification.title,
+    text: `${notification.message}\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}\n\nBook: ${notification.bookingUrl}\n`,
+    html: [
+      `<p>${escapeHtml(notification.message)}</p>`,
+      '<table>',
+      ...rows.map(([label, value]) => `<tr><th align="left">${label}</th><td>${escapeHtml(value)}</td></tr>`),
+      '</table>',
+      `<p><a href="${escapeHtml(notification.bookingUrl)}">Open booking page</a></p>`
+    ].join('\n'),
+    attachments: diagnostics && diagnostics.screenshot ? [{ filename: 'screenshot.png', path: diagnostics.screenshot }] : undefined
+  };
+}
+
+function createEmailNotifier(options) {
+  // Only load nodemailer when email is actually configured
+  const nodemailer = require('nodemailer');
+  const port = parseInt(options.port || '587', 10);
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port,
+    secure: options.secure !== undefined ? String(options.secure) === 'true' : port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    async send(notification) {
+      await transport.sendMail(formatEmailMessage(notification, options));
+    }
+  };
+}
+
+module.exports = {
+  type: 'email',
+  env: {
+    host: 'SMTP_HOST',
+    port: 'SMTP_PORT',
+    secure: 'SMTP_SECURE',
+    user: 'SMTP_USER',
+    pass: 'SMTP_PASS',
+    from: 'EMAIL_FROM',
+    to: 'EMAIL_TO'
+  },
+  required: ['host', 'from', 'to'],
+  format: formatEmailMessage,
+  create: createEmailNotifier
+};
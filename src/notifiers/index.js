@@ -0,0 +1,185 @@
+const { createSlot, describeSlot } = require('../slot');
+const { bookingLink } = require('../api');
+const { logger } = require('../logger');
+
+// Every notifier backend exposes:
+//   type      - name used in config
+//   env       - option name -> environment variable it can be read from
+//   required  - options that must be set
+//   validate  - (optional) returns { key, message, fix } problems with the other options
+//   format    - builds the backend's message from a notification
+//   create    - returns { name, send(notification) }; send throws on failure
+const BACKENDS = {
+  pushover: require('./pushover'),
+  slack: require('./slack'),
+  telegram: require('./telegram'),
+  discord: require('./discord'),
+  email: require('./email'),
+  ntfy: require('./ntfy'),
+  webhook: require('./webhook')
+};
+
+// Fill options a config leaves out from the backend's environment variables
+function withEnvDefaults(config, env) {
+  const backend = BACKENDS[config.type];
+  if (!backend) return config;
+
+  const merged = { ...config };
+  for (const [option, envVar] of Object.entries(backend.env)) {
+    if (merged[option] === undefined && env[envVar]) {
+      merged[option] = env[envVar];
+    }
+  }
+  return merged;
+}
+
+// Notifier configs come from the watch list's `notifiers` section when it has one,
+// otherwise from NOTIFIERS (comma-separated backend types, default "pushover")
+function loadNotifierConfigs(env, fileConfigs) {
+  const configs = fileConfigs && fileConfigs.length > 0
+    ? fileConfigs.map(config => ({ ...config, type: String(config.type || '').toLowerCase() }))
+    : (env.NOTIFIERS || 'pushover').split(',').map(type => ({ type: type.trim().toLowerCase() })).filter(config => config.type);
+
+  return configs.map(config => withEnvDefaults(config, env));
+}
+
+// Unknown backend types and missing required options, one { key, message, fix } per problem
+function validateNotifierConfigs(configs) {
+  const problems = [];
+
+  if (configs.length === 0) {
+    problems.push({ key: 'NOTIFIERS', message: 'No notifiers configured', fix: 'set NOTIFIERS (e.g. pushover) or add a notifiers section to the watch list' });
+  }
+
+  configs.forEach(config => {
+    const backend = BACKENDS[config.type];
+    if (!backend) {
+      problems.push({
+        key: 'NOTIFIERS',
+        message: `Unknown notifier "${config.type}"`,
+        fix: `use one of ${Object.keys(BACKENDS).join(', ')}`
+      });
+      return;
+    }
+
+    backend.required
+      .filter(option => !config[option])
+      .forEach(option => problems.push({
+        key: backend.env[option],
+        message: `${config.type} notifier is missing ${option}`,
+        fix: `set ${backend.env[option]} or add ${option} to the ${config.type} notifier in the watch list`
+      }));
+    if (backend.validate) problems.push(...backend.validate(config));
+  });
+
+  return problems;
+}
+
+function createNotifiers(configs) {
+  return configs.map(config => BACKENDS[config.type].create(config));
+}
+
+// "4", "4 or 6", "4, 5 or 6"
+function listPartySizes(partySizes) {
+  const sizes = [...partySizes].sort((a, b) => a - b);
+  return sizes.length > 1 ? `${sizes.slice(0, -1).join(', ')} or ${sizes[sizes.length - 1]}` : String(sizes[0]);
+}
+
+// Backend-neutral notification for one slot; each backend renders it with its own
+// template. `partySizes` lists every size the table fits when it fits several.
+function buildSlotNotification(slot, watch, { showWatchId = false, partySizes = [slot.partySize] } = {}) {
+  const preferred = watch.preferredPartySize && !partySizes.includes(watch.preferredPartySize) ? ` (not the preferred ${watch.preferredPartySize})` : '';
+  return {
+    event: 'slot.available',
+    title: 'SevenRooms Table Available',
+    message: `🍽️ Table available at ${describeSlot(slot)} on ${slot.date} for ${listPartySizes(partySizes)} people${preferred}.${showWatchId ? ` (${watch.id})` : ''}`,
+    watchId: watch.id,
+    bookingUrl: watch.url,
+    slot,
+    partySizes
+  };
+}
+
+const BOOKING_TITLES = {
+  'dry-run': 'SevenRooms Auto-Book Dry Run',
+  ready: 'SevenRooms Table Ready to Book',
+  confirmed: 'SevenRooms Table Booked',
+  'card-required': 'SevenRooms Table Needs Card',
+  failed: 'SevenRooms Auto-Book Failed'
+};
+
+// Notification reporting an auto-book attempt, linking to the slot's date and
+// party size where the booking page takes them
+function buildBookingNotification(result, slot, watch) {
+  return {
+    event: 'booking.result',
+    title: BOOKING_TITLES[result.status] || 'SevenRooms Auto-Book',
+    message: `🤖 ${result.message} (${describeSlot(slot)}).`,
+    watchId: watch.id,
+    bookingUrl: bookingLink(watch.url, slot),
+    booking: result,
+    slot
+  };
+}
+
+// "Bot is broken" alert: a required step in the booking widget found nothing,
+// most likely because the widget changed. `diagnostics` is { dir, screenshot,
+// target, version } from saving the page (see src/diagnostics.js).
+function buildBrokenNotification(error, watch, diagnostics) {
+  const { target } = diagnostics;
+  return {
+    event: 'bot.broken',
+    title: 'SevenRooms Bot Broken',
+    message: `🛠️ ${error.message} for ${target.date} (${target.partySize} people) - the booking widget may have changed and selectors v${diagnostics.version} need updating. Screenshot and DOM saved to ${diagnostics.dir}. (${watch.id})`,
+    watchId: watch.id,
+    bookingUrl: watch.url,
+    diagnostics: {
+      step: error.step,
+      error: error.message,
+      selectorsVersion: diagnostics.version,
+      dir: diagnostics.dir,
+      screenshot: diagnostics.screenshot
+    }
+  };
+}
+
+// Sample slot notification for checking that every backend is set up
+function buildTestNotification(watch, now = new Date()) {
+  const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const slot = createSlot({ date, time: '19:30', partySize: 2, area: 'Test Table', source: 'test' });
+  return {
+    ...buildSlotNotification(slot, watch),
+    event: 'test',
+    title: 'SevenRooms Bot Test',
+    message: `🧪 Test notification from sevenrooms-bot - if you can read this, ${watch.id} notifications work.`
+  };
+}
+
+// Send through every notifier; true if at least one delivered it
+async function sendToAll(notifiers, notification) {
+  let delivered = 0;
+
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(notification);
+      delivered++;
+      logger.log(`   ✅ Sent via ${notifier.name}`);
+    } catch (error) {
+      logger.error(`   ❌ ${notifier.name} failed: ${error.message}`);
+    }
+  }
+
+  return delivered > 0;
+}
+
+module.exports = {
+  BACKENDS,
+  loadNotifierConfigs,
+  validateNotifierConfigs,
+  createNotifiers,
+  buildSlotNotification,
+  buildBookingNotification,
+  buildBrokenNotification,
+  buildTestNotification,
+  sendToAll
+};
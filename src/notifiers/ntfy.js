@@ -0,0 +1,53 @@
+const fetch = require('node-fetch');
+
+// ntfy publishes the body as-is; title, tags and click action go in headers
+function formatNtfyMessage(notification, options) {
+  const { slot } = notification;
+  const headers = {
+    'Title': notification.title,
+    'Tags': !slot ? 'warning' : slot.depositRequired ? 'fork_and_knife,credit_card' : 'fork_and_knife',
+    'Click': notification.bookingUrl,
+    'Priority': String(options.priority || 'high')
+  };
+  if (options.token) {
+    headers['Authorization'] = `Bearer ${options.token}`;
+  }
+
+  return {
+    headers,
+    body: notification.message
+  };
+}
+
+function createNtfyNotifier(options) {
+  const server = (options.server || 'https://ntfy.sh').replace(/\/$/, '');
+
+  return {
+    name: 'ntfy',
+    async send(notification) {
+      const { headers, body } = formatNtfyMessage(notification, options);
+      const response = await fetch(`${server}/${encodeURIComponent(options.topic)}`, {
+        method: 'POST',
+        headers,
+        body
+      });
+
+      if (!response.ok) {
+        throw new Error(`ntfy returned HTTP ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'ntfy',
+  env: {
+    topic: 'NTFY_TOPIC',
+    server: 'NTFY_SERVER',
+    token: 'NTFY_TOKEN',
+    priority: 'NTFY_PRIORITY'
+  },
+  required: ['topic'],
+  format: formatNtfyMessage,
+  create: createNtfyNotifier
+};
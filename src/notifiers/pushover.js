@@ -0,0 +1,57 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Pushover message: plain text with a link back to the booking page, and the
+// screenshot attached to "bot is broken" alerts
+function formatPushoverMessage(notification, options) {
+  const screenshot = notification.diagnostics && notification.diagnostics.screenshot;
+  return {
+    token: options.appToken,
+    user: options.userKey,
+    title: notification.title,
+    message: notification.message,
+    url: notification.bookingUrl,
+    url_title: 'Open booking page',
+    priority: options.priority,
+    ...(screenshot && fs.existsSync(screenshot) ? {
+      attachment_base64: fs.readFileSync(screenshot).toString('base64'),
+      attachment_type: 'image/png'
+    } : {})
+  };
+}
+
+function createPushoverNotifier(options) {
+  const apiUrl = options.apiUrl || 'https://api.pushover.net/1/messages.json';
+  const priority = options.priority !== undefined ? parseInt(options.priority, 10) : 1;
+
+  return {
+    name: 'pushover',
+    async send(notification) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formatPushoverMessage(notification, { ...options, priority })),
+      });
+
+      const data = await response.json();
+      if (data.status !== 1) {
+        throw new Error(`Pushover error: ${data.errors?.join(', ') || 'Unknown error'}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'pushover',
+  env: {
+    userKey: 'PUSHOVER_USER_KEY',
+    appToken: 'PUSHOVER_APP_TOKEN',
+    priority: 'PUSHOVER_PRIORITY',
+    apiUrl: 'PUSHOVER_API_URL'
+  },
+  required: ['userKey', 'appToken'],
+  format: formatPushoverMessage,
+  create: createPushoverNotifier
+};
@@ -0,0 +1,49 @@
+const fetch = require('node-fetch');
+
+// Slack incoming webhook payload: a header line plus slot details in mrkdwn
+function formatSlackMessage(notification) {
+  const { slot } = notification;
+  // Alerts without a slot (e.g. "bot is broken") show their message instead
+  const details = !slot ? notification.message : [
+    `*${slot.time}* on *${slot.date}* for *${slot.partySize}* people`,
+    slot.area || slot.shift ? `Seating: ${[slot.area, slot.shift].filter(Boolean).join(' · ')}` : null,
+    slot.durationMinutes ? `Duration: ${slot.durationMinutes} min` : null,
+    slot.depositRequired ? 'Deposit required' : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    text: notification.message,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: `${slot ? '🍽️' : '🛠️'} ${notification.title}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: details } },
+      { type: 'section', text: { type: 'mrkdwn', text: `<${notification.bookingUrl}|Open booking page> · watch \`${notification.watchId}\`` } }
+    ]
+  };
+}
+
+function createSlackNotifier(options) {
+  return {
+    name: 'slack',
+    async send(notification) {
+      const response = await fetch(options.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formatSlackMessage(notification))
+      });
+
+      if (!response.ok) {
+        throw new Error(`Slack returned HTTP ${response.status}: ${await response.text()}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'slack',
+  env: {
+    webhookUrl: 'SLACK_WEBHOOK_URL'
+  },
+  required: ['webhookUrl'],
+  format: formatSlackMessage,
+  create: createSlackNotifier
+};
@@ -0,0 +1,62 @@
+const fetch = require('node-fetch');
+
+// Telegram only needs <, > and & escaped in HTML parse mode
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Telegram sendMessage payload in HTML parse mode
+function formatTelegramMessage(notification, options) {
+  const { slot } = notification;
+  // Alerts without a slot (e.g. "bot is broken") show their message instead
+  const details = !slot ? [escapeHtml(notification.message)] : [
+    `${escapeHtml(slot.time)} on ${escapeHtml(slot.date)} for ${slot.partySize} people`,
+    slot.area || slot.shift ? escapeHtml([slot.area, slot.shift].filter(Boolean).join(' · ')) : null,
+    slot.durationMinutes ? `${slot.durationMinutes} min` : null,
+    slot.depositRequired ? '💳 Deposit required' : null
+  ];
+  const lines = [
+    `${slot ? '🍽️' : '🛠️'} <b>${escapeHtml(notification.title)}</b>`,
+    ...details,
+    `<a href="${escapeHtml(notification.bookingUrl)}">Open booking page</a>`
+  ];
+
+  return {
+    chat_id: options.chatId,
+    text: lines.filter(Boolean).join('\n'),
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  };
+}
+
+function createTelegramNotifier(options) {
+  const apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+
+  return {
+    name: 'telegram',
+    async send(notification) {
+      const response = await fetch(`${apiUrl}/bot${options.botToken}/sendMessage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formatTelegramMessage(notification, options))
+      });
+
+      const data = await response.json();
+      if (!data.ok) {
+        throw new Error(`Telegram error: ${data.description || `HTTP ${response.status}`}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'telegram',
+  env: {
+    botToken: 'TELEGRAM_BOT_TOKEN',
+    chatId: 'TELEGRAM_CHAT_ID',
+    apiUrl: 'TELEGRAM_API_URL'
+  },
+  required: ['botToken', 'chatId'],
+  format: formatTelegramMessage,
+  create: createTelegramNotifier
+};
@@ -0,0 +1,67 @@
+const fetch = require('node-fetch');
+
+// Generic JSON payload - the full slot plus the rendered message
+function formatWebhookPayload(notification) {
+  return {
+    event: notification.event,
+    booking: notification.booking,
+    title: notification.title,
+    message: notification.message,
+    watchId: notification.watchId,
+    bookingUrl: notification.bookingUrl,
+    slot: notification.slot,
+    partySizes: notification.partySizes,
+    diagnostics: notification.diagnostics,
+    sentAt: new Date().toISOString()
+  };
+}
+
+// Extra headers, e.g. for auth: { "Authorization": "Bearer ..." } or a JSON string from the env
+function parseHeaders(headers) {
+  return typeof headers === 'string' ? JSON.parse(headers) : (headers || {});
+}
+
+// Headers that aren't a JSON object, as a { key, message, fix } problem
+function validateWebhookConfig(config) {
+  let headers;
+  try {
+    headers = parseHeaders(config.headers);
+  } catch (error) {
+    headers = null;
+  }
+  if (headers && typeof headers === 'object' && !Array.isArray(headers)) return [];
+  const shown = typeof config.headers === 'string' ? config.headers : JSON.stringify(config.headers);
+  return [{ key: 'WEBHOOK_HEADERS', message: `webhook headers "${shown}" are not a JSON object`, fix: 'use a JSON object, e.g. {"Authorization": "Bearer ..."}' }];
+}
+
+function createWebhookNotifier(options) {
+  const extraHeaders = parseHeaders(options.headers);
+
+  return {
+    name: 'webhook',
+    async send(notification) {
+      const response = await fetch(options.url, {
+        method: options.method || 'POST',
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+        body: JSON.stringify(formatWebhookPayload(notification))
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook returned HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  type: 'webhook',
+  env: {
+    url: 'WEBHOOK_URL',
+    method: 'WEBHOOK_METHOD',
+    headers: 'WEBHOOK_HEADERS'
+  },
+  required: ['url'],
+  validate: validateWebhookConfig,
+  format: formatWebhookPayload,
+  create: createWebhookNotifier
+};
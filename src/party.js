@@ -0,0 +1,53 @@
+// A watch's party sizes are numbers or ranges like "4-6" (every size in
+// between), e.g. partySize: "4-6" or partySizes: [2, "4-6"]. With a preferred
+// size, that one is checked (and notified and auto-booked) first and the rest
+// follow in the order given. Values that don't parse are kept as given so
+// validation can report them.
+
+const MAX_PARTY_SIZE = 50;
+
+// One party size entry as the sizes it stands for
+function expandPartySize(value) {
+  const range = /^\s*(\d+)\s*(?:-|–|\.\.)\s*(\d+)\s*$/.exec(String(value));
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    if (min < 1 || min > max || max > MAX_PARTY_SIZE) return [value];
+    return Array.from({ length: max - min + 1 }, (_, index) => min + index);
+  }
+  return [String(value).trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value];
+}
+
+// Party size entries (a list, or a comma-separated string like "2, 4-6") as
+// the sizes to check, each once, with `preferred` first
+function parsePartySizes(value, preferred = null) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const sizes = [];
+  for (const size of entries.flatMap(expandPartySize)) {
+    if (!sizes.includes(size)) sizes.push(size);
+  }
+  return preferred !== null && sizes.includes(preferred)
+    ? [preferred, ...sizes.filter(size => size !== preferred)]
+    : sizes;
+}
+
+// "4-6 (preferring 5)" for the log: runs of consecutive sizes shown as ranges
+function describePartySizes(sizes, preferred = null) {
+  const sorted = sizes.filter(Number.isInteger).sort((a, b) => a - b);
+  const runs = [];
+  for (const size of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && size === last[1] + 1) {
+      last[1] = size;
+    } else {
+      runs.push([size, size]);
+    }
+  }
+  const described = runs.map(([min, max]) => min === max ? String(min) : `${min}-${max}`).join(', ');
+  return preferred !== null && sizes.length > 1 ? `${described} (preferring ${preferred})` : described;
+}
+
+module.exports = {
+  MAX_PARTY_SIZE,
+  parsePartySizes,
+  describePartySizes
+};
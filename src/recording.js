@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { toDateString } = require('./dates');
+const { logger } = require('./logger');
+
+// A recording is a directory holding what the browser saw during a run:
+//   manifest.json   { recordedAt, recordedOn, timezoneId, targets: [...] }
+//   network.har     every response the browser received, bodies included
+//   dom/            the page (and widget iframe) DOM of each date / party size checked
+// Each manifest target is { watchId, date, partySize, url, slots, snapshots },
+// where `slots` are the times the check found and `snapshots` the DOM files.
+// Replaying serves network.har through Playwright routing and pins the browser
+// clock and "today" to the recording, so the same checks run offline and find
+// the same slots.
+
+const MANIFEST_FILE = 'manifest.json';
+const HAR_FILE = 'network.har';
+const DOM_DIR = 'dom';
+
+// Record / replay settings from RECORD_DIR or REPLAY_DIR, or null for a normal run
+function recordingFromEnv(env, baseDir) {
+  if (env.REPLAY_DIR) return { mode: 'replay', dir: path.resolve(baseDir, env.REPLAY_DIR) };
+  if (env.RECORD_DIR) return { mode: 'record', dir: path.resolve(baseDir, env.RECORD_DIR) };
+  return null;
+}
+
+// Problems with the record / replay settings, one { key, message, fix } per problem
+function validateRecording(env, recording) {
+  if (!recording) return [];
+
+  const problems = [];
+  if (env.RECORD_DIR && env.REPLAY_DIR) {
+    problems.push({ key: 'RECORD_DIR', message: 'Cannot record and replay in the same run', fix: 'set only one of RECORD_DIR (--record) and REPLAY_DIR (--replay)' });
+  }
+  if (recording.mode === 'replay') {
+    for (const file of [MANIFEST_FILE, HAR_FILE]) {
+      if (!fs.existsSync(path.join(recording.dir, file))) {
+        problems.push({ key: 'REPLAY_DIR', message: `${recording.dir} has no ${file}`, fix: 'point it at a directory made with --record <dir>' });
+      }
+    }
+  }
+  return problems;
+}
+
+// Read a recording's manifest
+function loadManifest(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+}
+
+function saveManifest(recording) {
+  fs.writeFileSync(path.join(recording.dir, MANIFEST_FILE), `${JSON.stringify(recording.manifest, null, 2)}\n`);
+}
+
+// Get a recording ready: load the manifest of one being replayed, or start a
+// new one. A directory holds one recording, so recording again replaces it.
+function openRecording(recording, now = new Date()) {
+  if (recording.mode === 'replay') {
+    return { ...recording, manifest: loadManifest(recording.dir) };
+  }
+
+  fs.rmSync(path.join(recording.dir, DOM_DIR), { recursive: true, force: true });
+  fs.mkdirSync(path.join(recording.dir, DOM_DIR), { recursive: true });
+  const opened = {
+    ...recording,
+    manifest: {
+      recordedAt: now.toISOString(),
+      recordedOn: toDateString(now),
+      timezoneId: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      targets: []
+    }
+  };
+  saveManifest(opened);
+  return opened;
+}
+
+// Extra browser context options: write every response to the HAR when
+// recording (Playwright saves it when the context closes), or use the
+// recorded time zone when replaying
+function contextOptions(recording) {
+  if (!recording) return {};
+  if (recording.mode === 'record') {
+    return { recordHar: { path: path.join(recording.dir, HAR_FILE), content: 'embed' } };
+  }
+  return { timezoneId: recording.manifest.timezoneId };
+}
+
+// When replaying, answer every request from the HAR (aborting anything not
+// in it, so nothing reaches the network) and stop the page clock at the
+// moment of recording
+async function prepareContext(context, recording) {
+  if (!recording || recording.mode !== 'replay') return;
+  await context.routeFromHAR(path.join(recording.dir, HAR_FILE), { notFound: 'abort' });
+  await context.clock.setFixedTime(new Date(recording.manifest.recordedAt));
+}
+
+// Save the page and widget DOM once a target has been checked, with the slots
+// found. Recording must never stop a check.
+async function saveSnapshot(recording, { watch, target, page, targetPage, slots }) {
+  try {
+    const name = `${watch.id}_${target.date}_${target.partySize}`.replace(/[^\w.-]+/g, '-');
+    const snapshots = { page: `${DOM_DIR}/${name}.html` };
+    fs.writeFileSync(path.join(recording.dir, snapshots.page), await page.content());
+    if (targetPage && targetPage !== page) {
+      snapshots.widget = `${DOM_DIR}/${name}.widget.html`;
+      fs.writeFileSync(path.join(recording.dir, snapshots.widget), await targetPage.content());
+    }
+
+    recording.manifest.targets.push({
+      watchId: watch.id,
+      date: target.date,
+      partySize: target.partySize,
+      url: watch.url,
+      slots: slots.map(slot => slot.time),
+      snapshots
+    });
+    saveManifest(recording);
+    logger.log(`📼 Recorded ${snapshots.widget ? 'page and widget' : 'page'} DOM to ${path.join(recording.dir, DOM_DIR)}`);
+  } catch (error) {
+    logger.error(`❌ Failed to record DOM snapshot: ${error.message}`);
+  }
+}
+
+module.exports = {
+  recordingFromEnv,
+  validateRecording,
+  loadManifest,
+  openRecording,
+  contextOptions,
+  prepareContext,
+  saveSnapshot
+};
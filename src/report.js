@@ -0,0 +1,212 @@
+const { toDateString } = require('./dates');
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAYS_AHEAD_BUCKETS = [
+  { label: 'same day', min: 0, max: 0 },
+  { label: '1 day', min: 1, max: 1 },
+  { label: '2 days', min: 2, max: 2 },
+  { label: '3-6 days', min: 3, max: 6 },
+  { label: '7-13 days', min: 7, max: 13 },
+  { label: '14-29 days', min: 14, max: 29 },
+  { label: '30+ days', min: 30, max: Infinity }
+];
+const BEST_WINDOW_COUNT = 3;
+
+// Records matching the report filters (watch id, venue, checked on or after `since`)
+function filterHistory(records, { watchId, venue, since } = {}) {
+  return records.filter(record =>
+    (!watchId || record.watchId === watchId) &&
+    (!venue || record.venue === venue) &&
+    (!since || toDateString(new Date(record.checkedAt)) >= since)
+  );
+}
+
+// Whole days between two YYYY-MM-DD dates
+function daysBetween(from, to) {
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+}
+
+// Walk each date / party size's checks in order and pick out:
+//   drops     - a slot that wasn't there on the previous check and now is
+//               (a cancellation or newly released table)
+//   lifetimes - how long a dropped slot stayed bookable before a check no longer saw it
+// Slots already there on the first check of a date have an unknown start, so
+// they count neither as drops nor towards lifetimes.
+function slotEvents(records) {
+  const series = new Map();
+  for (const record of records) {
+    const key = `${record.watchId}|${record.date}|${record.partySize}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push(record);
+  }
+
+  const drops = [];
+  const lifetimes = [];
+  let stillOpen = 0;
+
+  for (const checks of series.values()) {
+    checks.sort((a, b) => a.checkedAt.localeCompare(b.checkedAt));
+    let previous = null;
+    const openDrops = new Map();
+
+    for (const check of checks) {
+      const present = new Set(check.slots.map(slot => slot.time));
+
+      if (previous) {
+        for (const slot of check.slots) {
+          if (previous.has(slot.time)) continue;
+          const drop = {
+            watchId: check.watchId,
+            venue: check.venue,
+            date: check.date,
+            partySize: check.partySize,
+            time: slot.time,
+            area: slot.area || null,
+            appearedAt: check.checkedAt
+          };
+          drops.push(drop);
+          openDrops.set(slot.time, drop);
+        }
+
+        for (const [time, drop] of openDrops) {
+          if (present.has(time)) continue;
+          lifetimes.push((Date.parse(check.checkedAt) - Date.parse(drop.appearedAt)) / 60000);
+          openDrops.delete(time);
+        }
+      }
+
+      previous = present;
+    }
+    stillOpen += openDrops.size;
+  }
+
+  return { drops, lifetimes, stillOpen };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Analytics over check history. Times of day and weekdays are in the local
+// time zone of the machine running the report (set TZ to change it).
+function buildReport(records) {
+  const { drops, lifetimes, stillOpen } = slotEvents(records);
+  const checkTimes = records.map(record => record.checkedAt).sort();
+
+  // Weekday x hour of day when drops were first seen
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const byHour = new Array(24).fill(0);
+  const daysAhead = DAYS_AHEAD_BUCKETS.map(bucket => ({ bucket: bucket.label, drops: 0 }));
+
+  for (const drop of drops) {
+    const appeared = new Date(drop.appearedAt);
+    const weekday = (appeared.getDay() + 6) % 7;
+    heatmap[weekday][appeared.getHours()]++;
+    byHour[appeared.getHours()]++;
+
+    const ahead = daysBetween(toDateString(appeared), drop.date);
+    const bucketIndex = DAYS_AHEAD_BUCKETS.findIndex(bucket => ahead >= bucket.min && ahead <= bucket.max);
+    if (bucketIndex >= 0) daysAhead[bucketIndex].drops++;
+  }
+
+  const bestWindows = byHour
+    .map((count, hour) => ({
+      window: `${String(hour).padStart(2, '0')}:00-${String((hour + 1) % 24).padStart(2, '0')}:00`,
+      drops: count,
+      share: drops.length > 0 ? Math.round(count / drops.length * 100) : 0
+    }))
+    .filter(window => window.drops > 0)
+    .sort((a, b) => b.drops - a.drops)
+    .slice(0, BEST_WINDOW_COUNT);
+
+  const medianLifetime = median(lifetimes);
+
+  return {
+    checks: records.length,
+    from: checkTimes[0] || null,
+    to: checkTimes[checkTimes.length - 1] || null,
+    drops: drops.length,
+    heatmap: { weekdays: WEEKDAYS, counts: heatmap },
+    daysAhead,
+    lifetime: {
+      samples: lifetimes.length,
+      averageMinutes: lifetimes.length > 0 ? Math.round(lifetimes.reduce((sum, minutes) => sum + minutes, 0) / lifetimes.length) : null,
+      medianMinutes: medianLifetime === null ? null : Math.round(medianLifetime),
+      stillOpen
+    },
+    bestWindows,
+    // Polling at half the median lifetime catches most drops before they go again
+    suggestedIntervalMinutes: medianLifetime === null ? null : Math.max(1, Math.floor(medianLifetime / 2))
+  };
+}
+
+// Plain-text report for the terminal
+function formatTable(report) {
+  const lines = [];
+  lines.push(`📈 ${report.checks} check(s)${report.from ? ` from ${report.from} to ${report.to}` : ''}, ${report.drops} drop(s) seen`);
+
+  lines.push('', 'Drops by weekday and hour (when a slot first appeared):');
+  lines.push(`     ${Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')).join(' ')}`);
+  report.heatmap.counts.forEach((row, index) => {
+    lines.push(`${report.heatmap.weekdays[index]}  ${row.map(count => (count === 0 ? '.' : String(count)).padStart(2)).join(' ')}`);
+  });
+
+  lines.push('', 'Drops by days ahead of the reservation date:');
+  report.daysAhead.forEach(({ bucket, drops }) => lines.push(`  ${bucket.padEnd(11)} ${String(drops).padStart(4)}`));
+
+  lines.push('', 'Slot lifetime:');
+  if (report.lifetime.samples > 0) {
+    lines.push(`  average ${report.lifetime.averageMinutes} min, median ${report.lifetime.medianMinutes} min (${report.lifetime.samples} slot(s), ${report.lifetime.stillOpen} still open)`);
+  } else {
+    lines.push(`  not enough data yet (${report.lifetime.stillOpen} slot(s) still open)`);
+  }
+
+  lines.push('', 'Best polling windows:');
+  if (report.bestWindows.length > 0) {
+    report.bestWindows.forEach(({ window, drops, share }) => lines.push(`  ${window}  ${drops} drop(s), ${share}%`));
+  } else {
+    lines.push('  no drops recorded yet');
+  }
+  if (report.suggestedIntervalMinutes !== null) {
+    lines.push(`  poll at least every ${report.suggestedIntervalMinutes} min to catch a typical drop`);
+  }
+
+  return lines.join('\n');
+}
+
+// Long-format CSV (section,key,value) so every part of the report fits one sheet
+function formatCsv(report) {
+  const rows = [['section', 'key', 'value']];
+  rows.push(['summary', 'checks', report.checks], ['summary', 'from', report.from || ''], ['summary', 'to', report.to || ''], ['summary', 'drops', report.drops]);
+  report.heatmap.counts.forEach((row, index) => {
+    row.forEach((count, hour) => rows.push(['heatmap', `${report.heatmap.weekdays[index]} ${String(hour).padStart(2, '0')}:00`, count]));
+  });
+  report.daysAhead.forEach(({ bucket, drops }) => rows.push(['days_ahead', bucket, drops]));
+  const { samples, averageMinutes, medianMinutes, stillOpen } = report.lifetime;
+  rows.push(['lifetime', 'samples', samples], ['lifetime', 'average_minutes', averageMinutes === null ? '' : averageMinutes], ['lifetime', 'median_minutes', medianMinutes === null ? '' : medianMinutes], ['lifetime', 'still_open', stillOpen]);
+  report.bestWindows.forEach(({ window, drops }) => rows.push(['best_windows', window, drops]));
+  rows.push(['suggested_interval_minutes', '', report.suggestedIntervalMinutes === null ? '' : report.suggestedIntervalMinutes]);
+
+  const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+  return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+const FORMATTERS = {
+  table: formatTable,
+  csv: formatCsv,
+  json: report => JSON.stringify(report, null, 2)
+};
+
+module.exports = {
+  FORMATTERS,
+  filterHistory,
+  slotEvents,
+  buildReport,
+  formatTable,
+  formatCsv
+};
@@ -0,0 +1,66 @@
+const { logger } = require('./logger');
+
+// Process exit codes, so the workflow can tell a broken check from bad config
+const EXIT_CODES = {
+  OK: 0,
+  FATAL: 1, // unexpected crash
+  CONFIG_ERROR: 2, // missing or invalid configuration
+  CHECK_FAILED: 3 // at least one check still failed after all retries
+};
+
+// Thrown once a stage has used up all of its attempts
+class StageFailedError extends Error {
+  constructor(stage, attempts, cause) {
+    super(`${stage} failed after ${attempts} attempt(s): ${cause.message}`);
+    this.name = 'StageFailedError';
+    this.stage = stage;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
+
+// Retry policy from RETRY_MAX_ATTEMPTS / RETRY_BASE_DELAY_MS / RETRY_MAX_DELAY_MS
+function retryPolicyFromEnv(env) {
+  return {
+    maxAttempts: parseInt(env.RETRY_MAX_ATTEMPTS || '3', 10),
+    baseDelayMs: parseInt(env.RETRY_BASE_DELAY_MS || '2000', 10),
+    maxDelayMs: parseInt(env.RETRY_MAX_DELAY_MS || '30000', 10)
+  };
+}
+
+// Exponential backoff with jitter: the delay doubles after every failed attempt
+// (capped at maxDelayMs) and a random amount of up to half of it is added, so
+// parallel runners don't retry in lockstep
+function backoffDelay(attempt, policy, random = Math.random) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+// Run one stage of a check under the retry policy. Rejects with StageFailedError
+// once the stage has failed maxAttempts times.
+async function withRetry(stage, fn, policy, sleep = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      if (attempt === policy.maxAttempts) break;
+
+      const delay = backoffDelay(attempt, policy);
+      logger.log(`🔄 ${stage} failed (${error.message.split('\n')[0]}), retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts})...`);
+      await sleep(delay);
+    }
+  }
+
+  throw new StageFailedError(stage, policy.maxAttempts, lastError);
+}
+
+module.exports = {
+  EXIT_CODES,
+  StageFailedError,
+  retryPolicyFromEnv,
+  backoffDelay,
+  withRetry
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ConfigError } = require('./config');
+const { logger, withLogger } = require('./logger');
+
+// Optional HTTP server for a running watcher (see src/watcher.js), started
+// with the daemon when HTTP_PORT is set:
+//   GET    /              the dashboard (src/dashboard.html), a page over the routes below
+//   GET    /health        { ok: true } while the process is up
+//   GET    /status        each watch's last check time, last result and consecutive failures
+//   GET    /slots         slots from the latest check of each date and party size (?watch=<id>)
+//   GET    /history       the latest history records, newest first (?watch=<id>, ?limit=<n>, default 50)
+//   POST   /watches       add a watch: a watch-list entry as JSON. 201 with the watch,
+//                        400 with { error, problems } when it isn't valid
+//   DELETE /watches/:id   remove a watch. 204, or 404
+//   POST   /watches/:id/pause, /watches/:id/resume
+//                        skip a watch in checks, or check it again. 200 with the watch, or 404
+//   POST   /check         check now, or join the check in progress. Responds when it finishes
+//   POST   /test-notify   send a test notification: { ok, dryRun, notifiers }
+// Every request must be addressed to the host the server listens on, so a web
+// page can't reach it through a name of its own (DNS rebinding). POST and
+// DELETE need HTTP_TOKEN set and "Authorization: Bearer <token>", a JSON body
+// type and, from a browser, an Origin on this server: without them a page on
+// any site could add an auto-booking watch with a form post.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+const MAX_HISTORY_LIMIT = 1000;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1', '[::1]'];
+const ANY_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+// Server settings from HTTP_PORT / HTTP_HOST (default 127.0.0.1, this machine
+// only) / HTTP_TOKEN, or null when HTTP_PORT isn't set
+function serverOptionsFromEnv(env) {
+  if (env.HTTP_PORT === undefined || env.HTTP_PORT === '') return null;
+  return {
+    port: parseInt(env.HTTP_PORT, 10),
+    host: env.HTTP_HOST || '127.0.0.1',
+    token: env.HTTP_TOKEN || null
+  };
+}
+
+// Send a JSON response (or an empty one for 204)
+function send(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+// A request's JSON body; rejects with a 400-worthy message
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || 'null'));
+      } catch (error) {
+        reject(new Error(`Request body is not JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// The host name in a Host header ("localhost:8080" → "localhost"), or null
+function hostnameOf(host) {
+  try {
+    return new URL(`http://${host}`).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The host and port of an Origin header, or null for an opaque one ("null")
+function originHostOf(origin) {
+  try {
+    return new URL(origin).host || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether a request is addressed to the host the server listens on. One
+// listening on every address (0.0.0.0) takes any host name.
+function isForThisHost(req, host) {
+  if (ANY_HOSTS.includes(host)) return true;
+  const allowed = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host.toLowerCase()];
+  return allowed.includes(hostnameOf(req.headers.host || ''));
+}
+
+// Whether an Authorization header carries the token, compared in constant time
+function hasToken(authorization, token) {
+  const given = Buffer.from(authorization || '');
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Why a request may not change the watcher, as [status, message], or null when it may
+function refusalOf(req, token) {
+  if (!token) {
+    return [403, 'Changing watches over HTTP needs HTTP_TOKEN set'];
+  }
+  if (!hasToken(req.headers.authorization, token)) {
+    return [401, 'Missing or wrong bearer token (HTTP_TOKEN)'];
+  }
+  const origin = req.headers.origin;
+  if (origin !== undefined && originHostOf(origin) !== req.headers.host) {
+    return [403, `Requests from ${origin} can't change watches`];
+  }
+  if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+    return [415, 'Send Content-Type: application/json'];
+  }
+  return null;
+}
+
+// Handle one request against `watcher`
+async function handle(watcher, options, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+  const watchRoute = /^DELETE \/watches\/([^/]+)$/.exec(route);
+  const pauseRoute = /^POST \/watches\/([^/]+)\/(pause|resume)$/.exec(route);
+
+  if (!isForThisHost(req, options.host)) {
+    return send(res, 403, { error: `Not serving host ${req.headers.host || '(none)'}` });
+  }
+  const refusal = req.method !== 'GET' && refusalOf(req, options.token);
+  if (refusal) {
+    return send(res, refusal[0], { error: refusal[1] });
+  }
+
+  if (route === 'GET /') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(fs.readFileSync(DASHBOARD_FILE));
+  }
+  if (route === 'GET /health') {
+    return send(res, 200, { ok: true });
+  }
+  if (route === 'GET /status') {
+    return send(res, 200, watcher.status());
+  }
+  if (route === 'GET /slots') {
+    const watchId = url.searchParams.get('watch');
+    return send(res, 200, { slots: watcher.slots().filter(slot => !watchId || slot.watchId === watchId) });
+  }
+  if (route === 'GET /history') {
+    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+    if (!(limit > 0)) {
+      return send(res, 400, { error: 'limit must be a positive number' });
+    }
+    return send(res, 200, { records: watcher.history({ watchId: url.searchParams.get('watch'), limit: Math.min(limit, MAX_HISTORY_LIMIT) }) });
+  }
+
+  if (route === 'POST /watches') {
+    let entry;
+    try {
+      entry = await readJson(req);
+    } catch (error) {
+      return send(res, 400, { error: error.message });
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return send(res, 400, { error: 'Send one watch-list entry as a JSON object' });
+    }
+    try {
+      return send(res, 201, watcher.addWatch(entry));
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      return send(res, 400, { error: error.message, problems: error.problems });
+    }
+  }
+  if (watchRoute) {
+    const id = decodeURIComponent(watchRoute[1]);
+    return watcher.removeWatch(id) ? send(res, 204) : send(res, 404, { error: `No watch "${id}"` });
+  }
+  if (pauseRoute) {
+    const id = decodeURIComponent(pauseRoute[1]);
+    const watch = pauseRoute[2] === 'pause' ? watcher.pauseWatch(id) : watcher.resumeWatch(id);
+    return watch ? send(res, 200, watch) : send(res, 404, { error: `No watch "${id}"` });
+  }
+
+  if (route === 'POST /check') {
+    const run = await watcher.check();
+    return send(res, 200, watcher.summarize(run));
+  }
+  if (route === 'POST /test-notify') {
+    const { delivered, notifiers, dryRun } = await watcher.testNotify();
+    return send(res, 200, { ok: delivered, dryRun, notifiers });
+  }
+
+  return send(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+}
+
+// Start the server; resolves with the listening http.Server. Logs go to the
+// watcher's logger.
+function startStatusServer(watcher, options) {
+  const server = http.createServer((req, res) => withLogger(watcher.logger, () => {
+    handle(watcher, options, req, res).catch(error => {
+      logger.error(`❌ Status server: ${req.method} ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) send(res, 500, { error: error.message });
+    });
+  }));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  serverOptionsFromEnv,
+  startStatusServer
+};
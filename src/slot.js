@@ -0,0 +1,139 @@
+// A Slot is the normalized form of one available reservation time:
+//   {
+//     date: 'YYYY-MM-DD',       // the service date the slot belongs to
+//     time: 'HH:MM',            // 24-hour start time
+//     partySize: 4,
+//     shift: 'Dinner' | null,   // shift name as the venue labels it
+//     area: 'Bar Seating' | null,
+//     durationMinutes: 90 | null,
+//     depositRequired: true | false | null,  // null = unknown
+//     source: 'api' | 'json' | 'dom' | 'network',  // the most trusted extractor that found it
+//     sources: ['api', 'network'],                  // every extractor that found it
+//     confidence: 0.97                              // how sure we are it is real, 0-1
+//   }
+// A service date runs from SERVICE_DAY_START to SERVICE_DAY_START the next
+// morning, so a 00:30 table on the night of the 14th has date 2026-11-14.
+
+const SERVICE_DAY_START = '05:00';
+
+// How far each extractor is trusted on its own:
+//   api     - a SevenRooms availability response, parsed by its known shape
+//   json    - times in JSON objects whose date fields match the selected date
+//   dom     - time buttons in the widget for the selected date
+//   network - any HH:MM in a response mentioning the date (also picks up
+//             opening hours and timestamps, so it needs backing up)
+const SOURCE_CONFIDENCE = {
+  api: 0.95,
+  json: 0.7,
+  dom: 0.6,
+  network: 0.4
+};
+
+// Confidence of a slot found by several extractors: the chance that not all
+// of them are wrong, treating each as independent
+function combinedConfidence(sources) {
+  if (sources.length === 0) return null;
+  return Math.round((1 - sources.reduce((doubt, source) => doubt * (1 - (SOURCE_CONFIDENCE[source] || 0)), 1)) * 100) / 100;
+}
+
+// Whether a time falls after midnight but before the service day turns over
+function isAfterMidnight(time) {
+  return time < SERVICE_DAY_START;
+}
+
+// The service date for a calendar date and time, e.g. 2026-11-15 00:30 -> 2026-11-14
+function serviceDate(calendarDate, time) {
+  if (!isAfterMidnight(time)) return calendarDate;
+  const [year, month, day] = calendarDate.split('-').map(Number);
+  const previous = new Date(Date.UTC(year, month - 1, day - 1));
+  return previous.toISOString().slice(0, 10);
+}
+
+// Build a Slot, filling unknown details with null
+function createSlot({ date, time, partySize, shift = null, area = null, durationMinutes = null, depositRequired = null, source = null }) {
+  return {
+    date,
+    time,
+    partySize: partySize !== undefined && partySize !== null ? parseInt(partySize, 10) : null,
+    shift: shift || null,
+    area: area || null,
+    durationMinutes: durationMinutes !== null && durationMinutes !== undefined ? Number(durationMinutes) : null,
+    depositRequired: typeof depositRequired === 'boolean' ? depositRequired : null,
+    source,
+    sources: source ? [source] : [],
+    confidence: source ? combinedConfidence([source]) : null
+  };
+}
+
+// Dedup key - one notification per date, party size and time
+function slotKey(slot) {
+  return `${slot.date}_${slot.partySize}_${slot.time}`;
+}
+
+// The same table for any party size: date, time and seating area. A watch
+// with several party sizes is notified once per table.
+function tableKey(slot) {
+  return `${slot.date}_${slot.time}_${slot.area || ''}`;
+}
+
+// Merge slots that share a key. Each field is taken from the most trusted
+// extractor that knows it, and the slot keeps every extractor that found it
+// with their combined confidence.
+function mergeSlots(slots) {
+  const merged = new Map();
+  const trust = slot => SOURCE_CONFIDENCE[slot.source] || 0;
+
+  for (const slot of [...slots].sort((a, b) => trust(b) - trust(a))) {
+    const key = slotKey(slot);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...slot, sources: [...(slot.sources || [])] });
+      continue;
+    }
+
+    for (const field of ['shift', 'area', 'durationMinutes', 'depositRequired']) {
+      if (existing[field] === null && slot[field] !== null) {
+        existing[field] = slot[field];
+      }
+    }
+    for (const source of slot.sources || []) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+    }
+    existing.confidence = combinedConfidence(existing.sources);
+  }
+
+  // Order by service date, party size, then time of the service (after-midnight times last)
+  const order = slot => `${slot.date}_${slot.partySize}_${isAfterMidnight(slot.time) ? 1 : 0}${slot.time}`;
+  return Array.from(merged.values()).sort((a, b) => order(a).localeCompare(order(b)));
+}
+
+// Human-readable description, e.g. "19:30 Bar Seating, 90 min, deposit required"
+function describeSlot(slot) {
+  const details = [];
+  if (slot.durationMinutes) details.push(`${slot.durationMinutes} min`);
+  if (slot.depositRequired === true) details.push('deposit required');
+
+  const time = isAfterMidnight(slot.time) ? `${slot.time} (after midnight)` : slot.time;
+  const label = [time, slot.area || slot.shift].filter(Boolean).join(' ');
+  return [label, ...details].join(', ');
+}
+
+// Where a slot came from, e.g. "api+network, 97%"
+function describeSlotSource(slot) {
+  if (!slot.sources || slot.sources.length === 0) return 'unknown source';
+  return `${slot.sources.join('+')}${slot.confidence !== null ? `, ${Math.round(slot.confidence * 100)}%` : ''}`;
+}
+
+module.exports = {
+  SERVICE_DAY_START,
+  SOURCE_CONFIDENCE,
+  combinedConfidence,
+  isAfterMidnight,
+  serviceDate,
+  createSlot,
+  slotKey,
+  tableKey,
+  mergeSlots,
+  describeSlot,
+  describeSlotSource
+};
@@ -0,0 +1,44 @@
+const fetch = require('node-fetch');
+
+// State kept as a file in a (secret) GitHub gist, so dedup survives ephemeral
+// CI runners. The token needs the "gist" scope.
+function createGistBackend({ gistId, token, fileName = 'sevenrooms-state.json', apiUrl = 'https://api.github.com' }) {
+  const url = `${apiUrl.replace(/\/$/, '')}/gists/${gistId}`;
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'Authorization': `Bearer ${token}`,
+    'User-Agent': 'sevenrooms-table-bot'
+  };
+
+  return {
+    name: `gist (${gistId})`,
+
+    async read() {
+      const response = await fetch(url, { headers });
+      if (!response.ok) {
+        throw new Error(`GitHub gist API returned HTTP ${response.status}`);
+      }
+
+      const gist = await response.json();
+      const file = gist.files && gist.files[fileName];
+      if (!file) return null;
+
+      // Large files are truncated in the gist response and must be fetched separately
+      const content = file.truncated ? await (await fetch(file.raw_url, { headers })).text() : file.content;
+      return JSON.parse(content);
+    },
+
+    async write(state) {
+      const response = await fetch(url, {
+        method: 'PATCH',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files: { [fileName]: { content: JSON.stringify(state, null, 2) } } })
+      });
+      if (!response.ok) {
+        throw new Error(`GitHub gist API returned HTTP ${response.status}`);
+      }
+    }
+  };
+}
+
+module.exports = { createGistBackend };
@@ -0,0 +1,246 @@
+const path = require('path');
+const { createSlot, slotKey, tableKey } = require('../slot');
+const { createJsonBackend } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+const { createGistBackend } = require('./gist');
+const { logger } = require('../logger');
+
+const STATE_VERSION = 2;
+
+// State layout (version 2):
+//   {
+//     version: 2,
+//     watches: {
+//       [watchId]: {                       // one namespace per watch
+//         slots: {
+//           [slotKey]: { ...Slot, firstSeen, lastSeen, goneAt, reappearedAt, notifiedAt, notifiedTo }
+//         },
+//         bookings: { [slotKey]: { status, message, at } },
+//         selectors: { version, matched: { [name]: selector }, checkedAt },  // last widget check
+//         broken: { step, message, since, diagnostics }    // while a widget step keeps failing
+//       }
+//     }
+//   }
+// Timestamps are ISO strings; goneAt is set while a slot is missing from the widget.
+// notifiedAt is the last notification through the global notifiers, and
+// notifiedTo { [subscriberId]: timestamp } the last one to each subscriber.
+// selectors and broken are only there once a check has gone through the widget.
+
+function emptyState() {
+  return { version: STATE_VERSION, watches: {} };
+}
+
+// The namespace for one watch, created on first use
+function getNamespace(state, watchId) {
+  if (!state.watches[watchId]) {
+    state.watches[watchId] = { slots: {}, bookings: {} };
+  }
+  const namespace = state.watches[watchId];
+  namespace.slots = namespace.slots || {};
+  namespace.bookings = namespace.bookings || {};
+  return namespace;
+}
+
+// Bring older state files up to the current layout:
+//   v0 - flat { notifiedTimes: ["DATE_HH:MM"] } for the single env-configured watch
+//   v1 - { watches: { id: { notifiedTimes: ["DATE_SIZE_HH:MM"] } } } or
+//        { watches: { id: { notifiedSlots: { key: Slot & { notifiedAt } }, bookings } } }
+function migrateState(raw, { legacyWatchId = 'default', legacyPartySize = null } = {}) {
+  if (!raw) return emptyState();
+  if (raw.version === STATE_VERSION) {
+    return { version: STATE_VERSION, watches: raw.watches || {} };
+  }
+
+  const state = emptyState();
+  const addNotified = (namespace, slot, notifiedAt) => {
+    namespace.slots[slotKey(slot)] = {
+      ...slot,
+      firstSeen: notifiedAt,
+      lastSeen: notifiedAt,
+      goneAt: null,
+      reappearedAt: null,
+      notifiedAt
+    };
+  };
+
+  for (const [watchId, watchState] of Object.entries(raw.watches || {})) {
+    const namespace = getNamespace(state, watchId);
+    namespace.bookings = { ...(watchState.bookings || {}) };
+    Object.values(watchState.notifiedSlots || {}).forEach(({ notifiedAt, ...slot }) => {
+      addNotified(namespace, slot, notifiedAt || new Date().toISOString());
+    });
+    (watchState.notifiedTimes || []).forEach(key => {
+      const [date, partySize, time] = key.split('_');
+      addNotified(namespace, createSlot({ date, time, partySize }), new Date().toISOString());
+    });
+  }
+
+  if (Array.isArray(raw.notifiedTimes) && legacyWatchId) {
+    const namespace = getNamespace(state, legacyWatchId);
+    const now = new Date().toISOString();
+    raw.notifiedTimes.forEach(key => {
+      const [date, time] = key.split('_');
+      addNotified(namespace, createSlot({ date, time, partySize: legacyPartySize }), now);
+    });
+  }
+
+  return state;
+}
+
+// Record the result of checking one date / party size: slots that are present
+// get lastSeen (and reappearedAt if they had gone), slots that were seen before
+// for the same date and party size but are now missing get goneAt. Returns the
+// entries that went missing with this check.
+function recordCheck(namespace, target, slots, now = new Date()) {
+  const timestamp = now.toISOString();
+  const presentKeys = new Set();
+  const gone = [];
+
+  for (const slot of slots) {
+    const key = slotKey(slot);
+    presentKeys.add(key);
+    const entry = namespace.slots[key];
+
+    if (!entry) {
+      namespace.slots[key] = { ...slot, firstSeen: timestamp, lastSeen: timestamp, goneAt: null, reappearedAt: null, notifiedAt: null };
+      continue;
+    }
+
+    Object.assign(entry, slot, { lastSeen: timestamp });
+    if (entry.goneAt) {
+      entry.goneAt = null;
+      entry.reappearedAt = timestamp;
+    }
+  }
+
+  for (const [key, entry] of Object.entries(namespace.slots)) {
+    if (entry.date === target.date && entry.partySize === target.partySize && !presentKeys.has(key) && !entry.goneAt) {
+      entry.goneAt = timestamp;
+      gone.push(entry);
+    }
+  }
+  return gone;
+}
+
+// When a slot entry was last notified: to `subscriber` when given, otherwise
+// through the global notifiers. Null when never.
+function lastNotifiedAt(entry, subscriber = null) {
+  if (!entry) return null;
+  return (subscriber ? (entry.notifiedTo || {})[subscriber] : entry.notifiedAt) || null;
+}
+
+// Whether a slot should (still) be notified (to `subscriber`, when given): never
+// notified, or it dropped and came back after the last notification and the
+// cooldown has passed since then
+function shouldNotify(namespace, slot, cooldownMs, now = new Date(), subscriber = null) {
+  const entry = namespace.slots[slotKey(slot)];
+  const notifiedAt = lastNotifiedAt(entry, subscriber);
+  if (!notifiedAt) return true;
+  if (!entry.reappearedAt || entry.reappearedAt <= notifiedAt) return false;
+  return now.getTime() - new Date(notifiedAt).getTime() >= cooldownMs;
+}
+
+// The entry for the same table notified (to `subscriber`, when given) at another
+// of `partySizes` and still there, or null: a table that fits 4, 5 and 6 people
+// is notified once
+function notifiedAtOtherSize(namespace, slot, partySizes, subscriber = null) {
+  const key = tableKey(slot);
+  return Object.values(namespace.slots).find(entry =>
+    entry.partySize !== slot.partySize &&
+    partySizes.includes(entry.partySize) &&
+    lastNotifiedAt(entry, subscriber) && !entry.goneAt &&
+    tableKey(entry) === key
+  ) || null;
+}
+
+// Remember that a slot has been notified (to `subscriber`, when given)
+function markNotified(namespace, slot, now = new Date(), subscriber = null) {
+  const key = slotKey(slot);
+  if (!namespace.slots[key]) {
+    recordCheck(namespace, slot, [slot], now);
+  }
+  const entry = namespace.slots[key];
+  if (subscriber) {
+    entry.notifiedTo = { ...entry.notifiedTo, [subscriber]: now.toISOString() };
+  } else {
+    entry.notifiedAt = now.toISOString();
+  }
+}
+
+// Drop slots and bookings for dates before `today` (YYYY-MM-DD)
+function prunePastDates(state, today) {
+  let pruned = 0;
+  for (const namespace of Object.values(state.watches)) {
+    for (const collection of [namespace.slots || {}, namespace.bookings || {}]) {
+      for (const key of Object.keys(collection)) {
+        if (key.slice(0, 10) < today) {
+          delete collection[key];
+          pruned++;
+        }
+      }
+    }
+  }
+  return pruned;
+}
+
+// Pick the backend from STATE_BACKEND (json | sqlite | gist)
+function createStateBackend(env, baseDir) {
+  const backend = (env.STATE_BACKEND || 'json').toLowerCase();
+
+  switch (backend) {
+    case 'json':
+      return createJsonBackend({ file: path.resolve(baseDir, env.STATE_FILE || 'state.json') });
+    case 'sqlite':
+      return createSqliteBackend({ file: path.resolve(baseDir, env.STATE_FILE || 'state.db') });
+    case 'gist':
+      if (!env.STATE_GIST_ID || !env.GITHUB_TOKEN) {
+        throw new Error('STATE_BACKEND=gist needs STATE_GIST_ID and GITHUB_TOKEN');
+      }
+      return createGistBackend({ gistId: env.STATE_GIST_ID, token: env.GITHUB_TOKEN, apiUrl: env.GITHUB_API_URL });
+    default:
+      throw new Error(`STATE_BACKEND must be one of json, sqlite, gist (got "${backend}")`);
+  }
+}
+
+// Load / save state through a backend. A missing state (the backend's read
+// resolves with null) starts fresh. Any other failure - a corrupt file, a gist
+// API error, a network blip - fails the load: starting fresh would save an
+// empty state over the real one and notify every slot again.
+function createStateStore(backend, migrateOptions) {
+  return {
+    backend,
+
+    async load() {
+      let raw;
+      try {
+        raw = await backend.read();
+      } catch (error) {
+        throw new Error(`Could not load state from ${backend.name}: ${error.message} (nothing was checked or saved)`);
+      }
+      return migrateState(raw, migrateOptions);
+    },
+
+    async save(state) {
+      try {
+        await backend.write(state);
+      } catch (error) {
+        logger.error(`❌ Failed to save state to ${backend.name}: ${error.message}`);
+      }
+    }
+  };
+}
+
+module.exports = {
+  STATE_VERSION,
+  emptyState,
+  getNamespace,
+  migrateState,
+  recordCheck,
+  lastNotifiedAt,
+  shouldNotify,
+  notifiedAtOtherSize,
+  markNotified,
+  prunePastDates,
+  createStateBackend,
+  createStateStore
+};
@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+// State kept in a local JSON file (default state.json next to check.js)
+function createJsonBackend({ file }) {
+  return {
+    name: `json (${file})`,
+
+    async read() {
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+
+    // Write to a temp file and rename, so a crash never leaves half a state file
+    async write(state) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpFile, file);
+    }
+  };
+}
+
+module.exports = { createJsonBackend };
@@ -0,0 +1,59 @@
+// State kept in SQLite, one row per watch namespace. Needs the optional
+// better-sqlite3 dependency.
+function createSqliteBackend({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STATE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watch_state (
+      watch_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  return {
+    name: `sqlite (${file})`,
+
+    async read() {
+      const rows = db.prepare('SELECT watch_id, data FROM watch_state').all();
+      const version = db.prepare('SELECT value FROM meta WHERE key = ?').get('version');
+      if (rows.length === 0 && !version) return null;
+
+      const watches = {};
+      rows.forEach(row => {
+        watches[row.watch_id] = JSON.parse(row.data);
+      });
+      return { version: version ? Number(version.value) : undefined, watches };
+    },
+
+    async write(state) {
+      const now = new Date().toISOString();
+      const upsert = db.prepare(`
+        INSERT INTO watch_state (watch_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(watch_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `);
+      const remove = db.prepare('DELETE FROM watch_state WHERE watch_id = ?');
+      const existingIds = db.prepare('SELECT watch_id FROM watch_state').all().map(row => row.watch_id);
+
+      db.transaction(() => {
+        for (const [watchId, namespace] of Object.entries(state.watches)) {
+          upsert.run(watchId, JSON.stringify(namespace), now);
+        }
+        existingIds.filter(id => !state.watches[id]).forEach(id => remove.run(id));
+        db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('version', String(state.version));
+      })();
+    }
+  };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,87 @@
+const { loadNotifierConfigs, validateNotifierConfigs, createNotifiers } = require('./notifiers');
+
+// Subscribers: people with their own notifiers who pick the watches they hear
+// about, from the watch list's `subscribers` section:
+//   subscribers:
+//     - id: alex
+//       notifiers: [{ type: pushover, userKey: ... }]
+//       watches: [gloria-weekend, birthday-dinner]
+// A watch with subscribers is checked once per run and notifies each of them,
+// each deduplicated on its own; a watch without any keeps using the global
+// notifiers. Notifier options a subscriber leaves out come from the environment
+// as for the global ones, so a team can share PUSHOVER_APP_TOKEN and set only
+// its own userKey.
+
+// Normalize one raw `subscribers` entry. `watches` takes a list of watch ids or
+// a comma-separated string.
+function normalizeSubscriber(raw) {
+  const watches = typeof raw.watches === 'string' ? raw.watches.split(',') : raw.watches || [];
+  return {
+    id: raw.id === undefined || raw.id === null ? '' : String(raw.id).trim(),
+    notifiers: Array.isArray(raw.notifiers) ? raw.notifiers : [],
+    watches: watches.map(id => String(id).trim()).filter(Boolean)
+  };
+}
+
+// Each subscriber's notifier configs, with options they leave out filled from `env`
+function subscriberConfigs(env, subscribers) {
+  return subscribers.map(subscriber => ({
+    ...subscriber,
+    // No fallback to NOTIFIERS here: that would send to whoever the global notifiers reach
+    notifiers: subscriber.notifiers.length > 0 ? loadNotifierConfigs(env, subscriber.notifiers) : []
+  }));
+}
+
+// Missing or repeated ids, unknown watch ids and incomplete notifiers, one
+// { key, message, fix } per problem
+function validateSubscribers(subscribers, watches) {
+  const problems = [];
+  const watchIds = new Set(watches.map(watch => watch.id));
+  const seen = new Set();
+
+  subscribers.forEach((subscriber, index) => {
+    const key = `subscribers[${index}]`;
+    if (!subscriber.id) {
+      problems.push({ key, message: 'Subscriber has no id', fix: 'give it an id, e.g. id: alex (its notifications are deduplicated under it)' });
+      return;
+    }
+    if (seen.has(subscriber.id)) {
+      problems.push({ key, message: `Subscriber id "${subscriber.id}" is used more than once`, fix: 'give every subscriber its own id' });
+    }
+    seen.add(subscriber.id);
+
+    if (subscriber.notifiers.length === 0) {
+      problems.push({ key, message: `Subscriber "${subscriber.id}" has no notifiers`, fix: 'add a notifiers list, e.g. [{ type: pushover, userKey: ... }]' });
+    } else {
+      validateNotifierConfigs(subscriber.notifiers)
+        .forEach(problem => problems.push({ ...problem, message: `[subscriber ${subscriber.id}] ${problem.message}` }));
+    }
+
+    if (subscriber.watches.length === 0) {
+      problems.push({ key, message: `Subscriber "${subscriber.id}" has no watches`, fix: 'list the ids of the watches it should hear about' });
+    }
+    subscriber.watches
+      .filter(id => !watchIds.has(id))
+      .forEach(id => problems.push({ key, message: `Subscriber "${subscriber.id}" lists unknown watch "${id}"`, fix: `use one of ${Array.from(watchIds).join(', ') || 'the watch ids'}` }));
+  });
+
+  return problems;
+}
+
+// { id, watches, notifiers } with each subscriber's notifiers created
+function createSubscribers(configs) {
+  return configs.map(({ id, watches, notifiers }) => ({ id, watches, notifiers: createNotifiers(notifiers) }));
+}
+
+// The subscribers of a watch, in watch-list order
+function subscribersOf(subscribers, watchId) {
+  return subscribers.filter(subscriber => subscriber.watches.includes(watchId));
+}
+
+module.exports = {
+  normalizeSubscriber,
+  subscriberConfigs,
+  validateSubscribers,
+  createSubscribers,
+  subscribersOf
+};
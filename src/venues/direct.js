@@ -0,0 +1,37 @@
+const { anyOf } = require('./locators');
+const { ADAPTER_SELECTORS } = require('./selectors');
+const { logger } = require('../logger');
+
+// A SevenRooms booking page, e.g. https://www.sevenrooms.com/reservations/<venue>:
+// the page is the widget
+function matches(url) {
+  try {
+    return new URL(url).hostname.endsWith('sevenrooms.com');
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wait for the widget's date button to show on the page
+async function openWidget(page, selectors) {
+  logger.log('⏳ Waiting for the booking widget...');
+  try {
+    await anyOf(page, selectors.dateButton).first().waitFor({ state: 'visible', timeout: 20000 });
+  } catch (error) {
+    throw new Error('Booking widget did not show on the page');
+  }
+  logger.log('✅ Booking widget ready');
+  return page;
+}
+
+async function findWidget(page) {
+  return page;
+}
+
+module.exports = {
+  type: 'direct',
+  selectors: ADAPTER_SELECTORS.direct,
+  matches,
+  openWidget,
+  findWidget
+};
@@ -0,0 +1,88 @@
+const { anyOf, visibleSelector } = require('./locators');
+const { ADAPTER_SELECTORS } = require('./selectors');
+const { logger } = require('../logger');
+
+// A restaurant's own site with the SevenRooms widget in an iframe, either on
+// the page already or opened by a "Book a table" button
+
+// Everything on a restaurant site might be the booking widget
+function matches() {
+  return true;
+}
+
+// Click the first visible booking button; false when there is none (the
+// widget may already be on the page)
+async function clickBookButton(page, selectors, matched) {
+  logger.log('🔘 Clicking the booking button...');
+  for (const selector of selectors.bookButton) {
+    try {
+      const bookButton = page.locator(selector).first();
+      if (await bookButton.isVisible({ timeout: 3000 })) {
+        // Links may open the widget as an overlay on the same page
+        await bookButton.click();
+        matched.bookButton = selector;
+        logger.log('✅ Clicked booking button');
+        await page.waitForTimeout(5000);
+        return true;
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+
+  logger.log('⚠️  Could not find a booking button, looking for the widget anyway...');
+  return false;
+}
+
+// Open the widget and wait for its iframe to load. Throws if no iframe appears.
+async function openWidget(page, selectors, matched = {}) {
+  await clickBookButton(page, selectors, matched);
+
+  logger.log('⏳ Waiting for the booking widget iframe to appear...');
+  let iframeElement = null;
+  try {
+    iframeElement = await anyOf(page, selectors.iframe).first().elementHandle({ timeout: 20000 });
+    matched.iframe = await visibleSelector(page, selectors.iframe);
+    logger.log('✅ Iframe element found');
+  } catch (error) {
+    logger.log('⚠️  No iframe matched the widget selectors, trying any iframe...');
+    try {
+      iframeElement = await page.waitForSelector('iframe', { timeout: 10000 });
+      const src = await iframeElement.getAttribute('src');
+      matched.iframe = 'iframe';
+      logger.log(`   Found iframe with src: ${src?.substring(0, 80)}`);
+    } catch (e) {
+      throw new Error('No iframe found at all');
+    }
+  }
+
+  // Give the widget's app time to render
+  await page.waitForTimeout(8000);
+
+  const iframe = await iframeElement.contentFrame();
+  if (!iframe) {
+    throw new Error('Could not get the iframe content frame');
+  }
+  logger.log('✅ Got iframe content frame');
+  await iframe.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+  await page.waitForTimeout(5000);
+  return iframe;
+}
+
+// The widget iframe's frame as it is now, or null
+async function findWidget(page, selectors) {
+  for (const selector of selectors.iframe) {
+    const element = await page.$(selector).catch(() => null);
+    const frame = element && await element.contentFrame();
+    if (frame) return frame;
+  }
+  return null;
+}
+
+module.exports = {
+  type: 'embedded',
+  selectors: ADAPTER_SELECTORS.embedded,
+  matches,
+  openWidget,
+  findWidget
+};
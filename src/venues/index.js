@@ -0,0 +1,56 @@
+const { fillSelectors, anyOf, visibleSelector } = require('./locators');
+const { SELECTORS_VERSION, WIDGET_SELECTORS, BOOKING_SELECTORS } = require('./selectors');
+
+// Every venue adapter knows how to get from a booking URL to the SevenRooms
+// widget, and exposes:
+//   type       - name used in config (`adapter` on a watch, VENUE_ADAPTER)
+//   matches    - whether it suits a booking URL when no adapter is set
+//   selectors  - default selectors for the parts of the page only it uses
+//                (from ADAPTER_SELECTORS in ./selectors)
+//   openWidget - from the loaded booking page, resolves with the page or
+//                frame the widget lives in; throws if it never shows. Notes
+//                the selectors that matched in its `matched` argument.
+//   findWidget - the widget's page or frame as it is now (e.g. after the
+//                iframe reloaded), or null
+// `direct` is picked for sevenrooms.com URLs and `embedded` for everything else.
+const ADAPTERS = {
+  direct: require('./direct'),
+  embedded: require('./embedded')
+};
+
+// Every selector name a watch can override
+const SELECTOR_NAMES = Array.from(new Set([
+  ...Object.values(ADAPTERS).flatMap(adapter => Object.keys(adapter.selectors)),
+  ...Object.keys(WIDGET_SELECTORS)
+]));
+
+// The adapter for a watch: its `adapter` setting, or the first that suits its URL
+function adapterFor(watch) {
+  if (watch.adapter && ADAPTERS[watch.adapter]) return ADAPTERS[watch.adapter];
+  return ADAPTERS.direct.matches(watch.url) ? ADAPTERS.direct : ADAPTERS.embedded;
+}
+
+// Selectors for a watch, by name: its own `selectors` (a string or a list)
+// first, then the adapter's and the widget's defaults
+function venueSelectors(watch) {
+  const defaults = { ...WIDGET_SELECTORS, ...adapterFor(watch).selectors };
+  const custom = watch.selectors || {};
+  const selectors = {};
+  for (const name of Object.keys(defaults)) {
+    selectors[name] = [...[].concat(custom[name] || []), ...defaults[name]];
+  }
+  return selectors;
+}
+
+module.exports = {
+  ADAPTERS,
+  SELECTORS_VERSION,
+  WIDGET_SELECTORS,
+  BOOKING_SELECTORS,
+  SELECTOR_NAMES,
+  adapterFor,
+  venueSelectors,
+  fillSelectors,
+  anyOf,
+  visibleSelector
+};
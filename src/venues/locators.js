@@ -0,0 +1,24 @@
+// Fill {placeholders} in a list of selectors, e.g. { day: 14, monthShort: 'Nov' }
+function fillSelectors(selectors, values) {
+  return selectors.map(selector => selector.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+// One locator matching any of the selectors inside a page or frame
+function anyOf(root, selectors) {
+  return selectors.map(selector => root.locator(selector)).reduce((either, locator) => either.or(locator));
+}
+
+// The first of the selectors with a visible match inside a page or frame, or null
+async function visibleSelector(root, selectors) {
+  for (const selector of selectors) {
+    if (await root.locator(selector).first().isVisible().catch(() => false)) return selector;
+  }
+  return null;
+}
+
+module.exports = {
+  fillSelectors,
+  anyOf,
+  visibleSelector
+};
@@ -0,0 +1,153 @@
+// Every selector the bot looks for in a booking page, by name, tried in order.
+// Bump SELECTORS_VERSION whenever a default changes: each check records the
+// version and which selector matched at every step, so a widget change shows
+// up as a step that stops matching or falls through to a different selector.
+const SELECTORS_VERSION = 2;
+
+// The SevenRooms widget itself, wherever it is shown. Selectors may use
+// {day}, {month} (November), {monthShort} (Nov), {year}, {date} (YYYY-MM-DD)
+// and {partySize}, filled in with fillSelectors.
+const WIDGET_SELECTORS = {
+  dateButton: ['[data-test="sr-reservation-date"]'],
+  nextMonth: ['button[aria-label*="next" i]', 'button:has-text(">")', 'button:has-text("›")'],
+  previousMonth: ['button[aria-label*="previous" i]', 'button:has-text("<")', 'button:has-text("‹")'],
+  // The heading naming the month the calendar shows, e.g. "November 2026".
+  // Without one, the month is read from the day buttons' labels.
+  calendarMonth: [
+    '[id*="month" i]',
+    '[class*="month" i][class*="label" i]',
+    '[class*="caption" i]',
+    '[class*="month" i]',
+    '[aria-live]',
+    '[role="heading"]',
+    'h2',
+    'h3'
+  ],
+  day: [
+    'button[aria-label*="Date {day} {monthShort}" i]',
+    'button[aria-label*="Date {day} {month}" i]',
+    'button[aria-label*="{day} {monthShort}" i]',
+    'button[aria-label*="{day} {month}" i]',
+    'button:has-text("{day}")',
+    '[aria-label*="{day}" i]',
+    '[data-date*="{date}"]'
+  ],
+  partySize: [
+    'select[name*="party" i]',
+    'select[name*="guest" i]',
+    'select[name*="people" i]',
+    'input[name*="party" i]',
+    'input[name*="guest" i]',
+    'input[name*="people" i]',
+    'input[type="number"]',
+    '[data-testid*="party"]',
+    '[data-testid*="guest"]',
+    '[id*="party"]',
+    '[id*="guest"]',
+    '[class*="party"]',
+    '[class*="guest"]',
+    '[class*="Guest"]',
+    'button:has-text("{partySize}")',
+    '[aria-label*="party" i]',
+    '[aria-label*="guest" i]',
+    'label:has-text("Guest")',
+    'div:has-text("Guests")'
+  ],
+  // A +/- stepper, for widgets without a party size field
+  partySizeIncrement: [
+    'button[aria-label*="increase" i]',
+    'button[aria-label*="increment" i]',
+    'button[aria-label*="+" i]',
+    'button:has-text("+")',
+    '[class*="increment"]',
+    '[class*="increase"]'
+  ],
+  partySizeDecrement: [
+    'button[aria-label*="decrease" i]',
+    'button[aria-label*="decrement" i]',
+    'button[aria-label*="-" i]',
+    'button:has-text("-")',
+    '[class*="decrement"]',
+    '[class*="decrease"]'
+  ],
+  partySizeValue: [
+    'input[type="number"]',
+    '[class*="party"]',
+    '[class*="guest"]',
+    '[class*="value"]',
+    '[data-value]'
+  ],
+  timeSlot: [
+    '[data-time]',
+    '[class*="time-slot"]',
+    '[class*="available-time"]',
+    'button[aria-label*="time"]',
+    '[class*="slot"]:not([class*="other"])',
+    '[class*="availability"]:not([class*="other"])'
+  ],
+  noAvailability: [
+    ':has-text("no availability")',
+    ':has-text("Unfortunately there is no availability")',
+    ':has-text("no availability at the selected time")',
+    // Not [class*="unavailable"]: the calendar marks its unavailable days that way
+    '[class*="no-availability"]'
+  ]
+};
+
+// Selectors for the parts of a page only one venue adapter uses
+const ADAPTER_SELECTORS = {
+  direct: {},
+  embedded: {
+    bookButton: [
+      'a:has-text("BOOK A TABLE")',
+      'button:has-text("BOOK A TABLE")',
+      'a[href*="sevenrooms"]',
+      'a[href*="reservations"]',
+      '[class*="book"]',
+      'a:has-text("Book")',
+      'button:has-text("Book")'
+    ],
+    iframe: [
+      'iframe[src*="sevenrooms"]',
+      'iframe[src*="reservations"]',
+      'iframe[title*="Reservation" i]',
+      'iframe[src*="widget"]'
+    ]
+  }
+};
+
+// Auto-booking's checkout screens. {label} is a slot time as the widget may
+// show it: "19:30", "7:30 PM" or "7:30PM".
+const BOOKING_SELECTORS = {
+  slotButton: [
+    '[data-test*="timeslot" i]:has-text("{label}")',
+    'button:has-text("{label}")',
+    '[role="button"]:has-text("{label}")'
+  ],
+  firstName: ['input[name="first_name"]', 'input[name*="first" i]', 'input[autocomplete="given-name"]', 'input[placeholder*="first name" i]'],
+  lastName: ['input[name="last_name"]', 'input[name*="last" i]', 'input[autocomplete="family-name"]', 'input[placeholder*="last name" i]'],
+  email: ['input[type="email"]', 'input[name*="email" i]', 'input[autocomplete="email"]'],
+  phone: ['input[type="tel"]', 'input[name*="phone" i]', 'input[autocomplete="tel"]'],
+  notes: ['textarea[name*="note" i]', 'textarea[name*="request" i]', 'textarea'],
+  card: [
+    'iframe[src*="stripe"]',
+    'iframe[name*="card" i]',
+    'input[name*="card" i]',
+    'input[autocomplete="cc-number"]',
+    ':text("credit card")'
+  ],
+  submit: [
+    'button[data-test*="submit" i]',
+    'button:has-text("Complete reservation")',
+    'button:has-text("Submit")',
+    'button:has-text("Confirm")',
+    'button[type="submit"]'
+  ]
+};
+
+module.exports = {
+  SELECTORS_VERSION,
+  WIDGET_SELECTORS,
+  ADAPTER_SELECTORS,
+  BOOKING_SELECTORS
+};
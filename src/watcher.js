@@ -0,0 +1,274 @@
+const { EventEmitter } = require('events');
+const check = require('../check');
+const { runDaemon } = require('./daemon');
+const { describeDates } = require('./dates');
+const { describeWindow } = require('./window');
+const { slotKey } = require('./slot');
+const { widgetErrorOf } = require('./diagnostics');
+const { serverOptionsFromEnv, startStatusServer } = require('./server');
+const { chatConfigsFromEnv, createChats, runChat } = require('./chat');
+const { withLogger } = require('./logger');
+
+// The bot as a library. A watcher checks its watches once or on an interval
+// and reports what it finds as events:
+//   slot:found (slot, watch)            - a slot in a window that is new (or came back): what a notification goes out for
+//   slot:gone  (slot, watch)            - a slot seen before that has disappeared
+//   error      (error, { watch, target }) - a check that failed after all retries (only emitted when listened to)
+//   check      ({ results, failures })  - after every run, as checkAvailability() resolves it
+// Notifiers, state, history and auto-booking work as they do for the CLI.
+// Each watcher has its own settings, browser and logger, so several can run
+// side by side in one process (give them their own state files).
+
+// Plain-data form of a run, as `--json` and POST /check show it
+function summarizeRun({ results, failures }, dryRun) {
+  return {
+    ok: failures.length === 0,
+    dryRun,
+    checkedAt: new Date().toISOString(),
+    results,
+    // brokenStep is the widget step that found nothing, when that is why a check failed
+    failures: failures.map(({ watchId, target, error }) => ({ watchId, ...target, error: error.message, brokenStep: widgetErrorOf(error)?.step || null }))
+  };
+}
+
+// Create a watcher. `config`:
+//   settings      - settings by environment variable name, e.g. { PUSHOVER_USER_KEY, CHECK_MODE: 'api' }
+//                   (pass process.env to use the environment)
+//   watches       - watch-list entries as in watchlist.yml; without them the watch-list file
+//                   or the single BOOKING_URL / DATE / PARTY_SIZE watch from `settings`
+//   notifiers     - notifier entries as in watchlist.yml, used with `watches`
+//   subscribers   - subscriber entries as in watchlist.yml (see src/subscribers.js), used with `watches`
+//   watchlistFile - a watch-list file to use instead (null: ignore any)
+//   baseDir       - where relative paths (state, history, watch list) resolve (default the working directory)
+//   dryRun        - send, book and save nothing
+//   logger        - where logs go instead of the console (see src/logger.js)
+// Throws ConfigError listing every problem with the configuration.
+function createWatcher(config = {}) {
+  const { settings = {}, watches, notifiers = [], subscribers = [], watchlistFile, baseDir = process.cwd(), dryRun = false, logger = console } = config;
+  // What this watcher logs goes to its logger, even with others logging elsewhere
+  const logged = fn => (...args) => withLogger(logger, () => fn(...args));
+
+  const checker = logged(check.configure)(settings, {
+    baseDir,
+    dryRun,
+    ...(watches ? { watchlist: { watches, notifiers, subscribers } } : {}),
+    ...(watchlistFile !== undefined ? { watchlistFile } : {})
+  });
+
+  const watcher = new EventEmitter();
+  // Where the watcher logs; its chat commands and status server log there too
+  watcher.logger = logger;
+  const session = check.createBrowserSession(checker);
+  const startedAt = new Date().toISOString();
+  // By watch id: { lastCheckAt, lastResult, consecutiveFailures }
+  const statuses = new Map();
+  // By watch id, date and party size: what the latest check of it saw
+  const seen = new Map();
+  let lastCheckAt = null;
+  let running = null;
+  let controller = null;
+
+  // Note what a run found for each watch it checked
+  const track = run => {
+    lastCheckAt = new Date().toISOString();
+    for (const watch of check.getWatches(checker)) {
+      const results = run.results.filter(result => result.watchId === watch.id);
+      const failures = run.failures.filter(failure => failure.watchId === watch.id);
+      if (results.length === 0 && failures.length === 0) continue;
+
+      const previous = statuses.get(watch.id);
+      statuses.set(watch.id, {
+        lastCheckAt,
+        lastResult: {
+          ok: failures.length === 0,
+          results: results.map(result => ({
+            date: result.date,
+            partySize: result.partySize,
+            slots: result.slots.length,
+            inWindow: result.slotsInWindow.map(slot => slot.time),
+            notified: result.notified.map(slot => slot.time)
+          })),
+          failures: failures.map(({ target, error }) => ({ ...target, error: error.message }))
+        },
+        consecutiveFailures: failures.length > 0 ? (previous ? previous.consecutiveFailures : 0) + 1 : 0
+      });
+      results.forEach(result => seen.set(`${watch.id}_${result.date}_${result.partySize}`, { ...result, checkedAt: lastCheckAt }));
+    }
+  };
+
+  const runCheck = logged(async () => {
+    const run = await check.checkAvailability(checker, session);
+    const watchesById = new Map(check.getWatches(checker).map(watch => [watch.id, watch]));
+    track(run);
+
+    for (const result of run.results) {
+      const watch = watchesById.get(result.watchId);
+      result.notified.forEach(slot => watcher.emit('slot:found', slot, watch));
+      (result.gone || []).forEach(slot => watcher.emit('slot:gone', slot, watch));
+    }
+    if (run.failures.length > 0) {
+      check.reportFailures(checker, run.failures);
+      if (watcher.listenerCount('error') > 0) {
+        run.failures.forEach(({ watchId, target, error }) => watcher.emit('error', error, { watch: watchesById.get(watchId), target }));
+      }
+    }
+    watcher.emit('check', run);
+    return run;
+  });
+
+  // One run over every watch: resolves with { results, failures }. Called
+  // while a check is running, it resolves with that one instead.
+  watcher.check = () => {
+    if (!running) {
+      running = runCheck().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  // One run: resolves with every slot in a window, whether notified before or not
+  watcher.checkOnce = async () => {
+    const run = await watcher.check();
+    return run.results.flatMap(result => result.slotsInWindow);
+  };
+
+  // A run as plain data (see summarizeRun)
+  watcher.summarize = run => summarizeRun(run, checker.dryRun);
+
+  // Check on the interval (CHECK_INTERVAL_MINUTES, CHECK_JITTER, QUIET_HOURS)
+  // until stop(), with the status server when HTTP_PORT is set and chat
+  // commands from CHAT_COMMANDS. Resolves once stopped and the browser is
+  // closed. Signals are left to the caller: the CLI calls stop() on SIGTERM/SIGINT.
+  watcher.start = logged(async () => {
+    controller = new AbortController();
+    const serverOptions = serverOptionsFromEnv(settings);
+    const server = serverOptions && await startStatusServer(watcher, serverOptions);
+    if (server) {
+      logger.log(`🌐 Status server on http://${serverOptions.host}:${server.address().port}${serverOptions.token ? ' (token required to change watches)' : ' (read-only: set HTTP_TOKEN to change watches)'}`);
+    }
+    const chatController = new AbortController();
+    const chats = createChats(chatConfigsFromEnv(settings)).map(chat => runChat(watcher, chat, chatController.signal));
+
+    await runDaemon({
+      ...checker.daemonOptions,
+      signal: controller.signal,
+      hasUpcomingDates: () => check.hasUpcomingDates(checker),
+      runCheck: async () => {
+        logger.log(`\n🕐 Check started at ${new Date().toISOString()}`);
+        await watcher.check();
+      },
+      shutdown: async () => {
+        chatController.abort();
+        await Promise.all(chats);
+        if (server) await new Promise(resolve => server.close(resolve));
+        await session.close();
+      }
+    });
+  });
+
+  // End start()'s loop after the check in progress
+  watcher.stop = () => {
+    if (controller) controller.abort();
+  };
+
+  // Close the browser (after check / checkOnce; start() closes it when it stops)
+  watcher.close = () => session.close();
+
+  // The normalized watches being checked
+  watcher.watches = () => check.getWatches(checker);
+
+  // Add a watch-list entry, checked from the next run on. Returns the
+  // normalized watch; throws ConfigError when it isn't valid.
+  watcher.addWatch = logged(entry => check.addWatch(checker, entry));
+
+  // Remove a watch by id; returns it, or null when there is none
+  watcher.removeWatch = logged(id => {
+    const watch = check.removeWatch(checker, id);
+    if (watch) {
+      statuses.delete(id);
+      Array.from(seen.keys()).filter(key => seen.get(key).watchId === id).forEach(key => seen.delete(key));
+    }
+    return watch;
+  });
+
+  // Skip a watch in checks until resumeWatch(); returns it, or null when there is none
+  watcher.pauseWatch = logged(id => check.setWatchPaused(checker, id, true));
+
+  // Check a paused watch again from the next run on
+  watcher.resumeWatch = logged(id => check.setWatchPaused(checker, id, false));
+
+  // Send a sample notification through every notifier: resolves with
+  // { delivered, notifiers, dryRun }
+  watcher.testNotify = logged(() => check.sendTestNotification(checker));
+
+  // Hold off slot notifications until `until` (a Date), or resume them with null
+  watcher.snooze = logged(until => check.snoozeNotifications(checker, until));
+
+  // Book a slot from slots() with the watch's auto-book settings (even with
+  // auto-book off), on a check now. Resolves with the booking result
+  // ({ status, message }), or null when that check no longer saw the slot in a
+  // window. Throws ConfigError when the watch has no complete guest details.
+  watcher.book = (watchId, slot) => {
+    const booked = check.requestBooking(checker, watchId, slot);
+    const attempt = async () => {
+      try {
+        // A check already running may have passed the slot's date
+        if (running) await running;
+        await watcher.check();
+      } finally {
+        check.cancelBookingRequest(checker, watchId, slot);
+      }
+      return booked;
+    };
+    return attempt();
+  };
+
+  // The latest `limit` history records, newest first (all watches, or `watchId`'s)
+  watcher.history = ({ watchId = null, limit = 50 } = {}) => check.getHistory(checker)
+    .filter(record => !watchId || record.watchId === watchId)
+    .slice(-limit)
+    .reverse();
+
+  // What the watcher is doing: when each watch was last checked, what that
+  // found and how many runs in a row it has failed
+  watcher.status = () => ({
+    startedAt,
+    checking: Boolean(running),
+    lastCheckAt,
+    dryRun: checker.dryRun,
+    snoozedUntil: check.notificationsSnoozedUntil(checker) && check.notificationsSnoozedUntil(checker).toISOString(),
+    watches: check.getWatches(checker).map(watch => ({
+      id: watch.id,
+      url: watch.url,
+      dates: describeDates(watch),
+      partySizes: watch.partySizes,
+      windows: watch.windows.map(describeWindow),
+      paused: watch.paused,
+      subscribers: check.getSubscriberIds(checker, watch.id),
+      lastCheckAt: null,
+      lastResult: null,
+      consecutiveFailures: 0,
+      ...statuses.get(watch.id)
+    }))
+  });
+
+  // Every slot the latest check of each date and party size saw, with its
+  // watch id, when it was seen and whether it is in one of the watch's windows
+  watcher.slots = () => Array.from(seen.values()).flatMap(result => {
+    const inWindow = new Set(result.slotsInWindow.map(slotKey));
+    return result.slots.map(slot => ({
+      watchId: result.watchId,
+      ...slot,
+      inWindow: inWindow.has(slotKey(slot)),
+      checkedAt: result.checkedAt
+    }));
+  });
+
+  return watcher;
+}
+
+module.exports = {
+  summarizeRun,
+  createWatcher
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeWindow, parseWindowList } = require('./window');
+const { parseDateRules, normalizeDateRules, expandDates } = require('./dates');
+const { parsePartySizes } = require('./party');
+const { normalizeSubscriber } = require('./subscribers');
+
+// Default watch-list locations, checked in order when WATCHLIST_FILE is not set
+const DEFAULT_WATCHLIST_FILES = ['watchlist.json', 'watchlist.yml', 'watchlist.yaml'];
+
+// Parse a watch-list file (JSON or YAML, picked by extension)
+function readWatchlistFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.yml' || ext === '.yaml') {
+    const yaml = require('js-yaml');
+    // JSON schema keeps dates like 2026-11-14 as strings instead of Date objects
+    return yaml.load(content, { schema: yaml.JSON_SCHEMA });
+  }
+
+  return JSON.parse(content);
+}
+
+// Find the watch-list file to use, or null if there is none
+function findWatchlistFile(baseDir, explicitPath) {
+  if (explicitPath) {
+    return path.resolve(baseDir, explicitPath);
+  }
+
+  for (const name of DEFAULT_WATCHLIST_FILES) {
+    const candidate = path.join(baseDir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+// Derive a readable watch id from the booking URL (e.g. "gloria-osteria-com")
+function defaultWatchId(url, index) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const lastSegment = pathname.split('/').filter(Boolean).pop();
+    const base = lastSegment && hostname.includes('sevenrooms') ? lastSegment : hostname.replace(/^www\./, '');
+    return base.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  } catch (error) {
+    return `watch-${index + 1}`;
+  }
+}
+
+// The preferred party size as a number, null when not set; anything that
+// isn't a number is left as given so validation can report it
+function toPreferredPartySize(size) {
+  if (size === undefined || size === null || String(size).trim() === '') return null;
+  return Number.isNaN(Number(size)) ? size : Number(size);
+}
+
+// Normalize one raw watch-list entry
+function normalizeWatch(raw, index) {
+  const preferredPartySize = toPreferredPartySize(raw.preferredPartySize);
+  const partySizes = raw.partySizes !== undefined ? raw.partySizes : raw.partySize;
+  const windows = raw.windows || (raw.window ? [raw.window] : []);
+
+  return {
+    id: String(raw.id || defaultWatchId(raw.url, index)),
+    url: raw.url,
+    venue: raw.venue || null,
+    mode: raw.mode ? String(raw.mode).toLowerCase() : null,
+    adapter: raw.adapter ? String(raw.adapter).toLowerCase() : null,
+    selectors: raw.selectors || {},
+    timezone: raw.timezone || null,
+    ...normalizeDateRules(raw),
+    partySizes: partySizes === undefined || partySizes === null ? [] : parsePartySizes(partySizes, preferredPartySize),
+    preferredPartySize,
+    windows: windows.map(normalizeWindow),
+    autoBook: raw.autoBook || null,
+    paused: raw.paused === true
+  };
+}
+
+// Normalize a watch list: either a top-level array of watches or
+// { watches: [...], notifiers: [...], subscribers: [...], settings: { ENV_VAR: value } }
+// (see src/subscribers.js for subscribers)
+function parseWatchlist(data) {
+  const entries = Array.isArray(data) ? data : (data && data.watches) || [];
+  return {
+    watches: entries.map(normalizeWatch),
+    notifiers: (!Array.isArray(data) && data && data.notifiers) || [],
+    subscribers: ((!Array.isArray(data) && data && data.subscribers) || []).map(normalizeSubscriber),
+    settings: (!Array.isArray(data) && data && data.settings) || {}
+  };
+}
+
+// Load a watch-list file (see parseWatchlist)
+function loadWatchlist(filePath) {
+  return parseWatchlist(readWatchlistFile(filePath));
+}
+
+// VENUE_SELECTORS as an object, or the raw string for validation to report
+function parseSelectors(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return json;
+  }
+}
+
+// Build a single watch from the legacy BOOKING_URL / DATE / PARTY_SIZE env vars.
+// PARTY_SIZE takes sizes and ranges (e.g. "4-6"), and PREFERRED_PARTY_SIZE the
+// one to check first.
+// DATE takes date rules (see parseDateRules), and WINDOWS (comma-separated
+// window strings) takes precedence over WINDOW_START / WINDOW_END.
+// VENUE_ADAPTER and VENUE_SELECTORS (a JSON object) set the venue adapter, and
+// VENUE_TIMEZONE the venue's time zone.
+function watchFromEnv(env) {
+  const watch = normalizeWatch({
+    id: 'default',
+    url: env.BOOKING_URL,
+    partySize: env.PARTY_SIZE,
+    preferredPartySize: env.PREFERRED_PARTY_SIZE,
+    window: { start: env.WINDOW_START, end: env.WINDOW_END },
+    adapter: env.VENUE_ADAPTER,
+    selectors: env.VENUE_SELECTORS ? parseSelectors(env.VENUE_SELECTORS) : null,
+    timezone: env.VENUE_TIMEZONE
+  }, 0);
+  if (env.DATE) Object.assign(watch, parseDateRules(env.DATE));
+  if (env.WINDOWS) watch.windows = parseWindowList(env.WINDOWS);
+  return watch;
+}
+
+// Every (date, party size) combination a watch needs checked
+function expandTargets(watch, today) {
+  const targets = [];
+  for (const date of expandDates(watch, today)) {
+    for (const partySize of watch.partySizes) {
+      targets.push({ date, partySize });
+    }
+  }
+  return targets;
+}
+
+module.exports = {
+  findWatchlistFile,
+  parseWatchlist,
+  loadWatchlist,
+  watchFromEnv,
+  expandTargets
+};
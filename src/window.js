@@ -0,0 +1,219 @@
+const { isAfterMidnight } = require('./slot');
+
+// A Window is the normalized form of one time preference on a watch:
+//   {
+//     start: 'HH:MM',
+//     end: 'HH:MM',             // before start = runs past midnight, e.g. 22:00-01:00
+//     days: [5, 6] | null,      // weekdays of the service date (0 = Sunday), null = every day
+//     around: 'HH:MM' | null,   // set for "within N minutes of HH:MM" windows,
+//     within: 60 | null,        //   which also rank slots by how close they are
+//     spec: '...' | null        // the original string, when given as one
+//   }
+// Windows apply to the service date (see src/slot.js): the 00:30 part of a
+// Friday 22:00-01:00 window is the Friday night service.
+// Values that don't parse are kept as given so validation can report them.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6]
+};
+const MINUTES_PER_DAY = 24 * 60;
+
+// Convert time string (HH:MM) to minutes since midnight
+function timeToMinutes(timeStr) {
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes since midnight (wrapping round the clock) back to HH:MM
+function minutesToTime(minutes) {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+// Weekday number for a day name ("fri", "Friday"), or -1
+function weekdayIndex(name) {
+  return WEEKDAYS.indexOf(String(name).trim().toLowerCase().slice(0, 3));
+}
+
+// Parse days given as a list or a string like "fri/sat", "mon-thu" or
+// "weekends" into sorted weekday numbers. Returns the value unchanged if any
+// part isn't a day.
+function parseDays(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const parts = Array.isArray(value) ? value : String(value).split(/[/,+]/);
+  const days = new Set();
+
+  for (const part of parts) {
+    const name = String(part).trim().toLowerCase();
+    if (DAY_GROUPS[name]) {
+      DAY_GROUPS[name].forEach(day => days.add(day));
+      continue;
+    }
+
+    const [from, to] = name.split('-');
+    const first = weekdayIndex(from);
+    const last = to === undefined ? first : weekdayIndex(to);
+    if (first < 0 || last < 0 || !/^[a-z]{3,}$/.test(from) || (to !== undefined && !/^[a-z]{3,}$/.test(to))) return value;
+
+    // Ranges wrap round the week, so fri-sun is Friday, Saturday and Sunday
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+// Parse a window string:
+//   "19:00-21:00", "22:00-01:00"                  - a range, possibly past midnight
+//   "20:00±60", "20:00+-60", "within 60 min of 20:00" - within N minutes of a time
+// optionally after days, e.g. "fri/sat 22:00-01:00" or "weekends 12:00-15:00"
+function parseWindowString(text) {
+  const spec = text.trim();
+  const window = { start: null, end: null, days: null, around: null, within: null, spec };
+
+  let rest = spec;
+  const dayPrefix = /^([a-z][a-z/+-]*)\s+(.+)$/i.exec(spec);
+  if (dayPrefix && dayPrefix[1].toLowerCase() !== 'within') {
+    window.days = parseDays(dayPrefix[1]);
+    rest = dayPrefix[2];
+  }
+
+  const relative = /^(\S+?)\s*(?:±|\+\/-|\+-)\s*(\d+)\s*(?:m|min|mins|minutes)?$/i.exec(rest) ||
+    /^within\s+(\d+)\s*(?:m|min|mins|minutes)?\s+of\s+(\S+)$/i.exec(rest);
+  if (relative) {
+    const [around, within] = /^within/i.test(rest) ? [relative[2], relative[1]] : [relative[1], relative[2]];
+    return { ...window, around, within: Number(within) };
+  }
+
+  const range = /^([^-\s]+)\s*-\s*([^-\s]+)$/.exec(rest);
+  if (range) {
+    return { ...window, start: range[1], end: range[2] };
+  }
+
+  return window;
+}
+
+// Normalize a window string or a { start, end, days } / { around, within, days } object
+function normalizeWindow(window) {
+  if (typeof window === 'string') return parseWindowString(window);
+
+  return {
+    start: window.start !== undefined ? window.start : null,
+    end: window.end !== undefined ? window.end : null,
+    days: parseDays(window.days),
+    around: window.around !== undefined ? window.around : null,
+    within: window.within === undefined ? null : Number.isNaN(Number(window.within)) ? window.within : Number(window.within),
+    spec: null
+  };
+}
+
+// Comma-separated window strings, as given in WINDOWS or --window
+function parseWindowList(value) {
+  return String(value).split(',').map(part => part.trim()).filter(Boolean).map(parseWindowString);
+}
+
+// Start and end in minutes since midnight; end < start when the window runs past midnight
+function windowBounds(window) {
+  if (window.around) {
+    const around = timeToMinutes(window.around);
+    if (window.within * 2 >= MINUTES_PER_DAY) return { start: 0, end: MINUTES_PER_DAY - 1 };
+    return {
+      start: ((around - window.within) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY,
+      end: (around + window.within) % MINUTES_PER_DAY
+    };
+  }
+  return { start: timeToMinutes(window.start), end: timeToMinutes(window.end) };
+}
+
+// Whether a window runs past midnight
+function isOvernight(window) {
+  const { start, end } = windowBounds(window);
+  return end < start;
+}
+
+// Weekday (0 = Sunday) of a YYYY-MM-DD date
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Check if a slot falls within a window on its service date
+function isSlotInWindow(slot, window) {
+  if (window.days && !window.days.includes(weekdayOf(slot.date))) return false;
+
+  const time = timeToMinutes(slot.time);
+  const { start, end } = windowBounds(window);
+  if (start <= end) return time >= start && time <= end;
+  return time >= start || time <= end;
+}
+
+// Check if a slot falls within any of a watch's windows
+function isSlotInAnyWindow(slot, windows) {
+  return windows.some(window => isSlotInWindow(slot, window));
+}
+
+// Minutes of a time into its service day, so 00:30 sorts after 23:00
+function serviceMinutes(time) {
+  const minutes = timeToMinutes(time);
+  return isAfterMidnight(time) ? minutes + MINUTES_PER_DAY : minutes;
+}
+
+// How far a slot is from the time a matching relative window is centred on.
+// Slots only in plain ranges rank after every slot in a relative window.
+function distanceFromPreferred(slot, windows) {
+  const distances = windows
+    .filter(window => window.around && isSlotInWindow(slot, window))
+    .map(window => {
+      const difference = Math.abs(timeToMinutes(slot.time) - timeToMinutes(window.around));
+      return Math.min(difference, MINUTES_PER_DAY - difference);
+    });
+  return distances.length > 0 ? Math.min(...distances) : MINUTES_PER_DAY;
+}
+
+// The slots that fall in any of the windows, best first: closest to a
+// relative window's preferred time, then in order through the service
+function slotsInWindows(slots, windows) {
+  return slots
+    .filter(slot => isSlotInAnyWindow(slot, windows))
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      distanceFromPreferred(a, windows) - distanceFromPreferred(b, windows) ||
+      serviceMinutes(a.time) - serviceMinutes(b.time)
+    );
+}
+
+// Days as a short label, Monday first, e.g. "fri/sat/sun"
+function describeDays(days) {
+  return [...days].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => WEEKDAYS[day]).join('/');
+}
+
+// Human-readable window, e.g. "fri/sat 22:00-01:00" or "20:00±60 (19:00-21:00)"
+function describeWindow(window) {
+  const days = window.days ? `${describeDays(window.days)} ` : '';
+  if (window.around) {
+    const { start, end } = windowBounds(window);
+    return `${days}${window.around}±${window.within} (${minutesToTime(start)}-${minutesToTime(end)})`;
+  }
+  return `${days}${window.start}-${window.end}`;
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseDays,
+  normalizeWindow,
+  parseWindowList,
+  windowBounds,
+  isOvernight,
+  weekdayOf,
+  isSlotInWindow,
+  isSlotInAnyWindow,
+  slotsInWindows,
+  describeDays,
+  describeWindow
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { artifactsFromEnv, startArtifactRun, markAmbiguous, shouldKeepArtifacts, finishArtifactRun } = require('../src/artifacts');
+
+const CHECK = { watch: { id: 'default' }, target: { date: '2026-11-14', partySize: 2 } };
+
+// A run collecting artifacts under a temporary directory
+function startRun(mode) {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-artifacts-'));
+  return startArtifactRun(artifactsFromEnv({ ARTIFACTS: mode }, baseDir), new Date('2026-10-19T18:30:00Z'));
+}
+
+test('artifacts are kept for failed runs by default and can be switched off', () => {
+  assert.equal(artifactsFromEnv({}, '/bot').mode, 'failed');
+  assert.equal(artifactsFromEnv({}, '/bot').dir, path.resolve('/bot', 'artifacts'));
+  assert.equal(artifactsFromEnv({ ARTIFACTS: 'off' }, '/bot'), null);
+});
+
+test('a clean run removes its directory unless every run is kept', () => {
+  const run = startRun('failed');
+  assert.match(run.dir, /2026-10-19T18-30-00-000Z$/);
+  assert.equal(shouldKeepArtifacts(run, { failures: [] }), false);
+  finishArtifactRun(run, { results: [], failures: [] }, false);
+  assert.equal(fs.existsSync(run.dir), false);
+
+  assert.equal(shouldKeepArtifacts(startRun('always'), { failures: [] }), true);
+});
+
+test('failed and ambiguous runs keep their directory with a summary', () => {
+  assert.equal(shouldKeepArtifacts(startRun('failed'), { failures: [{ ...CHECK, error: new Error('Page load failed') }] }), true);
+
+  const run = startRun('failed');
+  markAmbiguous(run, CHECK, 'no slots found and no "no availability" message');
+  assert.equal(shouldKeepArtifacts(run, { failures: [] }), true);
+
+  finishArtifactRun(run, { results: [], failures: [] }, true);
+  const summary = JSON.parse(fs.readFileSync(path.join(run.dir, 'run.json'), 'utf8'));
+  assert.deepEqual(summary.ambiguous, [{ watchId: 'default', date: '2026-11-14', partySize: 2, reason: 'no slots found and no "no availability" message' }]);
+});
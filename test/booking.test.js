@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bookingOptions, bookSlot } = require('../src/booking');
+const { buildBookingNotification } = require('../src/notifiers');
+const { createSlot } = require('../src/slot');
+const { SILENT_LOGGER } = require('./helpers');
+const { setLogger } = require('../src/logger');
+
+const SLOT = createSlot({ date: '2026-11-14', time: '19:30', partySize: 2 });
+const GUEST = { firstName: 'Alex', lastName: 'Doe', email: 'alex@example.com', phone: '+353 1 234 5678' };
+
+// A stand-in for the widget page: selectors in `visible` have a visible match,
+// every click and fill lands in page.actions and the body reads `bodyText`
+function fakePage(visible, bodyText = '') {
+  const page = {
+    actions: [],
+    locator: selector => ({
+      first: () => ({
+        isVisible: async () => visible.includes(selector),
+        click: async () => page.actions.push(`click ${selector}`),
+        fill: async value => page.actions.push(`fill ${selector} ${value}`)
+      }),
+      textContent: async () => bodyText
+    }),
+    waitForTimeout: async () => {}
+  };
+  return page;
+}
+
+const CHECKOUT = [
+  'button:has-text("7:30 PM")',
+  'input[name="first_name"]', 'input[name="last_name"]', 'input[type="email"]', 'input[type="tel"]',
+  'button:has-text("Complete reservation")'
+];
+const WATCH = { id: 'dinner', url: 'https://www.sevenrooms.com/reservations/examplevenue' };
+
+test.before(() => setLogger(SILENT_LOGGER));
+test.after(() => setLogger(null));
+
+test('the checkout selectors that matched are noted like the widget steps', async () => {
+  const page = fakePage(CHECKOUT, 'Your reservation is confirmed');
+  const matched = {};
+
+  const result = await bookSlot(page, page, SLOT, { stopAt: 'confirm', dryRun: false, guest: GUEST }, matched);
+
+  assert.equal(result.status, 'confirmed');
+  assert.deepEqual(matched, { slotButton: 'button:has-text("{label}")', submit: 'button:has-text("Complete reservation")' });
+});
+
+test('stopping at the link leaves the slot alone and links to its date and party size', async () => {
+  const page = fakePage(CHECKOUT);
+
+  const result = await bookSlot(page, page, SLOT, { stopAt: 'link', dryRun: false, guest: GUEST });
+
+  assert.equal(result.status, 'ready');
+  // Nothing clicked, so no hold is taken and then lost when the page closes
+  assert.deepEqual(page.actions, []);
+  const notification = buildBookingNotification(result, SLOT, WATCH);
+  assert.equal(notification.title, 'SevenRooms Table Ready to Book');
+  assert.equal(notification.bookingUrl, 'https://www.sevenrooms.com/reservations/examplevenue?default_date=2026-11-14&default_party_size=2');
+  assert.equal(buildBookingNotification(result, SLOT, { ...WATCH, url: 'https://examplevenue.com/book' }).bookingUrl, 'https://examplevenue.com/book');
+});
+
+test('hold is the old name for stopping at the link', () => {
+  assert.equal(bookingOptions({ autoBook: { stopAt: 'hold' } }, {}).stopAt, 'link');
+  assert.equal(bookingOptions({}, {}).stopAt, 'link');
+  assert.equal(bookingOptions({}, { AUTO_BOOK_STOP_AT: 'confirm' }).stopAt, 'confirm');
+});
+
+test('a slot that needs a card is never submitted', async () => {
+  // Known to need a card up front: not even clicked
+  const page = fakePage(CHECKOUT);
+  const deposit = await bookSlot(page, page, { ...SLOT, depositRequired: true }, { stopAt: 'confirm', dryRun: false, guest: GUEST });
+  assert.equal(deposit.status, 'card-required');
+  assert.deepEqual(page.actions, []);
+
+  // Only found out at checkout: walked away from before submitting
+  const checkout = fakePage([...CHECKOUT, 'iframe[src*="stripe"]']);
+  const result = await bookSlot(checkout, checkout, SLOT, { stopAt: 'confirm', dryRun: false, guest: GUEST });
+  assert.equal(result.status, 'card-required');
+  assert.match(result.message, /not booked, book it yourself from the link/);
+  assert.ok(checkout.actions.includes('click button:has-text("7:30 PM")'));
+  assert.ok(!checkout.actions.includes('click button:has-text("Complete reservation")'));
+});
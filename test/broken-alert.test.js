@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const check = require('../check');
+const { BACKENDS, buildBrokenNotification } = require('../src/notifiers');
+const { WidgetError, widgetErrorOf } = require('../src/diagnostics');
+const { StageFailedError } = require('../src/retry');
+const { emptyState } = require('../src/state');
+const { withLogger } = require('../src/logger');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const WATCH = { id: 'trattoria', url: 'https://www.example-trattoria.com/' };
+const TARGET = { date: '2026-11-14', partySize: 2 };
+
+// A broken alert with a (tiny) screenshot on disk
+function brokenNotification() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-broken-'));
+  const screenshot = path.join(dir, 'screenshot.png');
+  fs.writeFileSync(screenshot, Buffer.from('89504e470d0a1a0a', 'hex'));
+  const error = new WidgetError('day', 'Could not click day 14 in the calendar');
+  return buildBrokenNotification(error, WATCH, { dir, screenshot, target: TARGET, version: 1 });
+}
+
+test('a widget step that broke is found behind the retry error', () => {
+  const error = new WidgetError('partySize', 'Could not set the party size to 2');
+
+  assert.equal(widgetErrorOf(error), error);
+  assert.equal(widgetErrorOf(new StageFailedError('Date selection', 3, error)), error);
+  assert.equal(widgetErrorOf(new StageFailedError('Page load', 3, new Error('timeout'))), null);
+});
+
+test('the broken alert names the step, the date and where the diagnostics are', () => {
+  const notification = brokenNotification();
+
+  assert.equal(notification.event, 'bot.broken');
+  assert.equal(notification.diagnostics.step, 'day');
+  assert.match(notification.message, /Could not click day 14 .* for 2026-11-14 \(2 people\)/);
+  assert.ok(notification.message.includes(notification.diagnostics.dir));
+});
+
+test('every notifier backend formats an alert without a slot', () => {
+  const notification = brokenNotification();
+
+  for (const [type, backend] of Object.entries(BACKENDS)) {
+    assert.doesNotThrow(() => backend.format(notification, { chatId: '1', from: 'bot@example.com', to: 'me@example.com' }), type);
+  }
+});
+
+test('pushover and email attach the screenshot', () => {
+  const notification = brokenNotification();
+
+  const pushover = BACKENDS.pushover.format(notification, { userKey: 'u', appToken: 't' });
+  assert.equal(pushover.attachment_type, 'image/png');
+  assert.equal(Buffer.from(pushover.attachment_base64, 'base64').toString('hex'), '89504e470d0a1a0a');
+
+  const email = BACKENDS.email.format(notification, { from: 'bot@example.com', to: 'me@example.com' });
+  assert.deepEqual(email.attachments, [{ filename: 'screenshot.png', path: notification.diagnostics.screenshot }]);
+  assert.equal(email.subject, 'SevenRooms Bot Broken');
+});
+
+test('a watch\'s subscribers hear that it broke, and so do the global notifiers', async () => {
+  const server = await startApiStub([]);
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-broken-'));
+  const checker = withLogger(SILENT_LOGGER, () => check.configure({ ...apiStubSettings(server), DIAGNOSTICS_DIR: baseDir }, {
+    baseDir,
+    watchlist: {
+      watches: [{ ...WATCH, dates: ['2099-11-14'], partySize: 2, windows: ['19:00-21:00'] }],
+      notifiers: [],
+      subscribers: [{ id: 'alex', notifiers: [{ type: 'webhook', url: `${server.url}/hook/alex` }], watches: [WATCH.id] }]
+    }
+  }));
+  const page = { screenshot: async () => {}, content: async () => '<html></html>' };
+  const state = emptyState();
+
+  try {
+    const error = new WidgetError('day', 'Could not click day 14 in the calendar');
+    await withLogger(SILENT_LOGGER, () => check.reportBrokenWidget(checker, error, { watch: checker.watches[0], target: TARGET, page, targetPage: page, matched: {}, state }));
+    assert.deepEqual(server.hooks.map(hook => `${hook.path} ${hook.event}`).sort(), ['/hook bot.broken', '/hook/alex bot.broken']);
+
+    // Once per broken step
+    await withLogger(SILENT_LOGGER, () => check.reportBrokenWidget(checker, error, { watch: checker.watches[0], target: TARGET, page, targetPage: page, matched: {}, state }));
+    assert.equal(server.hooks.length, 2);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendarMonth, monthFromDayLabels, navigateToMonth } = require('../src/calendar');
+const { todayIn } = require('../src/dates');
+const { WidgetError } = require('../src/diagnostics');
+const { validateWatches } = require('../src/config');
+const { watchFromEnv } = require('../src/watchlist');
+
+// A calendar showing `shown` that moves `perClick` months per click in the
+// direction clicked (0 for one that is stuck)
+function fakeCalendar(shown, { perClick = 1, readable = true } = {}) {
+  const calendar = {
+    shown: { ...shown },
+    clicks: [],
+    async read() {
+      return readable ? { ...calendar.shown } : null;
+    },
+    async step(direction) {
+      calendar.clicks.push(direction);
+      const index = calendar.shown.year * 12 + calendar.shown.month - 1 + direction * perClick;
+      calendar.shown = { year: Math.floor(index / 12), month: index % 12 + 1 };
+    }
+  };
+  return calendar;
+}
+
+test('the month is read from calendar headings', () => {
+  assert.deepEqual(parseCalendarMonth('November 2026'), { year: 2026, month: 11 });
+  assert.deepEqual(parseCalendarMonth('  Dec. 2026 '), { year: 2026, month: 12 });
+  assert.deepEqual(parseCalendarMonth('January, 2027'), { year: 2027, month: 1 });
+  assert.equal(parseCalendarMonth('Select a date'), null);
+  assert.equal(parseCalendarMonth('November 14'), null);
+});
+
+test('without a heading, the month most day labels are in is used', () => {
+  const labels = ['Date 31 Oct 2026', 'Date 1 Nov 2026', 'Date 2 Nov 2026', 'Saturday, November 14, 2026', 'Next month', null];
+
+  assert.deepEqual(monthFromDayLabels(labels), { year: 2026, month: 11 });
+  assert.equal(monthFromDayLabels(['Next month', 'Previous month']), null);
+});
+
+test('today is the venue\'s across the year boundary', () => {
+  const now = new Date('2026-12-31T23:30:00Z');
+
+  assert.equal(todayIn('Asia/Tokyo', now), '2027-01-01');
+  assert.equal(todayIn('America/New_York', now), '2026-12-31');
+  assert.equal(todayIn('Europe/Dublin', now), '2026-12-31');
+});
+
+test('navigation clicks forward from the month shown across the year boundary', async () => {
+  const calendar = fakeCalendar({ year: 2026, month: 11 });
+
+  assert.equal(await navigateToMonth(calendar, { year: 2027, month: 2 }, { assumed: { year: 2026, month: 10 } }), 3);
+  assert.deepEqual(calendar.clicks, [1, 1, 1]);
+  assert.deepEqual(calendar.shown, { year: 2027, month: 2 });
+});
+
+test('navigation goes back from a month chosen earlier and stays put on the target', async () => {
+  const calendar = fakeCalendar({ year: 2027, month: 1 });
+
+  assert.equal(await navigateToMonth(calendar, { year: 2026, month: 11 }, { assumed: { year: 2026, month: 10 } }), 2);
+  assert.deepEqual(calendar.clicks, [-1, -1]);
+  assert.equal(await navigateToMonth(calendar, { year: 2026, month: 11 }), 0);
+});
+
+test('a calendar that doesn\'t move is a broken widget', async () => {
+  const stuck = fakeCalendar({ year: 2026, month: 11 }, { perClick: 0 });
+  await assert.rejects(navigateToMonth(stuck, { year: 2026, month: 12 }), error => error instanceof WidgetError && error.step === 'nextMonth');
+
+  const backwards = fakeCalendar({ year: 2026, month: 11 }, { perClick: -1 });
+  await assert.rejects(navigateToMonth(backwards, { year: 2026, month: 9 }), error => error instanceof WidgetError && error.step === 'previousMonth');
+});
+
+test('an unreadable calendar is assumed to open on today\'s month', async () => {
+  const calendar = fakeCalendar({ year: 2026, month: 10 }, { readable: false });
+
+  assert.equal(await navigateToMonth(calendar, { year: 2027, month: 1 }, { assumed: { year: 2026, month: 10 } }), 3);
+  assert.deepEqual(calendar.shown, { year: 2027, month: 1 });
+});
+
+test('VENUE_TIMEZONE must be a time zone', () => {
+  const env = { BOOKING_URL: 'https://www.sevenrooms.com/reservations/examplevenue', DATE: '2026-11-14', PARTY_SIZE: '2', WINDOWS: '19:00-21:00' };
+
+  const { problems } = validateWatches([watchFromEnv({ ...env, VENUE_TIMEZONE: 'Mars/Olympus' })], { fromEnv: true, today: '2026-10-19' });
+  assert.deepEqual(problems.map(problem => problem.key), ['VENUE_TIMEZONE']);
+  assert.deepEqual(validateWatches([watchFromEnv({ ...env, VENUE_TIMEZONE: 'Europe/Dublin' })], { fromEnv: true, today: '2026-10-19' }).problems, []);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWatcher } = require('..');
+const { chatConfigsFromEnv, validateChatConfigs, createChats, runChat } = require('../src/chat');
+const { parseDuration, parseCommand } = require('../src/chat/commands');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const DATE = addDays(todayIn(), 1);
+const CHAT_ID = '4242';
+
+// A stand-in for the Telegram Bot API and the Slack Web API: messages pushed
+// to server.incoming are handed out once, and every reply lands in server.sent
+async function startChatStub() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const respond = data => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ ok: true, ...data }));
+      };
+      if (url.pathname.endsWith('/sendMessage') || url.pathname.endsWith('/chat.postMessage')) {
+        server.sent.push({ path: url.pathname, auth: req.headers.authorization, ...JSON.parse(body) });
+        return respond({ result: {} });
+      }
+      const incoming = server.incoming.splice(0);
+      if (url.pathname.endsWith('/getUpdates')) {
+        // Long polling: an empty answer only after a short wait
+        return setTimeout(() => respond({ result: incoming }), incoming.length > 0 ? 0 : 20);
+      }
+      if (url.pathname.endsWith('/conversations.history')) {
+        return respond({ messages: incoming.reverse() });
+      }
+      res.statusCode = 404;
+      res.end(JSON.stringify({ ok: false, error: 'unknown_method' }));
+    });
+  });
+  server.incoming = [];
+  server.sent = [];
+  await new Promise(resolve => server.listen(0, resolve));
+  server.url = `http://localhost:${server.address().port}`;
+  return server;
+}
+
+// Resolves once `condition()` is true, polling briefly
+async function waitFor(condition, what) {
+  for (let i = 0; i < 200; i++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+}
+
+// A watcher on the availability stub answering one chat backend on the chat stub
+async function chatSetup(type, settings) {
+  const api = await startApiStub(['12:30', '19:30']);
+  const chat = await startChatStub();
+  const chatSettings = { CHAT_COMMANDS: type, CHAT_POLL_SECONDS: '0.02', ...settings(chat) };
+  const watcher = createWatcher({
+    settings: { ...apiStubSettings(api), ...chatSettings },
+    watches: [{ id: 'examplevenue', url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }],
+    baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-chat-')),
+    logger: SILENT_LOGGER
+  });
+  const controller = new AbortController();
+  const running = createChats(chatConfigsFromEnv(chatSettings)).map(backend => runChat(watcher, backend, controller.signal));
+
+  const close = async () => {
+    controller.abort();
+    await Promise.all(running);
+    await watcher.close();
+    api.close();
+    chat.close();
+  };
+  return { api, chat, watcher, close };
+}
+
+test('durations and commands parse', () => {
+  assert.equal(parseDuration('2h'), 2 * 3600000);
+  assert.equal(parseDuration('1h30m'), 90 * 60000);
+  assert.equal(parseDuration('90 min'), 90 * 60000);
+  assert.equal(parseDuration('2 hours'), 2 * 3600000);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration('2'), null);
+
+  assert.deepEqual(parseCommand('/pause gloria'), { name: 'pause', args: ['gloria'] });
+  assert.deepEqual(parseCommand('/list@tablebot'), { name: 'list', args: [] });
+  assert.deepEqual(parseCommand('!snooze  2h '), { name: 'snooze', args: ['2h'] });
+  assert.equal(parseCommand('anyone free tonight?'), null);
+});
+
+test('chat settings need a known backend and its credentials', () => {
+  assert.deepEqual(chatConfigsFromEnv({}), []);
+  const problems = validateChatConfigs(chatConfigsFromEnv({ CHAT_COMMANDS: 'telegram,irc', TELEGRAM_BOT_TOKEN: 'token' }));
+  assert.deepEqual(problems.map(problem => problem.key), ['TELEGRAM_CHAT_ID', 'CHAT_COMMANDS']);
+});
+
+test('telegram commands add, list, pause and snooze watches, with threaded replies', async () => {
+  const { api, chat, watcher, close } = await chatSetup('telegram', server => ({ TELEGRAM_BOT_TOKEN: 'token', TELEGRAM_CHAT_ID: CHAT_ID, TELEGRAM_API_URL: server.url }));
+  let nextId = 1;
+  // Send a message to the bot; resolves with the replies to it
+  const say = async (text, chatId = CHAT_ID) => {
+    const id = nextId++;
+    chat.incoming.push({ update_id: id, message: { message_id: id, date: Math.floor(Date.now() / 1000) + 1, chat: { id: Number(chatId) }, text } });
+    if (chatId !== CHAT_ID) return [];
+    await waitFor(() => chat.sent.some(sent => sent.reply_to_message_id === id), `a reply to "${text}"`);
+    // A command can reply more than once (/book); give it a moment
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return chat.sent.filter(sent => sent.reply_to_message_id === id).map(sent => sent.text);
+  };
+
+  try {
+    assert.match((await say('/list'))[0], /examplevenue: .*\n {3}not checked yet/);
+
+    const [added] = await say(`/watch https://www.sevenrooms.com/reservations/secondvenue ${DATE} 4-5 19:00-21:00`);
+    assert.match(added, /^👀 Watching secondvenue: /);
+    assert.match((await say('/watch https://www.sevenrooms.com/reservations/x 2026-13-01 2 19:00-21:00'))[0], /not a valid date/);
+
+    assert.match((await say('/pause secondvenue'))[0], /Paused secondvenue/);
+    assert.match((await say('/snooze 2h'))[0], /No notifications until/);
+    await watcher.check();
+    assert.equal(api.hooks.length, 0);
+    assert.ok(watcher.status().snoozedUntil);
+
+    assert.match((await say('/snooze off'))[0], /back on/);
+    await watcher.check();
+    assert.deepEqual(api.hooks.map(hook => hook.slot.time), ['19:30']);
+
+    const [list] = await say('/list');
+    assert.match(list, /secondvenue \(paused\)/);
+    assert.match(list, new RegExp(`19:30 on ${DATE} for 2 - /book examplevenue ${DATE} 19:30`));
+
+    // Booking needs guest details, as auto-booking does
+    assert.match((await say(`/book ${DATE} 19:30`))[0], /Can't book for "examplevenue"[\s\S]*GUEST_FIRST_NAME/);
+    assert.match((await say(`/book ${DATE} 12:30`))[0], /No table at 12:30/);
+    assert.match((await say('/dance'))[0], /Unknown command \/dance/);
+
+    // Other chats are ignored
+    await say('/pause examplevenue', '999');
+    await say('/help');
+    assert.equal(watcher.status().watches[0].paused, false);
+    assert.ok(chat.sent.every(sent => sent.chat_id === CHAT_ID));
+  } finally {
+    await close();
+  }
+});
+
+test('slack commands are read from the channel and answered in their thread', async () => {
+  const { chat, watcher, close } = await chatSetup('slack', server => ({ SLACK_BOT_TOKEN: 'xoxb-test', SLACK_CHANNEL_ID: 'C123', SLACK_API_URL: server.url }));
+  try {
+    const ts = `${Math.floor(Date.now() / 1000) + 1}.000100`;
+    chat.incoming.push(
+      { ts, user: 'U1', text: `!watch <https://www.sevenrooms.com/reservations/secondvenue> ${DATE} 2 19:00-21:00` },
+      { ts: `${ts}1`, bot_id: 'B1', text: '/pause examplevenue' }
+    );
+    await waitFor(() => chat.sent.length > 0, 'a reply');
+
+    assert.equal(chat.sent.length, 1);
+    assert.equal(chat.sent[0].thread_ts, ts);
+    assert.equal(chat.sent[0].channel, 'C123');
+    assert.equal(chat.sent[0].auth, 'Bearer xoxb-test');
+    assert.match(chat.sent[0].text, /Watching secondvenue/);
+    assert.deepEqual(watcher.watches().map(watch => [watch.id, watch.paused]), [['examplevenue', false], ['secondvenue', false]]);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuietHours, isQuietTime, jitteredInterval, daemonOptionsFromEnv } = require('../src/daemon');
+
+// Local time on 2026-11-14
+const at = time => new Date(`2026-11-14T${time}:00`);
+
+test('quiet hours parse into minutes since midnight', () => {
+  assert.deepEqual(parseQuietHours('23:00-07:00'), { start: 23 * 60, end: 7 * 60 });
+  assert.deepEqual(parseQuietHours(' 1:30 - 6:00 '), { start: 90, end: 360 });
+  assert.equal(parseQuietHours(''), null);
+  assert.throws(() => parseQuietHours('late'), /QUIET_HOURS must look like 23:00-07:00/);
+});
+
+test('quiet hours within a day include the start but not the end', () => {
+  const quiet = parseQuietHours('01:00-06:00');
+
+  assert.equal(isQuietTime(at('00:59'), quiet), false);
+  assert.equal(isQuietTime(at('01:00'), quiet), true);
+  assert.equal(isQuietTime(at('05:59'), quiet), true);
+  assert.equal(isQuietTime(at('06:00'), quiet), false);
+  assert.equal(isQuietTime(at('03:00'), null), false);
+});
+
+test('quiet hours across midnight cover the late evening and the early morning', () => {
+  const quiet = parseQuietHours('23:00-07:00');
+
+  assert.equal(isQuietTime(at('22:59'), quiet), false);
+  assert.equal(isQuietTime(at('23:00'), quiet), true);
+  assert.equal(isQuietTime(at('00:00'), quiet), true);
+  assert.equal(isQuietTime(at('06:59'), quiet), true);
+  assert.equal(isQuietTime(at('07:00'), quiet), false);
+  assert.equal(isQuietTime(at('12:00'), quiet), false);
+});
+
+test('jitter moves the interval by at most its fraction either way', () => {
+  assert.equal(jitteredInterval(300000, 0.2, () => 0), 240000);
+  assert.equal(jitteredInterval(300000, 0.2, () => 0.5), 300000);
+  assert.equal(jitteredInterval(300000, 0.2, () => 1), 360000);
+  assert.equal(jitteredInterval(300000, 0, () => 1), 300000);
+  // Jitter over 100% never gives a negative delay
+  assert.equal(jitteredInterval(300000, 2, () => 0), 0);
+
+  for (let i = 0; i < 50; i++) {
+    const delay = jitteredInterval(300000, 0.2);
+    assert.ok(delay >= 240000 && delay <= 360000, `${delay}ms is outside 240000-360000ms`);
+  }
+});
+
+test('daemon options come from the environment, with defaults', () => {
+  assert.deepEqual(daemonOptionsFromEnv({}), { intervalMs: 300000, jitter: 0.2, quietHours: null });
+  assert.deepEqual(
+    daemonOptionsFromEnv({ CHECK_INTERVAL_MINUTES: '1.5', CHECK_JITTER: '0', QUIET_HOURS: '23:00-07:00' }),
+    { intervalMs: 90000, jitter: 0, quietHours: { start: 1380, end: 420 } }
+  );
+});
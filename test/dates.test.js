@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateRules, normalizeDateRules, expandDates, parseOtherDates } = require('../src/dates');
+
+// 2026-11-13 is a Friday
+
+test('date rule strings parse into dates, ranges, rolling windows, weekdays and exclusions', () => {
+  assert.deepEqual(parseDateRules('2026-11-14, 2026-11-01..2026-11-15, next 6 weeks, fri/sat, not 2026-11-26'), {
+    dates: ['2026-11-14'],
+    dateRanges: [{ from: '2026-11-01', to: '2026-11-15' }],
+    next: 42,
+    weekdays: [5, 6],
+    exclude: ['2026-11-26']
+  });
+  assert.equal(parseDateRules('next 10 days').next, 10);
+  assert.deepEqual(parseDateRules('fri, sat').weekdays, [5, 6]);
+});
+
+test('ranges include both ends', () => {
+  const watch = normalizeDateRules({ dateRanges: [{ from: '2026-11-29', to: '2026-12-02' }] });
+
+  assert.deepEqual(expandDates(watch), ['2026-11-29', '2026-11-30', '2026-12-01', '2026-12-02']);
+});
+
+test('weekday rules keep only those days from ranges and rolling windows, but not explicit dates', () => {
+  const watch = parseDateRules('2026-11-11, 2026-11-09..2026-11-22, fri/sat');
+
+  assert.deepEqual(expandDates(watch), ['2026-11-11', '2026-11-13', '2026-11-14', '2026-11-20', '2026-11-21']);
+});
+
+test('excluded dates are never checked, even when given explicitly', () => {
+  const watch = parseDateRules('2026-11-14, 2026-11-12..2026-11-16, not 2026-11-14, not 2026-11-15');
+
+  assert.deepEqual(expandDates(watch), ['2026-11-12', '2026-11-13', '2026-11-16']);
+});
+
+test('rolling windows count from today and move on day by day', () => {
+  const watch = parseDateRules('next 3 days');
+
+  assert.deepEqual(expandDates(watch, '2026-12-30'), ['2026-12-30', '2026-12-31', '2027-01-01']);
+  assert.deepEqual(expandDates(watch, '2026-12-31'), ['2026-12-31', '2027-01-01', '2027-01-02']);
+});
+
+test('the widget\'s other dates are read with their times', () => {
+  const found = parseOtherDates('Other dates with availability\nFri, Nov 13   6:00 PM  9:30 PM\nSat, 14 Nov   7:15 PM', '2026-11-12');
+
+  assert.deepEqual(Array.from(found), [
+    ['2026-11-13', ['18:00', '21:30']],
+    ['2026-11-14', ['19:15']]
+  ]);
+});
+
+test('other dates in January seen from December fall in the next year', () => {
+  const found = parseOtherDates('Other dates with availability\nWed, Dec 30   8:00 PM\nSun, Jan 3   6:00 PM', '2026-12-28');
+
+  assert.deepEqual(Array.from(found), [
+    ['2026-12-30', ['20:00']],
+    ['2027-01-03', ['18:00']]
+  ]);
+  // ...while a date a little before the selected one stays in its year
+  assert.deepEqual(Array.from(parseOtherDates('Mon, Dec 21   8:00 PM', '2027-01-02').keys()), ['2026-12-21']);
+});
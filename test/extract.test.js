@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTime, extractSlots, extractSlotsFromJson, extractTargetSlots } = require('../src/extract');
+const { parseAvailabilityResponse } = require('../src/api');
+const { loadRecording, loadFixture } = require('./helpers');
+
+const TARGET = { date: '2026-11-14', partySize: 2 };
+const times = slots => slots.map(slot => slot.time);
+
+test('formatTime reads 24-hour, 12-hour and seconds forms', () => {
+  assert.equal(formatTime('19:30'), '19:30');
+  assert.equal(formatTime('7:30 PM'), '19:30');
+  assert.equal(formatTime('7:30pm'), '19:30');
+  assert.equal(formatTime('12:00 PM'), '12:00');
+  assert.equal(formatTime('12:15 AM'), '00:15');
+  assert.equal(formatTime('19:30:00'), '19:30');
+  assert.equal(formatTime('soon'), null);
+});
+
+test('api extractor returns bookable times with their details', () => {
+  const slots = parseAvailabilityResponse(loadFixture('api/availability-range.json'), 2);
+
+  assert.deepEqual(times(slots), ['12:30', '19:30', '21:15']);
+  const bar = slots.find(slot => slot.time === '19:30');
+  assert.equal(bar.area, 'Bar Seating');
+  assert.equal(bar.shift, 'Dinner');
+  assert.equal(bar.depositRequired, true);
+  assert.deepEqual(bar.sources, ['api']);
+});
+
+test('json extractor keeps times under the target date and skips request-only times', () => {
+  const slots = extractSlotsFromJson(loadFixture('api/availability-range.json'), TARGET);
+
+  assert.deepEqual(Array.from(new Set(times(slots))).sort(), ['12:30', '19:30', '21:15']);
+  assert.ok(slots.every(slot => slot.source === 'json' && slot.date === TARGET.date));
+});
+
+test('json extractor ignores times for other dates', () => {
+  const data = {
+    availability: { '2026-11-15': [{ time: '18:00' }] },
+    results: [{ date: '2026-11-14', time: '19:00' }, { date: '2026-11-15', time: '20:00' }]
+  };
+
+  assert.deepEqual(times(extractSlotsFromJson(data, TARGET)), ['19:00']);
+});
+
+test('network extractor puts after-midnight times on the service date', () => {
+  const slots = extractSlots({ times: ['2026-11-15T00:30:00'] }, TARGET);
+
+  assert.equal(slots.length, 1);
+  assert.equal(slots[0].time, '00:30');
+  assert.equal(slots[0].date, '2026-11-14');
+  assert.equal(slots[0].source, 'network');
+});
+
+test('extractors agree on the recorded slots and the loose matches stay below the threshold', async () => {
+  const { manifest, jsonResponses } = loadRecording('available');
+  const [recorded] = manifest.targets;
+  const slots = await extractTargetSlots({ jsonResponses }, null, recorded);
+  const confident = slots.filter(slot => slot.confidence >= 0.5);
+
+  assert.deepEqual(times(confident), recorded.slots);
+  confident.forEach(slot => assert.deepEqual([...slot.sources].sort(), ['api', 'json', 'network']));
+  assert.ok(slots.filter(slot => slot.confidence < 0.5).every(slot => slot.source === 'network'));
+});
+
+test('availability requested for another party size is not trusted for this one', async () => {
+  const { jsonResponses } = loadRecording('available');
+  const otherSize = jsonResponses.map(response => ({ ...response, url: response.url.replace('party_size=2', 'party_size=4') }));
+  const slots = await extractTargetSlots({ jsonResponses: otherSize }, null, TARGET);
+
+  assert.deepEqual(slots, []);
+});
+
+test('a date with only request-only times has no confident slots', async () => {
+  const { manifest, jsonResponses } = loadRecording('no-availability');
+  const slots = await extractTargetSlots({ jsonResponses }, null, manifest.targets[0]);
+
+  assert.deepEqual(slots.filter(slot => slot.confidence >= 0.5), []);
+});
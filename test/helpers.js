@@ -0,0 +1,100 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadManifest } = require('../src/recording');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const RECORDINGS_DIR = path.join(FIXTURES_DIR, 'recordings');
+
+// Names of the recordings under fixtures/recordings
+function recordingNames() {
+  return fs.readdirSync(RECORDINGS_DIR).filter(name => fs.existsSync(path.join(RECORDINGS_DIR, name, 'manifest.json')));
+}
+
+// A recording's manifest, JSON responses (as a check collects them) and DOM snapshot reader
+function loadRecording(name) {
+  const dir = path.join(RECORDINGS_DIR, name);
+  const har = JSON.parse(fs.readFileSync(path.join(dir, 'network.har'), 'utf8'));
+  const jsonResponses = har.log.entries
+    .filter(entry => entry.response.content.mimeType.includes('json'))
+    .map(entry => ({ url: entry.request.url, data: JSON.parse(entry.response.content.text) }));
+
+  return {
+    dir,
+    manifest: loadManifest(dir),
+    jsonResponses,
+    snapshot: file => fs.readFileSync(path.join(dir, file), 'utf8')
+  };
+}
+
+// A JSON fixture from fixtures/
+function loadFixture(file) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+// Roughly the text a browser shows for an HTML snapshot
+function htmlText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A stand-in for the availability API and a webhook on a free port: `times`
+// are served for any date asked for (change server.times between checks),
+// every availability request URL lands in server.requests and every webhook
+// body in server.hooks, with the path it was posted to as hook.path
+async function startApiStub(times) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('content-type', 'application/json');
+      if (req.url.startsWith('/hook')) {
+        server.hooks.push({ ...JSON.parse(body), path: req.url });
+        return res.end('{}');
+      }
+      server.requests.push(req.url);
+      const [month, day, year] = new URL(req.url, 'http://localhost').searchParams.get('start_date').split('-');
+      const date = `${year}-${month}-${day}`;
+      res.end(JSON.stringify({
+        status: 200,
+        data: { availability: { [date]: [{ name: 'Dinner', times: server.times.map(time => ({ time_iso: `${date} ${time}:00`, type: 'book' })) }] } }
+      }));
+    });
+  });
+  server.times = times;
+  server.hooks = [];
+  server.requests = [];
+  await new Promise(resolve => server.listen(0, resolve));
+  server.url = `http://localhost:${server.address().port}`;
+  return server;
+}
+
+// Settings for a watcher that checks through the API stub and notifies its webhook
+function apiStubSettings(server) {
+  return {
+    CHECK_MODE: 'api',
+    SEVENROOMS_API_BASE: server.url,
+    NOTIFIERS: 'webhook',
+    WEBHOOK_URL: `${server.url}/hook`,
+    HISTORY_FILE: 'off',
+    ARTIFACTS: 'off',
+    RETRY_MAX_ATTEMPTS: '1'
+  };
+}
+
+// A watcher logger that drops everything: Node 20's test runner can misread
+// stdout that interleaves with its own messages while requests are in flight
+const SILENT_LOGGER = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+module.exports = {
+  SILENT_LOGGER,
+  startApiStub,
+  apiStubSettings,
+  recordingNames,
+  loadRecording,
+  loadFixture,
+  htmlText
+};
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { noAvailabilityInText } = require('../src/extract');
+const { parseOtherDates } = require('../src/dates');
+const { recordingNames, loadRecording, htmlText } = require('./helpers');
+
+test('the no-availability message is about the selected date', () => {
+  assert.equal(noAvailabilityInText('Sat, Nov 14 Unfortunately there is no availability at the selected time.'), true);
+  assert.equal(noAvailabilityInText('Sat, Nov 14 12:30 PM 7:30 PM'), false);
+  assert.equal(noAvailabilityInText(''), false);
+  assert.equal(noAvailabilityInText(null), false);
+});
+
+test('text in the other dates section does not count', () => {
+  assert.equal(noAvailabilityInText('7:30 PM Other dates with availability Sun, Nov 15 no availability for 6 or more'), false);
+  assert.equal(noAvailabilityInText('Unfortunately there is no availability at the selected time. Other dates with availability Sun, Nov 15 6:00 PM'), true);
+});
+
+for (const name of recordingNames()) {
+  test(`no-availability detection agrees with the "${name}" recording`, () => {
+    const { manifest, snapshot } = loadRecording(name);
+
+    for (const target of manifest.targets) {
+      const text = htmlText(snapshot(target.snapshots.widget || target.snapshots.page));
+      assert.equal(noAvailabilityInText(text), target.slots.length === 0);
+    }
+  });
+}
+
+test('other dates are read from their section of a recorded widget', () => {
+  const { manifest, snapshot } = loadRecording('no-availability');
+  const [target] = manifest.targets;
+  const text = htmlText(snapshot(target.snapshots.widget));
+  const section = text.slice(text.search(/other dates with availability/i));
+
+  assert.deepEqual(Object.fromEntries(parseOtherDates(section, target.date)), {
+    '2026-11-15': ['18:00', '21:30'],
+    '2026-11-16': ['19:15']
+  });
+});
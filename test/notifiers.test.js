@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { BACKENDS, loadNotifierConfigs, validateNotifierConfigs, createNotifiers, buildSlotNotification } = require('../src/notifiers');
+const { createWatcher, ConfigError } = require('..');
+const { createSlot } = require('../src/slot');
+
+const WATCH = { id: 'examplevenue', url: 'https://www.sevenrooms.com/reservations/examplevenue?a=1&b=2' };
+const SLOT = createSlot({ date: '2026-11-14', time: '19:30', partySize: 2, area: 'Bar <Counter> & "Booth"', source: 'api' });
+
+// A stand-in for every backend's HTTP API: each request lands in
+// server.requests as { method, path, headers, body }, answered the way its
+// backend expects a success
+async function startNotifierStub() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      res.setHeader('content-type', 'application/json');
+      if (req.url.includes('/sendMessage')) return res.end(JSON.stringify({ ok: true, result: {} }));
+      if (req.url.startsWith('/pushover')) return res.end(JSON.stringify({ status: 1 }));
+      if (req.url.startsWith('/discord')) {
+        res.statusCode = 204;
+        return res.end();
+      }
+      res.end('{}');
+    });
+  });
+  server.requests = [];
+  await new Promise(resolve => server.listen(0, resolve));
+  server.url = `http://localhost:${server.address().port}`;
+  return server;
+}
+
+// Send the slot notification through one backend; resolves with the request it made
+async function sendVia(server, config) {
+  const [notifier] = createNotifiers([config]);
+  await notifier.send(buildSlotNotification(SLOT, WATCH));
+  assert.equal(server.requests.length, 1, config.type);
+  return server.requests.pop();
+}
+
+test('slack, telegram, discord, ntfy and pushover post what their APIs expect', async () => {
+  const server = await startNotifierStub();
+  try {
+    const slack = await sendVia(server, { type: 'slack', webhookUrl: `${server.url}/slack/T1/B1/secret` });
+    assert.equal(slack.method, 'POST');
+    assert.equal(slack.path, '/slack/T1/B1/secret');
+    assert.equal(slack.headers['content-type'], 'application/json');
+    const slackBody = JSON.parse(slack.body);
+    assert.match(slackBody.text, /19:30/);
+    assert.equal(slackBody.blocks[0].type, 'header');
+    assert.match(slackBody.blocks[2].text.text, /examplevenue/);
+
+    const telegram = await sendVia(server, { type: 'telegram', botToken: '123:abc', chatId: '4242', apiUrl: server.url });
+    assert.equal(telegram.path, '/bot123:abc/sendMessage');
+    const telegramBody = JSON.parse(telegram.body);
+    assert.equal(telegramBody.chat_id, '4242');
+    assert.equal(telegramBody.parse_mode, 'HTML');
+    assert.ok(telegramBody.text.includes('Bar &lt;Counter&gt; &amp; "Booth"'));
+    assert.ok(telegramBody.text.includes('href="https://www.sevenrooms.com/reservations/examplevenue?a=1&amp;b=2"'));
+
+    const discord = await sendVia(server, { type: 'discord', webhookUrl: `${server.url}/discord/1/secret` });
+    assert.equal(discord.path, '/discord/1/secret');
+    const embed = JSON.parse(discord.body).embeds[0];
+    assert.equal(embed.url, WATCH.url);
+    assert.deepEqual(embed.fields.slice(0, 3).map(field => field.value), ['19:30', '2026-11-14', '2']);
+
+    const ntfy = await sendVia(server, { type: 'ntfy', topic: 'gloria tables', server: server.url, token: 'tk_secret', priority: 'urgent' });
+    assert.equal(ntfy.path, '/gloria%20tables');
+    assert.equal(ntfy.headers.authorization, 'Bearer tk_secret');
+    assert.equal(ntfy.headers.title, 'SevenRooms Table Available');
+    assert.equal(ntfy.headers.click, WATCH.url);
+    assert.equal(ntfy.headers.priority, 'urgent');
+    assert.match(ntfy.body, /Table available at 19:30/);
+
+    const pushover = await sendVia(server, { type: 'pushover', userKey: 'user-key', appToken: 'app-token', apiUrl: `${server.url}/pushover/1/messages.json` });
+    assert.equal(pushover.path, '/pushover/1/messages.json');
+    const pushoverBody = JSON.parse(pushover.body);
+    assert.equal(pushoverBody.user, 'user-key');
+    assert.equal(pushoverBody.token, 'app-token');
+    assert.equal(pushoverBody.priority, 1);
+    assert.equal(pushoverBody.url, WATCH.url);
+  } finally {
+    server.close();
+  }
+});
+
+test('a backend answering with an error fails the send', async () => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = 500;
+    res.end(JSON.stringify({ ok: false, status: 0, description: 'down', errors: ['down'] }));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://localhost:${server.address().port}`;
+  try {
+    for (const config of [
+      { type: 'slack', webhookUrl: `${url}/slack` },
+      { type: 'telegram', botToken: 't', chatId: '1', apiUrl: url },
+      { type: 'discord', webhookUrl: `${url}/discord` },
+      { type: 'ntfy', topic: 'tables', server: url },
+      { type: 'pushover', userKey: 'u', appToken: 't', apiUrl: url }
+    ]) {
+      const [notifier] = createNotifiers([config]);
+      await assert.rejects(notifier.send(buildSlotNotification(SLOT, WATCH)), config.type);
+    }
+  } finally {
+    server.close();
+  }
+});
+
+test('the email body escapes names from the widget and the booking URL', () => {
+  const email = BACKENDS.email.format(buildSlotNotification(SLOT, WATCH), { from: 'bot@example.com', to: 'me@example.com' });
+
+  assert.ok(email.html.includes('<td>Bar &lt;Counter&gt; &amp; &quot;Booth&quot;</td>'));
+  assert.ok(email.html.includes('<a href="https://www.sevenrooms.com/reservations/examplevenue?a=1&amp;b=2">'));
+  assert.ok(!email.html.includes('<Counter>'));
+  assert.ok(email.text.includes('Bar <Counter>'), 'plain text stays as is');
+});
+
+test('webhook headers that are not a JSON object are config problems', () => {
+  const problemsFor = headers => validateNotifierConfigs(loadNotifierConfigs({ NOTIFIERS: 'webhook', WEBHOOK_URL: 'http://localhost/hook', WEBHOOK_HEADERS: headers }));
+  assert.deepEqual(problemsFor('{"Authorization": "Bearer x"}'), []);
+  assert.deepEqual(problemsFor('{bad').map(problem => problem.key), ['WEBHOOK_HEADERS']);
+  assert.deepEqual(problemsFor('["Authorization"]').map(problem => problem.key), ['WEBHOOK_HEADERS']);
+  assert.deepEqual(validateNotifierConfigs([{ type: 'webhook', url: 'http://localhost/hook', headers: { 'X-Token': 'x' } }]), []);
+
+  // Reported with every other problem before anything runs, not as a crash
+  assert.throws(() => createWatcher({
+    settings: { CHECK_MODE: 'api', NOTIFIERS: 'webhook', WEBHOOK_URL: 'http://localhost/hook', WEBHOOK_HEADERS: '{bad', HISTORY_FILE: 'off' },
+    watches: [{ id: 'examplevenue', url: WATCH.url, dates: ['2099-11-14'], partySize: 2, windows: ['19:00-21:00'] }]
+  }), error => error instanceof ConfigError && error.problems.some(problem => problem.key === 'WEBHOOK_HEADERS' && /"\{bad" are not a JSON object/.test(problem.message)));
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatcher } = require('..');
+const { parsePartySizes, describePartySizes } = require('../src/party');
+const { createSlot } = require('../src/slot');
+const { emptyState, getNamespace, recordCheck, notifiedAtOtherSize, markNotified } = require('../src/state');
+const { buildSlotNotification } = require('../src/notifiers');
+const { validateWatches } = require('../src/config');
+const { watchFromEnv } = require('../src/watchlist');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const ENV = { BOOKING_URL: 'https://www.sevenrooms.com/reservations/examplevenue', DATE: '2026-12-05', WINDOWS: '19:00-21:30' };
+
+test('ranges expand to every size, with the preferred one first', () => {
+  assert.deepEqual(parsePartySizes('4-6'), [4, 5, 6]);
+  assert.deepEqual(parsePartySizes([2, '4–6', 4]), [2, 4, 5, 6]);
+  assert.deepEqual(parsePartySizes('4-6', 5), [5, 4, 6]);
+  assert.deepEqual(parsePartySizes('2, 4..5'), [2, 4, 5]);
+  assert.deepEqual(parsePartySizes('6-4'), ['6-4']);
+  assert.equal(describePartySizes([5, 4, 6, 8], 5), '4-6, 8 (preferring 5)');
+  assert.equal(describePartySizes([2]), '2');
+});
+
+test('PARTY_SIZE takes a range and PREFERRED_PARTY_SIZE must be in it', () => {
+  const watch = watchFromEnv({ ...ENV, PARTY_SIZE: '4-6', PREFERRED_PARTY_SIZE: '5' });
+  assert.deepEqual(watch.partySizes, [5, 4, 6]);
+  assert.equal(watch.preferredPartySize, 5);
+  assert.deepEqual(validateWatches([watch], { fromEnv: true, today: '2026-10-19' }).problems, []);
+
+  const outside = watchFromEnv({ ...ENV, PARTY_SIZE: '4-6', PREFERRED_PARTY_SIZE: '8' });
+  assert.deepEqual(validateWatches([outside], { fromEnv: true, today: '2026-10-19' }).problems.map(problem => problem.key), ['PREFERRED_PARTY_SIZE']);
+
+  const backwards = watchFromEnv({ ...ENV, PARTY_SIZE: '6-4' });
+  const [problem] = validateWatches([backwards], { fromEnv: true, today: '2026-10-19' }).problems;
+  assert.equal(problem.key, 'PARTY_SIZE');
+  assert.match(problem.message, /not a party size range/);
+});
+
+test('a table notified for one size is not notified again for another', () => {
+  const namespace = getNamespace(emptyState(), 'birthday-dinner');
+  const forFive = createSlot({ date: '2026-12-05', time: '19:30', partySize: 5, area: 'Dining Room' });
+  const forFour = createSlot({ date: '2026-12-05', time: '19:30', partySize: 4, area: 'Dining Room' });
+  const atTheBar = createSlot({ date: '2026-12-05', time: '19:30', partySize: 4, area: 'Bar' });
+
+  recordCheck(namespace, { date: '2026-12-05', partySize: 5 }, [forFive]);
+  markNotified(namespace, forFive);
+
+  assert.equal(notifiedAtOtherSize(namespace, forFour, [5, 4, 6]).partySize, 5);
+  assert.equal(notifiedAtOtherSize(namespace, atTheBar, [5, 4, 6]), null);
+  assert.equal(notifiedAtOtherSize(namespace, forFour, [4]), null, 'sizes the watch no longer checks');
+
+  // Once the table has gone for 5 people, it is news again for 4
+  recordCheck(namespace, { date: '2026-12-05', partySize: 5 }, []);
+  assert.equal(notifiedAtOtherSize(namespace, forFour, [5, 4, 6]), null);
+});
+
+test('the notification names the size and whether it is the preferred one', () => {
+  const watch = { id: 'birthday-dinner', url: ENV.BOOKING_URL, preferredPartySize: 5 };
+  const slot = createSlot({ date: '2026-12-05', time: '19:30', partySize: 4, area: 'Dining Room' });
+
+  assert.match(buildSlotNotification(slot, watch).message, /for 4 people \(not the preferred 5\)\.$/);
+  assert.match(buildSlotNotification({ ...slot, partySize: 5 }, watch).message, /for 5 people\.$/);
+  assert.match(buildSlotNotification(slot, watch, { partySizes: [4, 6] }).message, /for 4 or 6 people \(not the preferred 5\)\.$/);
+  assert.match(buildSlotNotification({ ...slot, partySize: 5 }, watch, { partySizes: [5, 4, 6] }).message, /for 4, 5 or 6 people\.$/);
+});
+
+test('a table that fits several sizes of a range is notified once, listing them all', async () => {
+  const server = await startApiStub(['19:30', '20:00']);
+  const date = addDays(todayIn(), 1);
+  const watcher = createWatcher({
+    settings: apiStubSettings(server),
+    watches: [{ id: 'birthday-dinner', url: ENV.BOOKING_URL, dates: [date], partySize: '4-6', preferredPartySize: 5, windows: ['19:00-21:00'] }],
+    baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-party-')),
+    logger: SILENT_LOGGER
+  });
+
+  try {
+    await watcher.check();
+    assert.equal(server.requests.length, 3);
+    assert.deepEqual(server.hooks.map(hook => [hook.slot.time, hook.slot.partySize, hook.partySizes]), [
+      ['19:30', 5, [5, 4, 6]],
+      ['20:00', 5, [5, 4, 6]]
+    ]);
+    assert.match(server.hooks[0].message, /at 19:30 Dinner on \S+ for 4, 5 or 6 people\.$/);
+
+    // Every size stays notified: nothing goes out again
+    await watcher.check();
+    assert.equal(server.hooks.length, 2);
+  } finally {
+    await watcher.close();
+    server.close();
+  }
+});
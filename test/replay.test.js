@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { configure, createBrowserSession, checkAvailability } = require('../check');
+const { recordingNames, loadRecording } = require('./helpers');
+
+// Replays drive the real widget flow in Chromium, so they need the browser installed
+let chromiumCheck;
+function canLaunchChromium() {
+  chromiumCheck = chromiumCheck || chromium.launch({ headless: true })
+    .then(browser => browser.close().then(() => true))
+    .catch(() => false);
+  return chromiumCheck;
+}
+
+for (const name of recordingNames()) {
+  test(`replaying "${name}" finds the recorded slots offline`, { timeout: 5 * 60000 }, async t => {
+    if (!(await canLaunchChromium())) {
+      t.skip('Chromium is not installed (npx playwright install chromium)');
+      return;
+    }
+    const { dir, manifest } = loadRecording(name);
+    const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-replay-'));
+
+    try {
+      for (const target of manifest.targets) {
+        const checker = configure({
+          BOOKING_URL: target.url,
+          DATE: target.date,
+          PARTY_SIZE: String(target.partySize),
+          WINDOWS: '00:00-23:59',
+          NOTIFIERS: 'webhook',
+          WEBHOOK_URL: 'http://127.0.0.1:9/replay',
+          REPLAY_DIR: dir,
+          STATE_FILE: path.join(stateDir, 'state.json'),
+          HISTORY_FILE: 'off',
+          ARTIFACTS_DIR: path.join(stateDir, 'artifacts'),
+          RETRY_MAX_ATTEMPTS: '1'
+        }, { watchlistFile: null });
+
+        const session = createBrowserSession(checker);
+        try {
+          const { results, failures } = await checkAvailability(checker, session);
+          assert.deepEqual(failures, []);
+          assert.deepEqual(results.map(result => result.slots.map(slot => slot.time)), [target.slots]);
+        } finally {
+          await session.close();
+        }
+      }
+    } finally {
+      fs.rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+}
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { slotEvents, buildReport, formatCsv } = require('../src/report');
+
+// The report buckets by local time; pin it so the hours below hold anywhere
+process.env.TZ = 'UTC';
+
+const check = (date, checkedAt, times) => ({
+  watchId: 'dinner',
+  venue: 'test',
+  date,
+  partySize: 2,
+  checkedAt,
+  slots: times.map(time => ({ time }))
+});
+
+// Checks on Tuesday 2026-11-10: three drops for the 14th that last 30, 10 and
+// 90 minutes, and one for the 11th that is still there
+const HISTORY = [
+  check('2026-11-14', '2026-11-10T18:00:00.000Z', ['19:00']),
+  check('2026-11-14', '2026-11-10T18:10:00.000Z', ['19:00', '20:00']),
+  check('2026-11-14', '2026-11-10T18:40:00.000Z', ['19:00']),
+  check('2026-11-14', '2026-11-10T19:00:00.000Z', ['19:00', '21:00']),
+  check('2026-11-14', '2026-11-10T19:10:00.000Z', ['19:00']),
+  check('2026-11-14', '2026-11-10T19:20:00.000Z', ['19:00', '22:00']),
+  check('2026-11-14', '2026-11-10T20:50:00.000Z', ['19:00']),
+  check('2026-11-11', '2026-11-10T08:00:00.000Z', []),
+  check('2026-11-11', '2026-11-10T08:20:00.000Z', ['18:00'])
+];
+
+test('slots new since the previous check are drops; those there from the first check are not', () => {
+  // Out of order on purpose: each series is sorted by check time
+  const { drops, lifetimes, stillOpen } = slotEvents([...HISTORY].reverse());
+
+  assert.deepEqual(drops.map(drop => `${drop.date} ${drop.time} ${drop.appearedAt}`).sort(), [
+    '2026-11-11 18:00 2026-11-10T08:20:00.000Z',
+    '2026-11-14 20:00 2026-11-10T18:10:00.000Z',
+    '2026-11-14 21:00 2026-11-10T19:00:00.000Z',
+    '2026-11-14 22:00 2026-11-10T19:20:00.000Z'
+  ]);
+  assert.deepEqual(lifetimes.sort((a, b) => a - b), [10, 30, 90]);
+  assert.equal(stillOpen, 1);
+});
+
+test('the report gives lifetimes, days ahead, best windows and a polling interval', () => {
+  const report = buildReport(HISTORY);
+
+  assert.equal(report.checks, 9);
+  assert.equal(report.drops, 4);
+  assert.deepEqual(report.lifetime, { samples: 3, averageMinutes: 43, medianMinutes: 30, stillOpen: 1 });
+  assert.deepEqual(report.daysAhead.filter(bucket => bucket.drops > 0), [
+    { bucket: '1 day', drops: 1 },
+    { bucket: '3-6 days', drops: 3 }
+  ]);
+  assert.equal(report.heatmap.counts[1][19], 2);
+  assert.deepEqual(report.bestWindows[0], { window: '19:00-20:00', drops: 2, share: 50 });
+  assert.equal(report.suggestedIntervalMinutes, 15);
+});
+
+test('without a finished drop there is no lifetime or suggested interval', () => {
+  const report = buildReport(HISTORY.slice(-2));
+
+  assert.deepEqual(report.lifetime, { samples: 0, averageMinutes: null, medianMinutes: null, stillOpen: 1 });
+  assert.equal(report.suggestedIntervalMinutes, null);
+});
+
+test('CSV quotes values with commas, quotes or line breaks', () => {
+  const report = buildReport(HISTORY);
+  report.daysAhead = [{ bucket: 'say "soon", please', drops: 2 }, { bucket: 'two\nlines', drops: 1 }];
+  const lines = formatCsv(report).split('\n');
+
+  assert.equal(lines[0], 'section,key,value');
+  assert.ok(lines.includes('days_ahead,"say ""soon"", please",2'));
+  assert.ok(lines.includes('days_ahead,"two'));
+  assert.ok(lines.includes('lines",1'));
+  assert.ok(lines.includes('lifetime,median_minutes,30'));
+  assert.equal(lines[lines.length - 1], 'suggested_interval_minutes,,15');
+});
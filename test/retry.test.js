@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { EXIT_CODES, StageFailedError, retryPolicyFromEnv, backoffDelay, withRetry } = require('../src/retry');
+const { setLogger } = require('../src/logger');
+const { SILENT_LOGGER, startApiStub } = require('./helpers');
+
+const POLICY = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5000 };
+const BIN = path.join(__dirname, '..', 'bin', 'sevenrooms-bot.js');
+
+test.before(() => setLogger(SILENT_LOGGER));
+test.after(() => setLogger(null));
+
+test('the retry policy comes from the environment, with defaults', () => {
+  assert.deepEqual(retryPolicyFromEnv({}), { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 30000 });
+  assert.deepEqual(
+    retryPolicyFromEnv({ RETRY_MAX_ATTEMPTS: '5', RETRY_BASE_DELAY_MS: '100', RETRY_MAX_DELAY_MS: '800' }),
+    { maxAttempts: 5, baseDelayMs: 100, maxDelayMs: 800 }
+  );
+});
+
+test('backoff doubles per attempt, up to the cap, with up to half of it left to chance', () => {
+  assert.deepEqual([1, 2, 3].map(attempt => backoffDelay(attempt, POLICY, () => 0)), [500, 1000, 2000]);
+  assert.deepEqual([1, 2, 3].map(attempt => backoffDelay(attempt, POLICY, () => 1)), [1000, 2000, 4000]);
+  assert.equal(backoffDelay(4, POLICY, () => 1), 5000);
+  assert.equal(backoffDelay(10, POLICY, () => 0), 2500);
+
+  for (let i = 0; i < 50; i++) {
+    const delay = backoffDelay(2, POLICY);
+    assert.ok(delay >= 1000 && delay <= 2000, `${delay}ms is outside 1000-2000ms`);
+  }
+});
+
+test('a stage that recovers is tried until it works, sleeping between attempts', async () => {
+  const attempts = [];
+  const sleeps = [];
+
+  const result = await withRetry('Page load', async attempt => {
+    attempts.push(attempt);
+    if (attempt < 2) throw new Error('timeout');
+    return 'loaded';
+  }, POLICY, async ms => sleeps.push(ms));
+
+  assert.equal(result, 'loaded');
+  assert.deepEqual(attempts, [1, 2]);
+  assert.equal(sleeps.length, 1);
+  assert.ok(sleeps[0] >= 500 && sleeps[0] <= 1000);
+});
+
+test('a stage that keeps failing gives up after maxAttempts with StageFailedError', async () => {
+  let calls = 0;
+  const sleeps = [];
+  const cause = new Error('connection refused\nat somewhere');
+
+  await assert.rejects(
+    withRetry('Availability API', async () => { calls++; throw cause; }, POLICY, async ms => sleeps.push(ms)),
+    error => {
+      assert.ok(error instanceof StageFailedError);
+      assert.equal(error.stage, 'Availability API');
+      assert.equal(error.attempts, 3);
+      assert.equal(error.cause, cause);
+      assert.match(error.message, /^Availability API failed after 3 attempt\(s\): connection refused/);
+      return true;
+    }
+  );
+  assert.equal(calls, 3);
+  // No sleep after the last attempt
+  assert.equal(sleeps.length, 2);
+});
+
+// Run the CLI's `check` through the API at `apiBase`, resolving with its exit code
+async function runCheck(apiBase, args = []) {
+  const env = {
+    ...process.env,
+    SEVENROOMS_API_BASE: apiBase,
+    NOTIFIERS: 'webhook',
+    WEBHOOK_URL: `${apiBase}/hook`,
+    HISTORY_FILE: 'off',
+    ARTIFACTS: 'off',
+    STATE_FILE: path.join(os.tmpdir(), `retry-test-${process.pid}.json`),
+    RETRY_MAX_ATTEMPTS: '2',
+    RETRY_BASE_DELAY_MS: '1'
+  };
+  const argv = [BIN, 'check', '--url', 'https://www.sevenrooms.com/reservations/test', '--date', '2026-11-14', '--party-size', '2', '--window', '12:00-22:00', '--mode', 'api', '--dry-run', ...args];
+  try {
+    await promisify(execFile)(process.execPath, argv, { env, timeout: 60000 });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+test('the CLI exits 0 after a clean check, 3 when a check fails after its retries and 2 on bad config', async () => {
+  const stub = await startApiStub(['19:00']);
+  let failing = 0;
+  const broken = http.createServer((req, res) => {
+    failing++;
+    res.statusCode = 500;
+    res.end('{}');
+  });
+  await new Promise(resolve => broken.listen(0, resolve));
+
+  try {
+    assert.equal(await runCheck(stub.url), EXIT_CODES.OK);
+    assert.equal(await runCheck(`http://localhost:${broken.address().port}`), EXIT_CODES.CHECK_FAILED);
+    assert.equal(failing, 2);
+    assert.equal(await runCheck(stub.url, ['--no-such-option']), EXIT_CODES.CONFIG_ERROR);
+    assert.equal(await runCheck(stub.url, ['--party-size', 'lots']), EXIT_CODES.CONFIG_ERROR);
+  } finally {
+    stub.close();
+    broken.close();
+  }
+});
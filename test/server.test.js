@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createWatcher } = require('..');
+const { startStatusServer } = require('../src/server');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const DATE = addDays(todayIn(), 1);
+
+const WATCH = { id: 'examplevenue', url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] };
+
+const TOKEN = 's3cret';
+
+// The status server for a watcher on the API stub; `call(method, path, body)`
+// resolves with { status, body }, sending the token when there is one
+async function serve(times, { token = TOKEN, settings = {} } = {}) {
+  const stub = await startApiStub(times);
+  const watcher = createWatcher({
+    settings: { ...apiStubSettings(stub), ...settings },
+    watches: [WATCH],
+    baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-server-')),
+    logger: SILENT_LOGGER
+  });
+  const server = await startStatusServer(watcher, { port: 0, host: '127.0.0.1', token });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const call = async (method, route, body, headers = {}) => {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('json');
+    return { status: response.status, body: text && json ? JSON.parse(text) : text || null };
+  };
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await watcher.close();
+    stub.close();
+  };
+  return { call, close, stub, base };
+}
+
+test('status and slots report the latest check of each watch', async () => {
+  const { call, close } = await serve(['12:30', '19:30']);
+  try {
+    assert.deepEqual((await call('GET', '/health')).body, { ok: true });
+
+    const before = (await call('GET', '/status')).body;
+    assert.equal(before.lastCheckAt, null);
+    assert.equal(before.watches[0].lastResult, null);
+
+    const check = await call('POST', '/check');
+    assert.equal(check.status, 200);
+    assert.equal(check.body.ok, true);
+
+    const [watch] = (await call('GET', '/status')).body.watches;
+    assert.equal(watch.id, 'examplevenue');
+    assert.equal(watch.consecutiveFailures, 0);
+    assert.deepEqual(watch.lastResult.results, [{ date: DATE, partySize: 2, slots: 2, inWindow: ['19:30'], notified: ['19:30'] }]);
+
+    const { slots } = (await call('GET', '/slots?watch=examplevenue')).body;
+    assert.deepEqual(slots.map(slot => [slot.time, slot.inWindow]), [['12:30', false], ['19:30', true]]);
+    assert.deepEqual((await call('GET', '/slots?watch=other')).body.slots, []);
+  } finally {
+    await close();
+  }
+});
+
+test('watches are added and removed at runtime', async () => {
+  const { call, close } = await serve(['19:30']);
+  try {
+    const added = await call('POST', '/watches', { id: 'second', url: 'https://www.sevenrooms.com/reservations/secondvenue', dates: [DATE], partySize: '4-5', windows: ['19:00-21:00'] });
+    assert.equal(added.status, 201);
+    assert.deepEqual(added.body.partySizes, [4, 5]);
+
+    const duplicate = await call('POST', '/watches', { ...WATCH });
+    assert.equal(duplicate.status, 400);
+    assert.deepEqual(duplicate.body.problems.map(problem => problem.key), ['id']);
+
+    const invalid = await call('POST', '/watches', { id: 'third', url: 'nope', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] });
+    assert.deepEqual(invalid.body.problems.map(problem => problem.key), ['url']);
+
+    await call('POST', '/check');
+    assert.deepEqual((await call('GET', '/status')).body.watches.map(watch => [watch.id, watch.lastResult.results.length]), [['examplevenue', 1], ['second', 2]]);
+
+    assert.equal((await call('DELETE', '/watches/second')).status, 204);
+    assert.equal((await call('DELETE', '/watches/second')).status, 404);
+    assert.deepEqual((await call('GET', '/status')).body.watches.map(watch => watch.id), ['examplevenue']);
+    assert.ok((await call('GET', '/slots')).body.slots.every(slot => slot.watchId === 'examplevenue'));
+  } finally {
+    await close();
+  }
+});
+
+test('without HTTP_TOKEN the server only reports', async () => {
+  const { call, close } = await serve([], { token: null });
+  try {
+    assert.equal((await call('GET', '/status')).status, 200);
+    const refused = await call('POST', '/check');
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.error, /HTTP_TOKEN/);
+    assert.equal((await call('DELETE', '/watches/examplevenue')).status, 403);
+  } finally {
+    await close();
+  }
+});
+
+test('changes need the token, a JSON body and no other site behind them', async () => {
+  const { call, close, base } = await serve([]);
+  const entry = { id: 'sneaky', url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'], autoBook: { enabled: true, stopAt: 'confirm' } };
+  try {
+    assert.equal((await call('DELETE', '/watches/examplevenue', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+
+    // What a page on another site can send: a plain-text post needs no
+    // preflight, and a JSON one carries the page's origin
+    assert.equal((await call('POST', '/watches', entry, { 'Content-Type': 'text/plain' })).status, 415);
+    assert.equal((await call('POST', '/watches', entry, { Origin: 'https://evil.example' })).status, 403);
+    assert.equal((await call('POST', '/watches', entry, { Origin: 'null' })).status, 403);
+    // Its own host name pointed at this server (DNS rebinding)
+    assert.equal((await call('GET', '/status', undefined, { Host: 'evil.example:8080' })).status, 403);
+    assert.deepEqual((await call('GET', '/status')).body.watches.map(watch => watch.id), ['examplevenue']);
+
+    // The dashboard's own requests
+    assert.equal((await call('DELETE', '/watches/examplevenue', undefined, { Origin: base })).status, 204);
+    assert.equal((await call('GET', '/nowhere')).status, 404);
+  } finally {
+    await close();
+  }
+});
+
+test('the dashboard pauses watches, shows the history and sends a test notification', async () => {
+  const { call, close, stub } = await serve(['19:30'], { settings: { HISTORY_FILE: 'history.jsonl' } });
+  try {
+    const page = await call('GET', '/');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<title>SevenRooms Table Bot<\/title>/);
+
+    const paused = await call('POST', '/watches/examplevenue/pause');
+    assert.equal(paused.body.paused, true);
+    await call('POST', '/check');
+    assert.equal((await call('GET', '/status')).body.watches[0].lastResult, null);
+    assert.equal(stub.hooks.length, 0);
+
+    assert.equal((await call('POST', '/watches/examplevenue/resume')).body.paused, false);
+    assert.equal((await call('POST', '/watches/nowhere/pause')).status, 404);
+    // Dates as the dashboard's form sends them: date rules in one string
+    const added = await call('POST', '/watches', { id: 'rules', url: 'https://www.sevenrooms.com/reservations/secondvenue', dates: `${DATE}, ${addDays(DATE, 1)}`, partySize: '2', windows: ['19:00-21:00'] });
+    assert.deepEqual(added.body.dates, [DATE, addDays(DATE, 1)]);
+    await call('POST', '/check');
+
+    const { records } = (await call('GET', '/history?watch=examplevenue')).body;
+    assert.equal(records.length, 1);
+    assert.deepEqual(records[0].slots.map(slot => slot.time), ['19:30']);
+    assert.equal((await call('GET', '/history?limit=2')).body.records.length, 2);
+    assert.equal((await call('GET', '/history?limit=none')).status, 400);
+
+    const hooks = stub.hooks.length;
+    assert.deepEqual((await call('POST', '/test-notify')).body, { ok: true, dryRun: false, notifiers: ['webhook'] });
+    assert.equal(stub.hooks[hooks].event, 'test');
+  } finally {
+    await close();
+  }
+});
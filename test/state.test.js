@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatcher } = require('..');
+const { createStateStore } = require('../src/state');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const DATE = addDays(todayIn(), 1);
+
+test('a missing state starts fresh, an unreadable one fails the load', async () => {
+  const writes = [];
+  const missing = createStateStore({ name: 'missing', read: async () => null, write: async state => writes.push(state) });
+  assert.deepEqual(await missing.load(), { version: 2, watches: {} });
+
+  const failing = createStateStore({
+    name: 'gist (abc)',
+    read: async () => { throw new Error('GitHub gist API returned HTTP 500'); },
+    write: async state => writes.push(state)
+  });
+  await assert.rejects(failing.load(), /Could not load state from gist \(abc\): GitHub gist API returned HTTP 500/);
+  assert.deepEqual(writes, []);
+});
+
+test('a check with a corrupt state file fails and leaves the file as it was', async () => {
+  const server = await startApiStub(['19:30']);
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-state-'));
+  const stateFile = path.join(baseDir, 'state.json');
+  fs.writeFileSync(stateFile, '{"version": 2, "watches": {');
+  const watcher = createWatcher({
+    settings: apiStubSettings(server),
+    watches: [{ id: 'examplevenue', url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }],
+    baseDir,
+    logger: SILENT_LOGGER
+  });
+
+  try {
+    await assert.rejects(watcher.check(), /Could not load state from json/);
+    assert.equal(fs.readFileSync(stateFile, 'utf8'), '{"version": 2, "watches": {');
+    assert.equal(server.hooks.length, 0);
+  } finally {
+    await watcher.close();
+    server.close();
+  }
+});
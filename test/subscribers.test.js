@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWatcher, ConfigError } = require('..');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const DATE = addDays(todayIn(), 1);
+const VENUE_URL = 'https://www.sevenrooms.com/reservations/examplevenue';
+
+// Two watches on the same venue, date and party size, and who hears about them
+function watchlist(server, extraSubscribers = []) {
+  const hook = id => [{ type: 'webhook', url: `${server.url}/hook/${id}` }];
+  return {
+    watches: [
+      { id: 'dinner', url: VENUE_URL, dates: [DATE], partySize: 2, windows: ['19:00-21:00'] },
+      { id: 'late', url: VENUE_URL, dates: [DATE], partySize: 2, windows: ['20:00-22:00'] }
+    ],
+    subscribers: [
+      { id: 'alex', notifiers: hook('alex'), watches: ['dinner'] },
+      { id: 'sam', notifiers: hook('sam'), watches: 'dinner,late' },
+      { id: 'jo', notifiers: hook('jo'), watches: ['late'] },
+      ...extraSubscribers.map(id => ({ id, notifiers: hook(id), watches: ['dinner'] }))
+    ]
+  };
+}
+
+// What each webhook path was sent, as "path watch time"
+function received(server) {
+  return server.hooks.map(hook => `${hook.path} ${hook.watchId} ${hook.slot.time}`).sort();
+}
+
+test('each subscriber hears about their watches once, from one check per venue, date and party size', async () => {
+  const server = await startApiStub(['12:30', '19:30', '20:15']);
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-subscribers-'));
+  let watcher = createWatcher({ settings: apiStubSettings(server), ...watchlist(server), baseDir, logger: SILENT_LOGGER });
+
+  try {
+    await watcher.check();
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(received(server), [
+      '/hook/alex dinner 19:30',
+      '/hook/alex dinner 20:15',
+      '/hook/jo late 20:15',
+      '/hook/sam dinner 19:30',
+      '/hook/sam dinner 20:15',
+      '/hook/sam late 20:15'
+    ]);
+    assert.deepEqual(watcher.status().watches.map(watch => watch.subscribers), [['alex', 'sam'], ['sam', 'jo']]);
+
+    // Nothing new for anyone
+    await watcher.check();
+    assert.equal(server.hooks.length, 6);
+    await watcher.close();
+
+    // Someone joining later still hears about what is there; the others don't again
+    watcher = createWatcher({ settings: apiStubSettings(server), ...watchlist(server, ['kim']), baseDir, logger: SILENT_LOGGER });
+    server.hooks = [];
+    await watcher.check();
+    assert.deepEqual(received(server), ['/hook/kim dinner 19:30', '/hook/kim dinner 20:15']);
+  } finally {
+    await watcher.close();
+    server.close();
+  }
+});
+
+test('subscribers need an id of their own, notifiers and known watches', () => {
+  const hook = [{ type: 'webhook', url: 'http://localhost/hook' }];
+  const config = {
+    settings: { CHECK_MODE: 'api', NOTIFIERS: 'webhook', WEBHOOK_URL: 'http://localhost/hook', HISTORY_FILE: 'off' },
+    watches: [{ id: 'dinner', url: VENUE_URL, dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }],
+    subscribers: [
+      { id: 'alex', notifiers: hook, watches: ['dinner'] },
+      { id: 'alex', notifiers: hook, watches: ['dinner'] },
+      { id: 'sam', notifiers: [{ type: 'pushover' }], watches: ['lunch'] },
+      { notifiers: hook, watches: ['dinner'] }
+    ],
+    baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-subscribers-'))
+  };
+
+  assert.throws(() => createWatcher(config), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.deepEqual(error.problems.map(problem => problem.message), [
+      'Subscriber id "alex" is used more than once',
+      '[subscriber sam] pushover notifier is missing userKey',
+      '[subscriber sam] pushover notifier is missing appToken',
+      'Subscriber "sam" lists unknown watch "lunch"',
+      'Subscriber has no id'
+    ]);
+    return true;
+  });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adapterFor, venueSelectors, fillSelectors } = require('../src/venues');
+const { validateWatches } = require('../src/config');
+const { watchFromEnv } = require('../src/watchlist');
+
+const ENV = { BOOKING_URL: 'https://www.example-trattoria.com/', DATE: '2026-11-14', PARTY_SIZE: '2', WINDOWS: '19:00-21:00' };
+
+test('the adapter is picked from the URL unless the watch sets one', () => {
+  assert.equal(adapterFor({ url: 'https://www.sevenrooms.com/reservations/examplevenue' }).type, 'direct');
+  assert.equal(adapterFor({ url: 'https://www.example-trattoria.com/' }).type, 'embedded');
+  assert.equal(adapterFor({ url: 'https://www.example-trattoria.com/', adapter: 'direct' }).type, 'direct');
+});
+
+test('custom selectors come before the defaults', () => {
+  const selectors = venueSelectors({ url: 'https://www.example-trattoria.com/', selectors: { iframe: 'iframe#booking', day: ['td.day-{day}'] } });
+
+  assert.equal(selectors.iframe[0], 'iframe#booking');
+  assert.ok(selectors.iframe.length > 1);
+  assert.equal(selectors.day[0], 'td.day-{day}');
+  assert.equal(venueSelectors({ url: 'https://www.sevenrooms.com/reservations/examplevenue' }).iframe, undefined);
+});
+
+test('selector placeholders are filled in and unknown ones are left alone', () => {
+  assert.deepEqual(
+    fillSelectors(['[data-date="{date}"]', 'button[aria-label*="{day} {monthShort}"]', '{other}'], { date: '2026-11-14', day: 14, monthShort: 'Nov' }),
+    ['[data-date="2026-11-14"]', 'button[aria-label*="14 Nov"]', '{other}']
+  );
+});
+
+test('unknown adapters and selector names are config problems', () => {
+  const watch = watchFromEnv({ ...ENV, VENUE_ADAPTER: 'iframe', VENUE_SELECTORS: '{"calendar": "div.cal", "day": ""}' });
+  const { problems } = validateWatches([watch], { fromEnv: true, today: '2026-10-19' });
+
+  assert.deepEqual(problems.map(problem => problem.key), ['VENUE_ADAPTER', 'VENUE_SELECTORS', 'VENUE_SELECTORS']);
+  assert.match(problems[1].message, /"calendar"/);
+
+  const broken = watchFromEnv({ ...ENV, VENUE_SELECTORS: '{dateButton: button}' });
+  assert.match(validateWatches([broken], { fromEnv: true, today: '2026-10-19' }).problems[0].message, /not a JSON object/);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createWatcher } = require('..');
+const { todayIn, addDays } = require('../src/dates');
+const { SILENT_LOGGER, startApiStub, apiStubSettings } = require('./helpers');
+
+const DATE = addDays(todayIn(), 1);
+
+// A watcher on one venue through the API, with its state in a temp dir
+function watcherFor(server) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-watcher-'));
+  return createWatcher({
+    settings: apiStubSettings(server),
+    watches: [{ id: 'examplevenue', url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }],
+    baseDir: dir,
+    logger: SILENT_LOGGER
+  });
+}
+
+test('checkOnce resolves with the slots in window and reports new and gone ones as events', async () => {
+  const server = await startApiStub(['12:30', '19:30', '20:15']);
+  const watcher = watcherFor(server);
+  const found = [];
+  const gone = [];
+  watcher.on('slot:found', (slot, watch) => found.push(`${watch.id} ${slot.time}`));
+  watcher.on('slot:gone', slot => gone.push(slot.time));
+
+  try {
+    const slots = await watcher.checkOnce();
+    assert.deepEqual(slots.map(slot => `${slot.date} ${slot.time}`), [`${DATE} 19:30`, `${DATE} 20:15`]);
+    assert.deepEqual(found, ['examplevenue 19:30', 'examplevenue 20:15']);
+    assert.equal(server.hooks.length, 2);
+
+    // Already notified: still in window, but nothing new
+    server.times = ['12:30', '20:15'];
+    assert.deepEqual((await watcher.checkOnce()).map(slot => slot.time), ['20:15']);
+    assert.equal(found.length, 2);
+    assert.deepEqual(gone, ['19:30']);
+  } finally {
+    await watcher.close();
+    server.close();
+  }
+});
+
+test('a failed check is an error event and a failure in the run', async () => {
+  const server = await startApiStub([]);
+  const watcher = watcherFor(server);
+  server.close();
+  const errors = [];
+  watcher.on('error', (error, { watch, target }) => errors.push(`${watch.id} ${target.date}`));
+
+  const run = await watcher.check();
+  await watcher.close();
+
+  assert.equal(run.failures.length, 1);
+  assert.deepEqual(errors, [`examplevenue ${DATE}`]);
+});
+
+test('bad configuration throws before anything runs', () => {
+  assert.throws(
+    () => createWatcher({ watches: [{ url: 'not a url', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }], settings: { NOTIFIERS: 'webhook', WEBHOOK_URL: 'http://localhost/hook' } }),
+    error => error.name === 'ConfigError' && error.problems.some(problem => problem.key === 'watches[0].url')
+  );
+});
+
+// A logger that keeps what it is given in `lines`
+function collectingLogger(lines) {
+  const keep = (...args) => lines.push(args.join(' '));
+  return { log: keep, info: keep, warn: keep, error: keep, debug: keep };
+}
+
+test('watchers run side by side, each with its own settings and logger', async () => {
+  const [one, two] = await Promise.all([startApiStub(['19:30']), startApiStub(['20:15'])]);
+  const logs = [[], []];
+  const [first, second] = [one, two].map((server, index) => createWatcher({
+    settings: apiStubSettings(server),
+    watches: [{ id: `venue${index + 1}`, url: 'https://www.sevenrooms.com/reservations/examplevenue', dates: [DATE], partySize: 2, windows: ['19:00-21:00'] }],
+    baseDir: fs.mkdtempSync(path.join(os.tmpdir(), 'sevenrooms-watcher-')),
+    logger: collectingLogger(logs[index])
+  }));
+
+  try {
+    const [firstSlots, secondSlots] = await Promise.all([first.checkOnce(), second.checkOnce()]);
+    assert.deepEqual(firstSlots.map(slot => slot.time), ['19:30']);
+    assert.deepEqual(secondSlots.map(slot => slot.time), ['20:15']);
+    assert.deepEqual([one.hooks.length, two.hooks.length], [1, 1]);
+
+    first.snooze(new Date(Date.now() + 60000));
+    assert.ok(first.status().snoozedUntil);
+    assert.equal(second.status().snoozedUntil, null);
+
+    assert.ok(logs[0].some(line => line.includes('Watch "venue1"')));
+    assert.ok(!logs[0].some(line => line.includes('venue2')));
+    assert.ok(logs[1].some(line => line.includes('Watch "venue2"')));
+    assert.ok(!logs[1].some(line => line.includes('venue1')));
+  } finally {
+    await Promise.all([first.close(), second.close()]);
+    one.close();
+    two.close();
+  }
+});
+
+test('start() runs until stop() and leaves process signals to the caller', async () => {
+  const server = await startApiStub(['19:30']);
+  const watcher = watcherFor(server);
+  const listeners = () => [process.listenerCount('SIGTERM'), process.listenerCount('SIGINT')];
+  const before = listeners();
+  let during;
+  watcher.on('check', () => {
+    during = listeners();
+    watcher.stop();
+  });
+
+  await watcher.start();
+  assert.deepEqual(during, before);
+  assert.deepEqual(listeners(), before);
+  server.close();
+});
+
+test('the library loads without Playwright, which only a browser check needs', () => {
+  const loaded = execFileSync(process.execPath, ['-e', `
+    require(${JSON.stringify(path.join(__dirname, '..'))});
+    process.stdout.write(String(Object.keys(require.cache).some(file => file.includes(\`\${require('path').sep}playwright\`))));
+  `]).toString();
+  assert.equal(loaded, 'false');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWindowList, isSlotInWindow, slotsInWindows, describeWindow } = require('../src/window');
+const { createSlot } = require('../src/slot');
+
+// 2026-11-13 is a Friday
+const slot = (date, time) => createSlot({ date, time, partySize: 2, source: 'api' });
+
+test('window strings parse into ranges, relative windows and days', () => {
+  const [range, overnight, around, within] = parseWindowList('19:00-21:00, fri/sat 22:00-01:00, 20:00±60, within 30 min of 13:00');
+
+  assert.deepEqual([range.start, range.end, range.days], ['19:00', '21:00', null]);
+  assert.deepEqual([overnight.start, overnight.end, overnight.days], ['22:00', '01:00', [5, 6]]);
+  assert.deepEqual([around.around, around.within], ['20:00', 60]);
+  assert.deepEqual([within.around, within.within], ['13:00', 30]);
+  assert.equal(describeWindow(around), '20:00±60 (19:00-21:00)');
+});
+
+test('range windows include both ends', () => {
+  const [window] = parseWindowList('19:00-21:00');
+
+  assert.equal(isSlotInWindow(slot('2026-11-14', '19:00'), window), true);
+  assert.equal(isSlotInWindow(slot('2026-11-14', '21:00'), window), true);
+  assert.equal(isSlotInWindow(slot('2026-11-14', '21:15'), window), false);
+});
+
+test('overnight windows match after-midnight times on their service date', () => {
+  const [window] = parseWindowList('fri 22:00-01:00');
+
+  assert.equal(isSlotInWindow(slot('2026-11-13', '23:30'), window), true);
+  assert.equal(isSlotInWindow(slot('2026-11-13', '00:30'), window), true);
+  // 00:30 on Saturday's service belongs to Saturday night, not Friday's window
+  assert.equal(isSlotInWindow(slot('2026-11-14', '00:30'), window), false);
+  assert.equal(isSlotInWindow(slot('2026-11-13', '01:30'), window), false);
+});
+
+test('slots in window come closest to the preferred time first, then in service order', () => {
+  const windows = parseWindowList('20:00±60, 22:00-01:00');
+  const slots = ['18:30', '19:15', '20:30', '00:30', '22:15', '21:00'].map(time => slot('2026-11-14', time));
+
+  assert.deepEqual(slotsInWindows(slots, windows).map(found => found.time), ['20:30', '19:15', '21:00', '22:15', '00:30']);
+});